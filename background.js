@@ -1,70 +1,23 @@
-'use strict';
+// Service worker entry (an ES module — see manifest "type": "module").
+// Only wiring lives here; the logic is in lib/ so it can be tested in Node.
+
+import { DEFAULTS, getSettings, migrateSettings } from './lib/settings.js';
+import { showHealthBadge, onToastButton } from './lib/notify.js';
+import { renameDownload, handlePrintTab, handlePrintPreview, restorePrintPreview } from './lib/rename.js';
+import { isPrintTabUrl } from './lib/print-preview.js';
+import { trackDownloadChange } from './lib/history.js';
+import { settleRevision } from './lib/conflicts.js';
+import { runDownloadRules } from './lib/download-rules.js';
+import { queueIntent, updateIntent, setTabTransaction, clearTabTransaction } from './lib/intents.js';
+import { QBO_TXN_URL, QBO_LIST_URL, ensureContentScript, ensureBatchScript, registerContentScript } from './lib/tabs.js';
+import { runCommand, redownload } from './lib/commands.js';
+import { startBatch, controlBatch, clearBatch } from './lib/batch-runner.js';
 
 // -- Session storage access for content scripts (MUST be at top level) --
 chrome.storage.session.setAccessLevel({
   accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS'
 });
 
-// -- Settings defaults --
-const DEFAULTS = {
-  enabled: true,
-  format: '{num} - {customer}',
-  dateFormat: 'YYYY-MM-DD',
-  notifyMode: 'toast'
-};
-
-async function getSettings() {
-  let settings = await chrome.storage.sync.get(DEFAULTS);
-
-  // One-time migration: showNotification boolean → notifyMode enum
-  if (typeof settings.showNotification === 'boolean') {
-    settings.notifyMode = settings.showNotification ? 'toast' : 'off';
-    chrome.storage.sync.remove('showNotification');
-    chrome.storage.sync.set({ notifyMode: settings.notifyMode });
-  }
-
-  return settings;
-}
-
-// -- Filename building (pure function, no side effects) --
-
-function buildFilename(format, data) {
-  let name = format
-    .replaceAll('{num}', data.num || '')
-    .replaceAll('{customer}', data.customer || '')
-    .replaceAll('{type}', data.type || '')
-    .replaceAll('{date}', formatDate(data.dateFormat || 'YYYY-MM-DD'));
-
-  // Strip illegal filename characters
-  name = name.replace(/[<>:"/\\|?*\x00-\x1f]/g, '');
-  // Collapse multiple spaces or dashes
-  name = name.replace(/\s{2,}/g, ' ').replace(/-{3,}/g, '--');
-  // Trim spaces and dots (Windows silently strips trailing dots)
-  name = name.replace(/^[\s.]+|[\s.]+$/g, '');
-
-  return name || 'QBO_Document_' + Date.now();
-}
-
-function formatDate(fmt) {
-  let d = new Date();
-  let y = d.getFullYear();
-  let m = String(d.getMonth() + 1).padStart(2, '0');
-  let day = String(d.getDate()).padStart(2, '0');
-
-  return fmt
-    .replace('YYYY', y)
-    .replace('MM', m)
-    .replace('DD', day);
-}
-
-// -- Fallback: parse QBO's default filename for partial data --
-// QBO names files like "Estimate 87072.pdf" — extract what we can
-function parseQboFilename(filename) {
-  let match = filename?.match(/^(Estimate|Invoice|Sales Receipt|Purchase Order|Credit Memo|Bill|Refund Receipt)\s+(\d+)/i);
-  if (!match) return null;
-  return { type: match[1], num: match[2], customer: '' };
-}
-
 // -- Download filename renaming --
 // This listener MUST be at top level and MUST return true synchronously.
 // The async-wrapper-with-catch pattern guarantees suggest() is always called.
@@ -76,171 +29,109 @@ chrome.downloads.onDeterminingFilename.addListener((item, suggest) => {
   return true;
 });
 
-async function renameDownload(item, suggest) {
-  let settings = await getSettings();
-  if (!settings.enabled) {
-    suggest({ filename: item.filename });
-    return;
-  }
-
-  // Only intercept QBO blob downloads or QBO-pattern filenames
-  let isQboBlob = item.url?.startsWith('blob:https://qbo.intuit.com');
-  let isQboFile = item.filename?.match(/^(Estimate|Invoice|Sales Receipt|Purchase Order|Credit Memo|Bill|Refund Receipt)\s+\d+/i);
-
-  if (!isQboBlob && !isQboFile) {
-    suggest({ filename: item.filename });
-    return;
-  }
-
-  let data = null;
-
-  // 1st: pendingRename from click interception
-  let { pendingRename } = await chrome.storage.session.get('pendingRename');
-  if (pendingRename && (Date.now() - pendingRename.timestamp < 15000)) {
-    data = pendingRename;
-  }
-
-  // 2nd: blobRenameData cached when blob tab opened (covers PDF viewer download)
-  if (!data && isQboBlob) {
-    let { blobRenameData } = await chrome.storage.session.get('blobRenameData');
-    if (blobRenameData && (Date.now() - blobRenameData.timestamp < 300000)) {
-      data = blobRenameData;
-      console.log('[Apex] using blobRenameData fallback');
-    }
-  }
+chrome.downloads.onChanged.addListener(trackDownloadChange);
+chrome.downloads.onChanged.addListener(settleRevision);
+chrome.downloads.onChanged.addListener(runDownloadRules);
 
-  // 3rd: currentTransaction from session storage
-  if (!data) {
-    let stored = await chrome.storage.session.get('currentTransaction');
-    if (stored.currentTransaction) {
-      data = stored.currentTransaction;
-      console.log('[Apex] using currentTransaction fallback');
-    }
-  }
+// "Show in folder" / "Open" on a finished download's toast
+chrome.notifications.onButtonClicked.addListener(onToastButton);
 
-  // 4th: parse the original QBO filename for partial data
-  if (!data) {
-    data = parseQboFilename(item.filename);
-    if (data) console.log('[Apex] using filename parse fallback:', item.filename);
-  }
+// -- Print tab handling --
+// blob: tabs and QBO print URLs; preview modals are reported by content.js
 
-  if (!data) {
-    suggest({ filename: item.filename });
-    return;
-  }
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (!isPrintTabUrl(tab.url)) return;
+  if (changeInfo.status !== 'complete') return;
+  handlePrintTab(tabId, tab);
+});
 
-  let filename = buildFilename(settings.format, {
-    num: data.num,
-    customer: data.customer,
-    type: data.type,
-    dateFormat: settings.dateFormat
-  }) + '.pdf';
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearTabTransaction(tabId);
+});
 
-  suggest({ filename, conflictAction: 'uniquify' });
+// -- SPA navigation bridge --
+// webNavigation catches QBO's pushState navigations from the service worker side.
 
-  // Cleanup and notification after suggest — wrapped so a failure here
-  // can't trigger the .catch() fallback and double-call suggest()
-  try {
-    if (pendingRename) chrome.storage.session.remove('pendingRename');
-    if (settings.notifyMode !== 'off') notifyRename(filename, settings.notifyMode);
-  } catch (e) {
-    console.log('[Apex] post-rename cleanup error:', e.message);
-  }
-}
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+  if (details.frameId !== 0) return;
+  chrome.tabs.sendMessage(details.tabId, { action: 'navigate' }).catch(() => {});
+  // Documents and list pages are usually reached in-app, which never loads
+  // the registered content.js or the manifest's batch.js
+  if (QBO_TXN_URL.test(details.url)) ensureContentScript(details.tabId);
+  if (QBO_LIST_URL.test(details.url)) ensureBatchScript(details.tabId);
+}, {
+  url: [{ hostContains: 'qbo.intuit.com' }]
+});
 
-// -- Blob tab handling --
-// QBO opens blob tabs for print preview. Set document.title (for Ctrl+P)
-// and cache rename data (for downloads from the PDF viewer).
+// -- Keyboard commands --
 
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (!tab.url?.startsWith('blob:https://qbo.intuit.com')) return;
-  if (changeInfo.status !== 'complete') return;
-  handleBlobTab(tabId, tab);
+chrome.commands.onCommand.addListener((command, tab) => {
+  runCommand(command, tab).catch((err) => {
+    console.log('[Apex] command failed:', command, err.message);
+  });
 });
 
-async function handleBlobTab(tabId, tab) {
-  let settings = await getSettings();
-  if (!settings.enabled) return;
+// -- Extension messages (content.js, popup, batch.js) --
 
-  let data = null;
-
-  // 1st: pendingRename from click interception (highest confidence)
-  let { pendingRename } = await chrome.storage.session.get('pendingRename');
-  if (pendingRename && (Date.now() - pendingRename.timestamp < 15000)) {
-    data = pendingRename;
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // From content.js — sender.tab is what ties a click to its download
+  if (msg.action === 'queueRename') {
+    if (!sender.tab) return;
+    let intent = { kind: 'click', action: msg.intentAction, tabId: sender.tab.id, data: msg.data };
+    // A name typed on the page toolbar, for this download only
+    if (msg.override) intent.override = msg.override;
+    // A click that updateRename may correct once the page has settled
+    if (msg.click) intent.clickId = msg.click;
+    queueIntent(intent).then(() => sendResponse(true));
+    return true;
   }
 
-  // 2nd: ask the opener tab's content script for live data
-  if (!data && tab.openerTabId) {
-    try {
-      data = await chrome.tabs.sendMessage(tab.openerTabId, { action: 'getTransactionData' });
-    } catch (e) {
-      console.log('[Apex] could not query opener tab:', e.message);
-    }
+  if (msg.action === 'updateRename') {
+    if (sender.tab) updateIntent(sender.tab.id, msg.click, msg.data);
+    return;
   }
 
-  // 3rd: currentTransaction from session storage
-  if (!data) {
-    let stored = await chrome.storage.session.get('currentTransaction');
-    data = stored.currentTransaction;
+  // Sent only when the page's data changes (lib/transaction-state.js)
+  if (msg.action === 'transactionUpdate') {
+    if (sender.tab) setTabTransaction(sender.tab.id, msg.data, { page: msg.page, version: msg.version });
+    return;
   }
 
-  if (!data?.num) return;
-
-  let title = buildFilename(settings.format, {
-    num: data.num,
-    customer: data.customer,
-    type: data.type,
-    dateFormat: settings.dateFormat
-  });
+  if (msg.action === 'printPreview') {
+    if (!sender.tab) return;
+    if (msg.open) handlePrintPreview(sender.tab.id, msg);
+    else restorePrintPreview(sender.tab.id);
+    return;
+  }
 
-  try {
-    await chrome.scripting.executeScript({
-      target: { tabId },
-      func: (t) => { document.title = t; },
-      args: [title]
+  if (msg.action === 'selectorHealth') {
+    if (!sender.tab) return;
+    getSettings().then((settings) => {
+      showHealthBadge(sender.tab.id, settings.diagnostics ? msg.health : { status: 'ok', problems: [] });
     });
-  } catch (err) {
-    console.log('[Apex] could not set blob tab title:', err.message);
+    return;
   }
 
-  // Cache for downloads triggered later from this blob tab
-  chrome.storage.session.set({
-    blobRenameData: { num: data.num, customer: data.customer, type: data.type, timestamp: Date.now() }
-  });
-
-  if (pendingRename) chrome.storage.session.remove('pendingRename');
-  console.log('[Apex] blob tab ready:', title);
-}
-
-// -- SPA navigation bridge --
-// webNavigation catches QBO's pushState navigations from the service worker side.
-
-chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
-  if (details.frameId !== 0) return;
-  chrome.tabs.sendMessage(details.tabId, { action: 'navigate' }).catch(() => {});
-}, {
-  url: [{ hostContains: 'qbo.intuit.com' }]
-});
+  if (msg.action === 'redownload') {
+    redownload(msg.url).then(sendResponse);
+    return true;
+  }
 
-// -- Notification --
+  if (msg.action === 'batchStart') {
+    startBatch(msg.items, msg.delayMs).then(sendResponse);
+    return true;
+  }
 
-function notifyRename(filename, mode) {
-  // Badge checkmark — shown for both 'badge' and 'toast' modes
-  chrome.action.setBadgeText({ text: '\u2713' });
-  chrome.action.setBadgeBackgroundColor({ color: '#4CAF50' });
-  setTimeout(() => chrome.action.setBadgeText({ text: '' }), 3000);
+  if (msg.action === 'batchPause' || msg.action === 'batchResume' || msg.action === 'batchCancel') {
+    controlBatch(msg.action);
+    return;
+  }
 
-  // System notification toast — only in 'toast' mode
-  if (mode === 'toast') {
-    chrome.notifications.create({
-      type: 'basic',
-      iconUrl: 'icons/icon48.png',
-      title: 'Apex Explorer',
-      message: 'Saved as: ' + filename
-    });
+  if (msg.action === 'batchClear') {
+    clearBatch();
+    return;
   }
-}
+});
 
 // -- Install / update handler --
 
@@ -249,13 +140,21 @@ chrome.runtime.onInstalled.addListener((details) => {
     chrome.storage.sync.set(DEFAULTS);
   }
 
+  // Upgrade stored settings now rather than on the first download
+  migrateSettings();
+
+  // content.js match patterns come from the document type registry
+  registerContentScript().catch((e) => {
+    console.log('[Apex] content script registration failed:', e.message);
+  });
+
   // Re-inject content script into existing QBO tabs after extension update
   if (details.reason === 'update') {
     chrome.tabs.query({ url: 'https://qbo.intuit.com/app/*' }, (tabs) => {
       for (let tab of tabs) {
         chrome.scripting.executeScript({
           target: { tabId: tab.id },
-          files: ['content.js']
+          files: [QBO_LIST_URL.test(tab.url) ? 'batch.js' : 'content.js']
         }).catch(() => {});
       }
     });
@@ -0,0 +1,268 @@
+'use strict';
+
+// -- Batch export on QBO list pages --
+// Adds a floating panel that downloads every ticked row in turn. The work
+// itself runs in background.js so it survives this page navigating; this
+// script only collects the rows and mirrors the progress kept in session
+// storage under `batchJob`.
+
+const LIST_PAGE = /^\/app\/(sales|invoices|expenses)\/?$/;
+
+// Type to assume when a row has no type column (the invoices list)
+const LIST_DEFAULT_TYPE = { invoices: 'invoice' };
+
+const BATCH_DELAYS = [2000, 5000, 10000];
+
+// lib/doc-types.js, loaded with a dynamic import (content scripts can't be modules)
+let docTypes;
+
+let panelHost, panelRoot;
+let batchJob = null;
+let startError = '';
+let countTimer;
+
+// -- Row collection --
+
+function isListPage() {
+  return LIST_PAGE.test(location.pathname);
+}
+
+function tickedRows() {
+  let rows = [];
+  for (let box of document.querySelectorAll('table tbody tr input[type="checkbox"]:checked')) {
+    let row = box.closest('tr');
+    rows.push({ url: rowTransactionUrl(row), label: rowLabel(row) });
+  }
+  return rows;
+}
+
+// Prefer a real link; otherwise build the document's page URL from the
+// row's id attribute and its type column
+function rowTransactionUrl(row) {
+  let link = row.querySelector('a[href*="txnId="]');
+  if (link) return link.href;
+
+  let id = row.dataset.txnId || row.querySelector('[data-txn-id]')?.dataset.txnId || row.dataset.id;
+  if (!id) return '';
+
+  let type = null;
+  for (let cell of row.querySelectorAll('td')) {
+    type = docTypes.docTypeForLabel(cell.innerText);
+    if (type) break;
+  }
+  type ||= docTypes.docTypeForLabel(LIST_DEFAULT_TYPE[location.pathname.match(LIST_PAGE)?.[1]]);
+
+  return docTypes.docTypeUrl(type, { txnId: id });
+}
+
+function rowLabel(row) {
+  let cells = [...row.querySelectorAll('td')]
+    .map(td => td.innerText?.trim())
+    .filter(Boolean);
+  return cells.slice(0, 4).join(' \u00b7 ').slice(0, 80) || 'Row';
+}
+
+// -- Panel --
+// Shadow DOM keeps QBO's styles out and ours from leaking into QBO
+
+const PANEL_CSS = `
+  :host { all: initial; }
+  .panel {
+    position: fixed; right: 16px; bottom: 16px; z-index: 2147483000;
+    width: 300px; max-height: 60vh; display: flex; flex-direction: column;
+    font: 13px/1.4 system-ui, -apple-system, sans-serif; color: #1a1a2e;
+    background: #fff; border: 1px solid #e2e4e9; border-radius: 8px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15); padding: 10px 12px;
+  }
+  .title { font-weight: 600; margin-bottom: 6px; }
+  .row { display: flex; align-items: center; gap: 6px; margin-top: 6px; }
+  .dim { color: #6b7280; font-size: 11px; }
+  button {
+    padding: 4px 10px; border: 1px solid #e2e4e9; border-radius: 6px;
+    background: #f4f5f7; color: inherit; font: inherit; font-size: 12px; cursor: pointer;
+  }
+  button.primary { background: #2563eb; border-color: #2563eb; color: #fff; }
+  button:disabled { opacity: 0.5; cursor: default; }
+  select { font: inherit; font-size: 12px; }
+  .bar { height: 6px; background: #e2e4e9; border-radius: 3px; overflow: hidden; }
+  .bar > div { height: 100%; background: #2563eb; transition: width 200ms ease; }
+  ul { list-style: none; margin: 6px 0 0; padding: 0; overflow-y: auto; }
+  li { font-size: 11px; padding: 2px 0; border-top: 1px solid #f0f1f4; }
+  .done { color: #16a34a; }
+  .failed { color: #dc2626; }
+  .running { color: #2563eb; }
+  .pending, .skipped { color: #6b7280; }
+`;
+
+const STATUS_ICONS = {
+  pending: '\u2022',
+  running: '\u25b6',
+  done: '\u2713',
+  failed: '\u2717',
+  skipped: '\u2013'
+};
+
+function ensurePanel() {
+  if (panelHost) return;
+  panelHost = document.createElement('div');
+  panelHost.id = 'apex-batch';
+  panelRoot = panelHost.attachShadow({ mode: 'open' });
+  document.body.appendChild(panelHost);
+}
+
+function renderPanel() {
+  if (!docTypes) return;
+  if (!isListPage() && !batchJob) {
+    panelHost?.remove();
+    panelHost = panelRoot = null;
+    return;
+  }
+
+  ensurePanel();
+  let panel = document.createElement('div');
+  panel.className = 'panel';
+
+  let style = document.createElement('style');
+  style.textContent = PANEL_CSS;
+
+  let title = document.createElement('div');
+  title.className = 'title';
+  title.textContent = 'Apex batch export';
+  panel.appendChild(title);
+
+  if (batchJob) renderJob(panel);
+  else renderSelection(panel);
+
+  panelRoot.replaceChildren(style, panel);
+}
+
+function renderSelection(panel) {
+  let rows = tickedRows();
+
+  let info = document.createElement('div');
+  info.className = 'dim';
+  info.textContent = rows.length
+    ? rows.length + ' row' + (rows.length === 1 ? '' : 's') + ' ticked'
+    : 'Tick rows in the list to download them as renamed PDFs';
+
+  let delay = document.createElement('select');
+  delay.title = 'Pause between transactions';
+  for (let ms of BATCH_DELAYS) {
+    let opt = document.createElement('option');
+    opt.value = ms;
+    opt.textContent = (ms / 1000) + 's apart';
+    delay.appendChild(opt);
+  }
+
+  let start = button('Download ' + (rows.length || ''), 'primary', async () => {
+    start.disabled = true;
+    // Refused when a batch is already running or Apex is turned off
+    let result = await chrome.runtime.sendMessage({ action: 'batchStart', items: tickedRows(), delayMs: Number(delay.value) })
+      .catch(e => ({ ok: false, error: e.message }));
+    startError = result?.ok ? '' : result?.error || 'The batch could not start';
+    renderPanel();
+  });
+  start.disabled = !rows.length;
+
+  let controls = document.createElement('div');
+  controls.className = 'row';
+  controls.append(start, delay);
+  panel.append(info, controls);
+
+  if (startError) {
+    let error = document.createElement('div');
+    error.className = 'failed';
+    error.textContent = startError;
+    panel.appendChild(error);
+  }
+}
+
+function renderJob(panel) {
+  let items = batchJob.items;
+  let count = (status) => items.filter(i => i.status === status).length;
+  let finished = count('done') + count('failed') + count('skipped');
+
+  let bar = document.createElement('div');
+  bar.className = 'bar';
+  let fill = document.createElement('div');
+  fill.style.width = Math.round(finished / items.length * 100) + '%';
+  bar.appendChild(fill);
+
+  let summary = document.createElement('div');
+  summary.className = 'dim';
+  summary.textContent = finished + ' / ' + items.length + ' \u00b7 '
+    + count('done') + ' saved \u00b7 ' + count('failed') + ' failed'
+    + (batchJob.status === 'running' ? '' : ' \u00b7 ' + batchJob.status);
+
+  let controls = document.createElement('div');
+  controls.className = 'row';
+  if (batchJob.status === 'running' || batchJob.status === 'paused') {
+    let paused = batchJob.status === 'paused';
+    controls.append(
+      button(paused ? 'Resume' : 'Pause', '', () => chrome.runtime.sendMessage({ action: paused ? 'batchResume' : 'batchPause' })),
+      button('Cancel', '', () => chrome.runtime.sendMessage({ action: 'batchCancel' }))
+    );
+  } else if (batchJob.status !== 'cancelling') {
+    controls.append(button('Close', '', () => chrome.runtime.sendMessage({ action: 'batchClear' })));
+  }
+
+  let list = document.createElement('ul');
+  for (let item of items) {
+    let li = document.createElement('li');
+    li.className = item.status;
+    li.textContent = STATUS_ICONS[item.status] + ' ' + (item.filename || item.label)
+      + (item.error ? ' \u2014 ' + item.error : '');
+    list.appendChild(li);
+  }
+
+  panel.append(bar, summary, controls, list);
+}
+
+function button(label, className, onClick) {
+  let btn = document.createElement('button');
+  btn.textContent = label;
+  if (className) btn.className = className;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// -- Wiring --
+
+// QBO row checkboxes are React-controlled; re-count after any click/change
+function scheduleRecount() {
+  if (batchJob) return;
+  clearTimeout(countTimer);
+  countTimer = setTimeout(renderPanel, 150);
+}
+
+document.addEventListener('change', scheduleRecount, true);
+document.addEventListener('click', scheduleRecount, true);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'session' || !changes.batchJob) return;
+  batchJob = changes.batchJob.newValue || null;
+  if (batchJob) startError = '';
+  renderPanel();
+});
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // background.js checks for this before injecting on SPA navigation
+  if (msg.action === 'batchPing') {
+    sendResponse(true);
+    return;
+  }
+
+  if (msg.action === 'navigate') {
+    renderPanel();
+    return;
+  }
+});
+
+Promise.all([
+  import(chrome.runtime.getURL('lib/doc-types.js')),
+  chrome.storage.session.get('batchJob')
+]).then(([mod, stored]) => {
+  docTypes = mod;
+  batchJob = stored.batchJob || null;
+  renderPanel();
+});
@@ -1,97 +1,211 @@
 'use strict';
 
-// -- Transaction type labels for filename tokens --
-const TXN_LABELS = {
-  estimate: 'Estimate',
-  invoice: 'Invoice',
-  salesreceipt: 'Sales Receipt',
-  purchaseorder: 'Purchase Order',
-  creditmemo: 'Credit Memo',
-  bill: 'Bill',
-  refundreceipt: 'Refund Receipt'
-};
-
-// -- DOM data extraction --
+// -- Shared modules --
+// Content scripts can't be ES modules, so the extraction logic in lib/ is
+// pulled in with a dynamic import. Until it resolves there is no data.
+
+let extract, diagnostics, rulesLib, printPreview, filenames, settingsLib, profiles;
+
+// lib/transaction-state.js's tracker for this tab, once loaded
+let tracker = null;
+
+// The user's `selectorRules` setting, kept current from storage
+let selectorRules = null;
+
+// All settings, for the page toolbar's filename; kept current from storage
+let settings = null;
 
 function readTransactionData() {
-  let num = '';
-  let customer = '';
-  let type = '';
-
-  // Primary: data-automation-id is Intuit's QA hook, most stable selector
-  let refInput = document.querySelector('[data-automation-id="reference_number"]');
-  if (refInput) {
-    num = refInput.value?.trim() || '';
-    // The aria-label on this input tells us the type: "Estimate number", "Invoice number", etc.
-    let label = refInput.getAttribute('aria-label') || '';
-    type = label.replace(/\s*number\s*/i, '').trim();
-  }
-
-  // Fallback chain for transaction number
-  if (!num) {
-    let header = document.querySelector('[data-automation-id="RethinkLayout_header"]');
-    if (!header) header = document.querySelector('[class*="txp-capability-formTitle"]');
-    if (!header) header = document.querySelector('[class*="TrowserHeader-headerTitleText"]');
-
-    if (header) {
-      let text = header.innerText?.trim() || '';
-      let match = text.match(/^(.+?)\s+(\d{3,})$/);
-      if (match) {
-        if (!type) type = match[1];
-        num = match[2];
-      }
-    }
-  }
+  return extract ? extract.readTransactionData(document, { rules: selectorRules }) : null;
+}
 
-  // URL-based type fallback
-  if (!type) {
-    let pathMatch = window.location.pathname.match(/\/app\/([^/?]+)/);
-    let slug = pathMatch?.[1] || '';
-    type = TXN_LABELS[slug] || slug;
-  }
+// The transaction once the fields have stopped changing — what actions
+// name files with, so a customer picked a moment ago isn't missed
+function settledTransaction() {
+  return tracker ? tracker.settled() : Promise.resolve(null);
+}
 
-  // Customer / Vendor name — Bills and POs use "Vendor" instead of "Customer"
-  let nameInput = document.querySelector('[data-automation-id="customer_name"]')
-    || document.querySelector('input[aria-label="Customer"]')
-    || document.querySelector('[data-automation-id="vendor_name"]')
-    || document.querySelector('input[aria-label="Vendor"]');
-  customer = nameInput?.value?.trim() || '';
+// Page text from _locales, like lib/i18n.js's t() for the popup — this
+// script needs it before any module has loaded
+function t(key, ...substitutions) {
+  return chrome.i18n.getMessage(key, substitutions) || key;
+}
 
-  if (!num && !customer) return null;
+// Menu selectors and labels with the user's overrides; null until loaded
+function menuConfig() {
+  return rulesLib ? rulesLib.menuConfig(selectorRules) : null;
+}
 
-  return { num, customer, type };
+// -- Background reporting --
+// background.js keys both of these by this tab's id (sender.tab), which is
+// how a download gets matched back to the tab that caused it.
+
+// `typed` is a name from the page toolbar, for this download only. `click`
+// ids an intent that updateRename() can correct later.
+function queueRename(action, data, typed, click = '') {
+  let message = { action: 'queueRename', intentAction: action, data };
+  if (typed) message.override = typed;
+  if (click) message.click = click;
+  return chrome.runtime.sendMessage(message).catch(() => {});
 }
 
-// -- SPA navigation detection --
+function updateRename(click, data) {
+  return chrome.runtime.sendMessage({ action: 'updateRename', click, data }).catch(() => {});
+}
 
-let lastUrl = location.href;
-let navTimer;
+// Tells this script's snapshots from those of the one before a reload,
+// whose versions started over
+const PAGE_ID = crypto.randomUUID();
 
-function onNavigate() {
-  // Small delay lets React finish re-rendering
-  setTimeout(() => {
-    let data = readTransactionData();
-    if (data) {
-      chrome.storage.session.set({ currentTransaction: data });
-    }
-    console.log('[Apex] navigated to', location.href, data);
-  }, 600);
+// Each snapshot the tracker publishes. A page without a transaction keeps
+// the last one reported, for downloads that finish after leaving it.
+function reportTransaction({ version, data }) {
+  updateToolbar();
+  if (data) chrome.runtime.sendMessage({ action: 'transactionUpdate', page: PAGE_ID, version, data }).catch(() => {});
+}
+
+// Called once the page has settled, so a slow render isn't reported as
+// broken markup. SPA navigation can leave this script on a non-transaction
+// page.
+function reportSelectorHealth() {
+  if (!diagnostics?.isDocumentPage(document)) return;
+  let { health } = diagnostics.diagnose(document, selectorRules);
+  chrome.runtime.sendMessage({ action: 'selectorHealth', health }).catch(() => {});
 }
 
-let observer = new MutationObserver(() => {
+// -- SPA navigation --
+// QBO changes pages with pushState. background.js relays webNavigation's
+// onHistoryStateUpdated as a 'navigate' message, and the Navigation API
+// reports the same in-page; whichever comes first starts the new page.
+
+let lastUrl = location.href;
+
+function onNavigate() {
   if (location.href === lastUrl) return;
   lastUrl = location.href;
-  clearTimeout(navTimer);
-  navTimer = setTimeout(onNavigate, 100);
-});
+  console.log('[Apex] navigated to', location.href);
+  clearOverride();
+  // Before the modules load there's nothing to restart — init reads the
+  // page it lands on
+  if (tracker) startPage();
+}
+
+window.navigation?.addEventListener('navigatesuccess', onNavigate);
+
+// -- Page changes --
+// Nothing watches the whole page. The transaction form is observed for
+// elements coming and going: React replaces the fields the tracker listens
+// to, and re-renders the footer the toolbar sits in. The form is looked for
+// on every new page, and again if React replaces it. The print preview is
+// portaled outside the form, so it's looked for after a print or download
+// click instead (watchForPreview).
+
+const FORM_SELECTOR = '[class*="Trowser" i], form';
+
+// How often to look for the form or the preview, and for how long
+const POLL_INTERVAL = 250;
+const FORM_WAIT = 20000;
+
+let checkTimer = null;
+let nodesAdded = false;
+
+// Throttled rather than debounced — QBO keeps re-rendering under a modal
+function scheduleChecks(records = []) {
+  if (records.some(record => record.addedNodes.length)) nodesAdded = true;
+  if (checkTimer) return;
+  checkTimer = setTimeout(() => {
+    checkTimer = null;
+    if (!observedForm?.isConnected) observeForm();
+    if (nodesAdded) tracker?.watch();
+    nodesAdded = false;
+    checkPrintPreview();
+    updateToolbar();
+  }, POLL_INTERVAL);
+}
+
+let formObserver = new MutationObserver(scheduleChecks);
+let observedForm = null;
+let formPoll = null;
+
+// Observe the form this page shows, polling while it hasn't rendered yet.
+// Its parent is observed too (not its subtree), to see it replaced.
+function observeForm() {
+  clearInterval(formPoll);
+  let started = Date.now();
+  let attach = () => {
+    let form = document.querySelector(FORM_SELECTOR);
+    if (form || Date.now() - started > FORM_WAIT) clearInterval(formPoll);
+    // A page with no form of its own (a report) still renders its fields late
+    if (!form) tracker?.watch();
+    if (!form || form === observedForm) return;
+
+    formObserver.disconnect();
+    observedForm = form;
+    formObserver.observe(form, { childList: true, subtree: true });
+    if (form.parentElement) formObserver.observe(form.parentElement, { childList: true });
+    tracker?.watch();
+    updateToolbar();
+  };
+  formPoll = setInterval(attach, POLL_INTERVAL);
+  attach();
+}
+
+// -- Print preview modal --
+// While QBO's in-page preview is open, background.js gives every frame of
+// this tab the filename as its title, and puts the titles back once it
+// closes (lib/print-preview.js).
+
+let previewFrame = null;
+let previewPoll = null;
+
+// How long after a click the preview may take to open
+const PREVIEW_WAIT = 10000;
+
+// After a print or download click: look for the preview until it has had
+// time to open, and while it's open, for it closing
+function watchForPreview() {
+  clearInterval(previewPoll);
+  let started = Date.now();
+  previewPoll = setInterval(() => {
+    checkPrintPreview();
+    if (!previewFrame && Date.now() - started > PREVIEW_WAIT) clearInterval(previewPoll);
+  }, POLL_INTERVAL);
+}
+
+function checkPrintPreview() {
+  if (!printPreview) return;
+  let frame = printPreview.findPrintPreview(document);
+  if (frame === previewFrame) return;
 
-observer.observe(document.body, { childList: true, subtree: true });
+  if (previewFrame) chrome.runtime.sendMessage({ action: 'printPreview', open: false }).catch(() => {});
+  previewFrame = frame;
+  if (!frame) return;
+
+  reportPrintPreview(frame, false);
+  // A frame that was still loading replaces the document that was titled
+  frame.addEventListener('load', () => {
+    if (frame === previewFrame) reportPrintPreview(frame, true);
+  });
+}
+
+function reportPrintPreview(frame, again) {
+  chrome.runtime.sendMessage({
+    action: 'printPreview',
+    open: true,
+    again,
+    src: printPreview.previewSource(frame),
+    data: readTransactionData()
+  }).catch(() => {});
+}
 
 // -- Click interception (capture phase — fires before React) --
 
 document.addEventListener('click', function(e) {
-  let menuItem = e.target.closest('[class*="Menu-menu-list-wrapper"] li[role="menuitem"]');
-  let headerPrint = e.target.closest('[data-automation-id="print-button"]');
+  let menu = menuConfig();
+  if (!menu) return;
+
+  let menuItem = e.target.closest(menu.item);
+  let headerPrint = e.target.closest(menu.printButton);
 
   if (!menuItem && !headerPrint) return;
 
@@ -99,96 +213,315 @@ document.addEventListener('click', function(e) {
   if (headerPrint) {
     action = 'print';
   } else {
-    let text = menuItem.innerText?.trim().toLowerCase();
-    if (text === 'download') action = 'download';
-    else if (text === 'print') action = 'print';
-    else return;
-  }
-
-  let data = readTransactionData();
-  if (!data) return;
-
-  chrome.storage.session.set({
-    pendingRename: {
-      action,
-      num: data.num,
-      customer: data.customer,
-      type: data.type,
-      timestamp: Date.now()
-    }
+    action = rulesLib.menuAction(menu, menuItem.innerText || '');
+    if (!action) return;
+  }
+
+  watchForPreview();
+
+  // Queued right away from what the page shows, so the download can't get
+  // to the background first; corrected if the fields were still settling
+  let typed = override;
+  clearOverride();
+  let shown = tracker?.snapshot.data;
+  let click = crypto.randomUUID();
+  if (shown) queueRename(action, shown, typed, click);
+  settledTransaction().then((data) => {
+    if (!data) return;
+    if (!shown) queueRename(action, data, typed);
+    else if (JSON.stringify(data) !== JSON.stringify(shown)) updateRename(click, data);
+    console.log('[Apex] pending', action, data, typed);
   });
-  console.log('[Apex] pending', action, data);
 }, true);
 
 // -- Hotkey simulation (triggered by background.js commands) --
 
-function clickButton(selector) {
+// Poll for an element that React may not have rendered yet
+function waitForElement(find) {
   return new Promise((resolve) => {
-    let el = document.querySelector(selector);
-    if (el) { el.click(); resolve(true); return; }
+    let el = find();
+    if (el) { resolve(el); return; }
 
     let attempts = 0;
     let poll = setInterval(() => {
-      el = document.querySelector(selector);
-      if (el) { clearInterval(poll); el.click(); resolve(true); }
-      if (++attempts > 40) { clearInterval(poll); resolve(false); }
+      el = find();
+      if (el) { clearInterval(poll); resolve(el); }
+      else if (++attempts > 40) { clearInterval(poll); resolve(null); }
     }, 50);
   });
 }
 
+async function clickButton(selector) {
+  let el = await waitForElement(() => document.querySelector(selector));
+  if (el) el.click();
+  return !!el;
+}
+
+// Footer buttons have no stable automation ids, so match by label
+function findFooterButton(pattern) {
+  let buttons = document.querySelectorAll('[data-automation-id="RethinkLayout_footer"] button');
+  for (let btn of buttons) {
+    if (pattern.test(btn.innerText?.trim() || '')) return btn;
+  }
+  return null;
+}
+
 async function triggerAction(action) {
-  let data = readTransactionData();
+  let data = await settledTransaction();
   if (data) {
-    await chrome.storage.session.set({
-      pendingRename: {
-        action,
-        num: data.num,
-        customer: data.customer,
-        type: data.type,
-        timestamp: Date.now()
-      }
-    });
+    await queueRename(action, data, override);
   }
 
+  let menu = menuConfig();
+  if (!menu) return { ok: false, error: t('errorPageNotReady') };
+
   // Click the "Print or download" footer button to open the menu
-  let footerBtn = document.querySelector('[data-automation-id="RethinkLayout_footer"] button:first-of-type');
-  let headerBtn = document.querySelector('[data-automation-id="print-button"]');
+  let footerBtn = document.querySelector(menu.opener);
+  let headerBtn = document.querySelector(menu.printButton);
   let btn = footerBtn || headerBtn;
   if (btn) btn.click();
 
   // Wait for menu to appear, then click the right item
-  let found = await clickButton('[class*="Menu-menu-list-wrapper"] li[role="menuitem"]');
-  if (!found) return;
+  let found = await clickButton(menu.item);
+  if (!found) return { ok: false, error: t('errorMenuNotFound') };
 
   // Brief delay for menu to fully render
   await new Promise(r => setTimeout(r, 100));
 
   // Match menu items by text content, not positional index (QBO may reorder)
-  let items = document.querySelectorAll('[class*="Menu-menu-list-wrapper"] li[role="menuitem"]');
+  let items = document.querySelectorAll(menu.item);
   let target = action === 'download' ? 'download' : 'print';
   for (let item of items) {
-    if (item.innerText?.trim().toLowerCase() === target) {
+    if (rulesLib.menuAction(menu, item.innerText || '') === target) {
       item.click();
-      break;
+      return { ok: true };
     }
   }
+  return { ok: false, error: t(target === 'download' ? 'errorNoDownloadItem' : 'errorNoPrintItem') };
+}
+
+// Print first so the PDF is named, then open QBO's send/email form
+async function triggerPrintAndEmail() {
+  let result = await triggerAction('print');
+  if (!result.ok) return result;
+
+  let sendBtn = await waitForElement(() => findFooterButton(rulesLib.SEND_BUTTON));
+  if (!sendBtn) return { ok: false, error: t('errorSendNotFound') };
+  sendBtn.click();
+  return { ok: true };
+}
+
+// -- Clipboard --
+
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return { ok: true };
+  } catch {
+    // Clipboard API needs document focus — fall back to execCommand
+    let ta = document.createElement('textarea');
+    ta.value = text;
+    ta.style.position = 'fixed';
+    ta.style.opacity = '0';
+    document.body.appendChild(ta);
+    ta.select();
+    let ok = document.execCommand('copy');
+    ta.remove();
+    return ok ? { ok: true } : { ok: false, error: t('errorClipboard') };
+  }
+}
+
+// -- Page toolbar --
+// Next to QBO's print/download footer button: the name the next PDF will
+// get under the current settings, buttons that download, print or copy it,
+// and a box for another name. A typed name rides along with the next print
+// or download click only (queueRename), then the box empties. Shadow DOM
+// keeps QBO's styles out and ours from leaking into QBO, like batch.js.
+
+const TOOLBAR_CSS = `
+  :host { all: initial; display: inline-block; vertical-align: middle; margin-right: 8px; }
+  .bar {
+    display: flex; align-items: center; gap: 6px; padding: 3px 6px;
+    font: 12px/1.4 system-ui, -apple-system, sans-serif; color: #1a1a2e;
+    background: #fff; border: 1px solid #e2e4e9; border-radius: 6px;
+  }
+  .brand { font-weight: 600; color: #2563eb; }
+  .name { max-width: 280px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-weight: 600; }
+  .name.override { color: #2563eb; }
+  input {
+    width: 150px; padding: 3px 6px; border: 1px solid #e2e4e9; border-radius: 4px;
+    font: inherit; color: inherit; background: #fff;
+  }
+  button {
+    padding: 3px 8px; border: 1px solid #e2e4e9; border-radius: 4px;
+    background: #f4f5f7; color: inherit; font: inherit; cursor: pointer; white-space: nowrap;
+  }
+  button:hover { background: #e9ebf0; }
+  .status { color: #16a34a; }
+  .status.error { color: #dc2626; }
+`;
+
+// { host, name, input, status } once the toolbar is built
+let toolbar = null;
+let toolbarName = '';
+let override = '';
+let statusTimer;
+
+function ensureToolbar() {
+  if (toolbar) return;
+  let host = document.createElement('div');
+  host.id = 'apex-toolbar';
+  let root = host.attachShadow({ mode: 'open' });
+
+  let style = document.createElement('style');
+  style.textContent = TOOLBAR_CSS;
+
+  let bar = document.createElement('div');
+  bar.className = 'bar';
+
+  let brand = document.createElement('span');
+  brand.className = 'brand';
+  brand.textContent = 'Apex';
+
+  let name = document.createElement('span');
+  name.className = 'name';
+
+  let input = document.createElement('input');
+  input.type = 'text';
+  input.spellcheck = false;
+  input.placeholder = t('toolbarNamePlaceholder');
+  input.setAttribute('aria-label', t('toolbarNameLabel'));
+  input.addEventListener('input', () => {
+    override = input.value.trim();
+    updateToolbar();
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') clearOverride();
+  });
+  // Keep typing away from QBO's own keyboard shortcuts
+  for (let type of ['keydown', 'keyup', 'keypress']) input.addEventListener(type, e => e.stopPropagation());
+
+  let status = document.createElement('span');
+  status.className = 'status';
+  status.setAttribute('role', 'status');
+
+  bar.append(
+    brand, name, input,
+    toolbarButton(t('toolbarDownload'), () => runToolbarAction('download')),
+    toolbarButton(t('toolbarPrint'), () => runToolbarAction('print')),
+    toolbarButton(t('toolbarCopy'), copyToolbarName),
+    status
+  );
+  root.replaceChildren(style, bar);
+  toolbar = { host, name, input, status };
+}
+
+function toolbarButton(label, onClick) {
+  let btn = document.createElement('button');
+  btn.type = 'button';
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// Shown on pages with a print/download button and a transaction, while the
+// extension and the toolbar setting are on
+function updateToolbar() {
+  let menu = filenames && settings?.enabled && settings.pageToolbar ? menuConfig() : null;
+  let opener = menu && document.querySelector(menu.opener);
+  let data = opener ? tracker.snapshot.data : null;
+  if (!data) {
+    toolbar?.host.remove();
+    return;
+  }
+
+  ensureToolbar();
+  // React re-renders the footer now and then, dropping the toolbar with it
+  if (toolbar.host.nextElementSibling !== opener) opener.before(toolbar.host);
+
+  let naming = profiles.settingsFor(settings, data);
+  let predicted = filenames.filenameFor(naming, data) + '.pdf';
+  let typed = filenames.overrideName(naming, override);
+  toolbarName = typed ? typed + '.pdf' : filenames.baseName(predicted);
+  if (toolbar.name.textContent !== toolbarName) toolbar.name.textContent = toolbarName;
+  // The full path, folders and all, or what the typed name stands in for
+  toolbar.name.title = typed ? t('toolbarOverrideTitle', filenames.baseName(predicted)) : predicted;
+  toolbar.name.classList.toggle('override', !!typed);
+}
+
+function clearOverride() {
+  override = '';
+  if (toolbar) toolbar.input.value = '';
+  updateToolbar();
+}
+
+async function runToolbarAction(action) {
+  let result = await triggerAction(action);
+  if (!result.ok) showToolbarStatus(result.error, true);
+}
+
+async function copyToolbarName() {
+  let result = await copyText(toolbarName);
+  showToolbarStatus(result.ok ? t('toolbarCopied') : result.error, !result.ok);
+}
+
+function showToolbarStatus(message, isError) {
+  if (!toolbar) return;
+  toolbar.status.textContent = message;
+  toolbar.status.classList.toggle('error', isError);
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => { toolbar.status.textContent = ''; }, isError ? 5000 : 2000);
 }
 
 // -- Message listener --
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.action === 'getTransactionData') {
-    sendResponse(readTransactionData());
-    return;
+    settledTransaction().then(sendResponse);
+    return true;
   }
 
+  // Async responses — keep the channel open so background.js can report failures
   if (msg.action === 'triggerPrint') {
-    triggerAction('print');
-    return;
+    triggerAction('print').then(sendResponse);
+    return true;
   }
 
   if (msg.action === 'triggerDownload') {
-    triggerAction('download');
+    triggerAction('download').then(sendResponse);
+    return true;
+  }
+
+  if (msg.action === 'triggerPrintEmail') {
+    triggerPrintAndEmail().then(sendResponse);
+    return true;
+  }
+
+  if (msg.action === 'getDiagnostics') {
+    sendResponse(diagnostics ? diagnostics.diagnose(document, selectorRules) : null);
+    return;
+  }
+
+  if (msg.action === 'captureSnapshot') {
+    let version = chrome.runtime.getManifest().version;
+    sendResponse(diagnostics ? diagnostics.captureSnapshot(document, { version, rules: selectorRules }) : null);
+    return;
+  }
+
+  // From the selector rules page, with rules that may not be saved yet
+  if (msg.action === 'testSelectorRules') {
+    sendResponse(rulesLib ? rulesLib.testRules(document, msg.rules) : null);
+    return;
+  }
+
+  if (msg.action === 'copyText') {
+    copyText(msg.text).then(sendResponse);
+    return true;
+  }
+
+  // From background.js, which injects this script when nothing answers
+  if (msg.action === 'contentPing') {
+    sendResponse(true);
     return;
   }
 
@@ -199,19 +532,63 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 });
 
 // -- Init --
-// QBO renders fields progressively — retry until customer/vendor appears or we give up
+// QBO renders fields progressively. The tracker reads the page as they
+// arrive; the selectors are checked once a customer or vendor has shown
+// up, or the page has had SETTLE_TIMEOUT to render one.
+
+function startPage() {
+  tracker.reset();
+  tracker.watch();
+  observeForm();
+  tracker.settled({ until: data => !!data?.customer }).then((data) => {
+    reportSelectorHealth();
+    console.log('[Apex] read transaction on', location.href, data);
+  });
+}
 
-function initRead(attempt = 0) {
-  let data = readTransactionData();
-  if (data) {
-    chrome.storage.session.set({ currentTransaction: data });
-    // Retry if customer is missing — QBO renders it late
-    if (!data.customer && attempt < 5) {
-      setTimeout(() => initRead(attempt + 1), 600);
-      return;
-    }
+chrome.storage.onChanged.addListener((changes, area) => {
+  // Rules can point at other fields, and read them differently
+  if (area === 'sync' && changes.selectorRules) {
+    selectorRules = changes.selectorRules.newValue || null;
+    tracker?.watch();
+    tracker?.touch();
   }
-  console.log('[Apex] content script loaded on', location.href, data);
-}
 
-initRead();
+  // A format edited in the popup shows up in the toolbar right away
+  if ((area === 'sync' || area === 'managed') && settingsLib) {
+    settingsLib.getSettings().then((latest) => {
+      settings = latest;
+      updateToolbar();
+    });
+  }
+});
+
+Promise.all([
+  import(chrome.runtime.getURL('lib/extract.js')),
+  import(chrome.runtime.getURL('lib/diagnostics.js')),
+  import(chrome.runtime.getURL('lib/selector-rules.js')),
+  import(chrome.runtime.getURL('lib/print-preview.js')),
+  import(chrome.runtime.getURL('lib/filename.js')),
+  import(chrome.runtime.getURL('lib/settings.js')),
+  import(chrome.runtime.getURL('lib/profiles.js')),
+  import(chrome.runtime.getURL('lib/transaction-state.js')),
+  chrome.storage.sync.get('selectorRules')
+]).then(async ([extractMod, diagnosticsMod, rulesMod, previewMod, filenameMod, settingsMod, profilesMod, stateMod, stored]) => {
+  extract = extractMod;
+  diagnostics = diagnosticsMod;
+  rulesLib = rulesMod;
+  printPreview = previewMod;
+  selectorRules = stored.selectorRules || null;
+  tracker = stateMod.createTransactionTracker({
+    read: readTransactionData,
+    publish: reportTransaction,
+    rules: () => selectorRules
+  });
+  startPage();
+
+  settingsLib = settingsMod;
+  profiles = profilesMod;
+  settings = await settingsMod.getSettings();
+  filenames = filenameMod;
+  updateToolbar();
+});
@@ -0,0 +1,211 @@
+import { DEFAULTS, SETTINGS_VERSION, migrate } from './settings.js';
+import { DATE_FORMATS, validateFormat } from './format.js';
+import { DOC_TYPES } from './doc-types.js';
+import { QBO_LOCALES } from './locales.js';
+import { CONFLICT_POLICIES } from './conflicts.js';
+import { TARGET_OS } from './sanitize.js';
+import { PROFILE_KEYS } from './profiles.js';
+import { validateRule } from './download-rules.js';
+import { validateRules } from './selector-rules.js';
+import { SIDECAR_FORMATS } from './sidecar.js';
+
+// -- Settings backup --
+// The whole configuration as one JSON file, so a team can share a naming
+// convention: export on one machine, check the differences, import on
+// the others. Every key is checked against SETTINGS_SCHEMA before anything
+// is written, and a file from an older version is migrated first.
+
+// Version tag for exported settings files
+const EXPORT_KEY = 'apexSettings';
+
+// Everything but which profile the popup is set to, which is one person's
+// choice
+export const BACKUP_KEYS = Object.keys(DEFAULTS).filter(key => key !== 'profileOverride');
+
+// -- Schema --
+// A small JSON-schema-like description per setting:
+//
+//   type        'boolean' | 'string' | 'integer' | 'object' | 'array'
+//   enum        allowed values
+//   min, max    integer bounds
+//   items       schema for each array item
+//   properties  schemas for an object's known keys; others are errors
+//   keys        allowed keys for a map-like object
+//   values      schema for each value of a map-like object
+//   check       function returning an error message, or ''
+
+const formatString = { type: 'string', check: validateFormat };
+const slugs = DOC_TYPES.map(type => type.slug);
+
+const NAMING_SCHEMA = {
+  format: { type: 'string', check: format => format.trim() ? validateFormat(format) : 'is empty' },
+  typeFormats: { type: 'object', keys: slugs, values: formatString },
+  dateFormat: { type: 'string', enum: DATE_FORMATS },
+  typeLanguage: { type: 'string', enum: Object.keys(QBO_LOCALES) },
+  conflictPolicy: { type: 'string', enum: CONFLICT_POLICIES },
+  typeConflictPolicies: { type: 'object', keys: slugs, values: { type: 'string', enum: CONFLICT_POLICIES } }
+};
+
+const RULE_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    enabled: { type: 'boolean' },
+    types: { type: 'array', items: { type: 'string', enum: slugs } },
+    customer: { type: 'string' },
+    minTotal: { type: 'string' },
+    maxTotal: { type: 'string' },
+    folder: { type: 'string' },
+    copyName: { type: 'string' },
+    open: { type: 'boolean' },
+    reveal: { type: 'boolean' }
+  },
+  // Disabled rules may be unfinished
+  check: rule => rule.enabled ? validateRule(rule) : ''
+};
+
+export const SETTINGS_SCHEMA = {
+  enabled: { type: 'boolean' },
+  ...NAMING_SCHEMA,
+  notifyMode: { type: 'string', enum: ['off', 'badge', 'toast'] },
+  formatPresets: {
+    type: 'array',
+    items: { type: 'object', properties: { name: { type: 'string' }, format: formatString } }
+  },
+  stripSuffixes: { type: 'boolean' },
+  customerAliases: {
+    type: 'array',
+    items: { type: 'object', properties: { from: { type: 'string' }, to: { type: 'string' } } }
+  },
+  maxLength: { type: 'integer', min: 0, max: 240 },
+  targetOs: { type: 'string', enum: TARGET_OS },
+  asciiNames: { type: 'boolean' },
+  downloadRules: { type: 'array', items: RULE_SCHEMA },
+  pageToolbar: { type: 'boolean' },
+  pdfMetadata: { type: 'boolean' },
+  sidecar: { type: 'string', enum: SIDECAR_FORMATS },
+  sidecarName: { type: 'string', check: format => format.trim() ? validateFormat(format) : '' },
+  dailyManifest: { type: 'boolean' },
+  historyLimit: { type: 'integer', min: 0, max: 5000 },
+  diagnostics: { type: 'boolean' },
+  selectorRules: {
+    type: 'object',
+    properties: { fields: { type: 'object' }, menu: { type: 'object' } },
+    check: rules => validateRules(rules).join('; ')
+  },
+  profiles: {
+    type: 'object',
+    values: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        realmId: { type: 'string' },
+        company: { type: 'string' },
+        settings: { type: 'object', properties: Object.fromEntries(PROFILE_KEYS.map(key => [key, NAMING_SCHEMA[key]])) }
+      }
+    }
+  },
+  profileOverride: { type: 'string' }
+};
+
+const TYPE_NAMES = {
+  boolean: 'true or false', string: 'text', integer: 'a whole number', object: 'an object', array: 'a list'
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Error messages for `value`, each starting with its path
+export function validateValue(value, schema, path) {
+  let type = typeOf(value);
+  if (schema.type && type !== schema.type) return [path + ': should be ' + TYPE_NAMES[schema.type]];
+  if (schema.enum && !schema.enum.includes(value)) return [path + ': should be one of ' + schema.enum.join(', ')];
+  if (schema.min !== undefined && value < schema.min) return [path + ': should be at least ' + schema.min];
+  if (schema.max !== undefined && value > schema.max) return [path + ': should be at most ' + schema.max];
+
+  let errors = [];
+  if (type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateValue(item, schema.items, path + '[' + i + ']')));
+  }
+  if (type === 'object') {
+    for (let [key, item] of Object.entries(value)) {
+      let itemSchema = schema.properties ? schema.properties[key] : schema.values;
+      if (schema.keys && !schema.keys.includes(key)) errors.push(path + '.' + key + ': unknown key');
+      else if (schema.properties && !itemSchema) errors.push(path + '.' + key + ': unknown key');
+      else if (itemSchema) errors.push(...validateValue(item, itemSchema, path + '.' + key));
+    }
+  }
+  if (!errors.length && schema.check) {
+    let error = schema.check(value);
+    if (error) errors.push(path + ': ' + error);
+  }
+  return errors;
+}
+
+export function validateSettings(settings) {
+  return Object.entries(settings).flatMap(([key, value]) =>
+    SETTINGS_SCHEMA[key] ? validateValue(value, SETTINGS_SCHEMA[key], key) : [key + ': unknown setting']);
+}
+
+// -- Export / import --
+
+export function exportSettings(settings) {
+  let backup = Object.fromEntries(BACKUP_KEYS.filter(key => key in settings).map(key => [key, settings[key]]));
+  return JSON.stringify({ [EXPORT_KEY]: 1, settingsVersion: SETTINGS_VERSION, settings: backup }, null, 2);
+}
+
+// The settings in an exported file, migrated to this version. Throws with
+// a readable message, one problem per line, when it isn't a valid export.
+export function importSettings(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (e) {
+    throw new Error('Not a JSON file: ' + e.message);
+  }
+  if (parsed?.[EXPORT_KEY] !== 1 || typeOf(parsed.settings) !== 'object') {
+    throw new Error('Not an Apex Explorer settings file');
+  }
+  if (parsed.settingsVersion > SETTINGS_VERSION) {
+    throw new Error('This file is from a newer version of Apex Explorer \u2014 update the extension first');
+  }
+
+  let stored = { ...parsed.settings, settingsVersion: parsed.settingsVersion || 1 };
+  let { set, remove } = migrate(stored);
+  let settings = { ...stored, ...set };
+  for (let key of [...remove, 'settingsVersion']) delete settings[key];
+  delete settings.profileOverride;
+
+  let errors = validateSettings(settings);
+  if (errors.length) throw new Error(errors.join('\n'));
+  return settings;
+}
+
+// What an import would change: [{ key, from, to, locked }], one entry per
+// changed setting, or per changed entry of a setting keyed by type or
+// profile. `locked` settings are set by policy and won't be imported.
+export function diffSettings(current, incoming, locked = []) {
+  let changes = [];
+  let same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  for (let [key, value] of Object.entries(incoming)) {
+    if (same(current[key], value)) continue;
+    let isLocked = locked.includes(key);
+    let schema = SETTINGS_SCHEMA[key];
+    if (schema?.type === 'object' && !schema.properties) {
+      let from = current[key] || {};
+      for (let entry of new Set([...Object.keys(from), ...Object.keys(value)])) {
+        if (!same(from[entry], value[entry])) {
+          changes.push({ key: key + '.' + entry, from: from[entry], to: value[entry], locked: isLocked });
+        }
+      }
+    } else {
+      changes.push({ key, from: current[key], to: value, locked: isLocked });
+    }
+  }
+  return changes;
+}
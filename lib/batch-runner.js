@@ -0,0 +1,156 @@
+import { getSettings } from './settings.js';
+import { notify, notifyFailure } from './notify.js';
+import { QBO_TXN_URL, sendToContent, waitForTransaction, sleep } from './tabs.js';
+
+// -- Batch export --
+// batch.js hands over the rows ticked on a QBO list page. Each transaction
+// opens in one shared background tab and is downloaded through the normal
+// rename pipeline, one at a time with a pause in between so QBO isn't
+// hammered. Progress is mirrored to session storage (batchJob) for the panel.
+
+const BATCH_MIN_DELAY = 2000;
+const BATCH_DOWNLOAD_TIMEOUT = 30000;
+
+let batchJob = null;
+let batchDownloadWaiter = null;
+
+export async function startBatch(items, delayMs) {
+  if (batchJob) return { ok: false, error: 'A batch is already running' };
+
+  let settings = await getSettings();
+  if (!settings.enabled) return { ok: false, error: 'Apex Explorer is turned off' };
+  if (!items?.length) return { ok: false, error: 'No rows selected' };
+
+  batchJob = {
+    status: 'running',
+    delayMs: Math.max(Number(delayMs) || 0, BATCH_MIN_DELAY),
+    startedAt: Date.now(),
+    items: items.map(item => ({ url: item.url, label: item.label, status: 'pending' }))
+  };
+  await saveBatchJob();
+
+  runBatch(settings).catch((e) => {
+    console.log('[Apex] batch aborted:', e.message);
+  }).finally(() => {
+    batchJob = null;
+  });
+  return { ok: true };
+}
+
+async function runBatch(settings) {
+  let job = batchJob;
+  let workerTab = null;
+
+  try {
+    for (let [i, item] of job.items.entries()) {
+      while (job.status === 'paused') await sleep(500);
+      if (job.status === 'cancelling') break;
+
+      item.status = 'running';
+      await saveBatchJob();
+
+      try {
+        if (!QBO_TXN_URL.test(item.url || '')) throw new Error('No supported transaction link in this row');
+        workerTab = await openWorkerTab(workerTab, item.url);
+        item.filename = await downloadInTab(workerTab.id, item.url);
+        item.status = 'done';
+      } catch (e) {
+        item.status = 'failed';
+        item.error = e.message;
+      }
+      await saveBatchJob();
+
+      if (i < job.items.length - 1) await sleep(job.delayMs);
+    }
+  } finally {
+    if (workerTab) chrome.tabs.remove(workerTab.id).catch(() => {});
+  }
+
+  for (let item of job.items) {
+    if (item.status === 'pending') item.status = 'skipped';
+  }
+  job.status = job.status === 'cancelling' ? 'cancelled' : 'finished';
+  job.finishedAt = Date.now();
+  await saveBatchJob();
+
+  let done = job.items.filter(i => i.status === 'done').length;
+  let failed = job.items.filter(i => i.status === 'failed').length;
+  let summary = 'Batch ' + job.status + ': ' + done + ' saved, ' + failed + ' failed';
+  if (failed) notifyFailure(summary, settings.notifyMode);
+  else if (settings.notifyMode !== 'off') notify(summary, settings.notifyMode);
+}
+
+export function controlBatch(action) {
+  if (!batchJob || batchJob.status === 'cancelling') return;
+  if (action === 'batchPause' && batchJob.status === 'running') batchJob.status = 'paused';
+  if (action === 'batchResume' && batchJob.status === 'paused') batchJob.status = 'running';
+  if (action === 'batchCancel') batchJob.status = 'cancelling';
+  saveBatchJob();
+}
+
+function saveBatchJob() {
+  return chrome.storage.session.set({ batchJob });
+}
+
+// Reuse one inactive tab; recreate it if the user closed it mid-batch
+async function openWorkerTab(tab, url) {
+  if (tab) {
+    try {
+      return await chrome.tabs.update(tab.id, { url });
+    } catch {
+      // fall through and open a fresh one
+    }
+  }
+  return chrome.tabs.create({ url, active: false });
+}
+
+async function downloadInTab(tabId, url) {
+  let data = await waitForTransaction(tabId, url);
+  if (!data) throw new Error('Transaction page did not finish loading');
+
+  let { download, cancel } = waitForBatchDownload(tabId);
+  let result = await sendToContent(tabId, { action: 'triggerDownload' });
+  if (!result?.ok) {
+    cancel();
+    throw new Error(result?.error || 'Could not reach the QBO page');
+  }
+  return download;
+}
+
+// Resolved from renameDownload() once a download matched to the batch tab's
+// own intent has been named — a download from another tab doesn't count.
+// cancel() stops waiting; the timer then can't clear a later item's waiter.
+function waitForBatchDownload(tabId) {
+  let waiter, timer;
+  let download = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      if (batchDownloadWaiter === waiter) batchDownloadWaiter = null;
+      reject(new Error('No download started'));
+    }, BATCH_DOWNLOAD_TIMEOUT);
+
+    waiter = {
+      tabId,
+      resolve: (filename) => {
+        clearTimeout(timer);
+        if (batchDownloadWaiter === waiter) batchDownloadWaiter = null;
+        resolve(filename);
+      }
+    };
+    batchDownloadWaiter = waiter;
+  });
+
+  let cancel = () => {
+    clearTimeout(timer);
+    if (batchDownloadWaiter === waiter) batchDownloadWaiter = null;
+  };
+  return { download, cancel };
+}
+
+export function resolveBatchDownload(filename, tabId) {
+  if (batchDownloadWaiter && batchDownloadWaiter.tabId === tabId) batchDownloadWaiter.resolve(filename);
+}
+
+// The panel's Close button — only once the batch has stopped
+export function clearBatch() {
+  if (!batchJob) chrome.storage.session.remove('batchJob');
+}
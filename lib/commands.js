@@ -0,0 +1,70 @@
+import { filenameFor, baseName } from './filename.js';
+import { getSettings } from './settings.js';
+import { settingsFor } from './profiles.js';
+import { notify, notifyFailure } from './notify.js';
+import { QBO_TXN_URL, findQboTab, sendToContent, waitForTransaction } from './tabs.js';
+
+// -- Keyboard commands --
+// Declared in manifest.json "commands". Each one is relayed to the content
+// script of the active QBO transaction tab.
+
+const COMMAND_ACTIONS = {
+  'print-transaction': 'triggerPrint',
+  'download-transaction': 'triggerDownload',
+  'print-and-email': 'triggerPrintEmail'
+};
+
+export async function runCommand(command, tab) {
+  let settings = await getSettings();
+  if (!settings.enabled) return;
+
+  let qboTab = await findQboTab(tab);
+  if (!qboTab) {
+    notifyFailure('Open a QuickBooks transaction first', settings.notifyMode);
+    return;
+  }
+
+  if (command === 'copy-filename') {
+    await copyFilename(qboTab.id, settings);
+    return;
+  }
+
+  let action = COMMAND_ACTIONS[command];
+  if (!action) return;
+
+  let result = await sendToContent(qboTab.id, { action });
+  if (!result?.ok) {
+    notifyFailure(result?.error || 'Could not reach the QBO page', settings.notifyMode);
+  }
+}
+
+async function copyFilename(tabId, settings) {
+  let data = await sendToContent(tabId, { action: 'getTransactionData' });
+  if (!data) {
+    notifyFailure('No transaction data on this page', settings.notifyMode);
+    return;
+  }
+
+  let filename = baseName(filenameFor(settingsFor(settings, data), data)) + '.pdf';
+
+  let result = await sendToContent(tabId, { action: 'copyText', text: filename });
+  if (result?.ok) {
+    if (settings.notifyMode !== 'off') notify('Copied: ' + filename, settings.notifyMode);
+  } else {
+    notifyFailure(result?.error || 'Could not copy filename', settings.notifyMode);
+  }
+}
+
+// -- Re-download from history --
+// The original blob URL is long gone, so reopen the transaction page and
+// drive its download menu like the hotkey does.
+
+export async function redownload(url) {
+  if (!QBO_TXN_URL.test(url || '')) return { ok: false, error: 'No QBO transaction page recorded' };
+
+  let tab = await chrome.tabs.create({ url, active: true });
+  let ready = await waitForTransaction(tab.id, url);
+  if (!ready) return { ok: false, error: 'Transaction page did not finish loading' };
+
+  return sendToContent(tab.id, { action: 'triggerDownload' });
+}
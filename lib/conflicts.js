@@ -0,0 +1,106 @@
+import { typeSlug, formatUsesToken } from './format.js';
+import { updateStorage } from './storage.js';
+
+// -- Duplicate filename handling --
+// What happens when a renamed download lands on a name that's already in
+// the folder, set globally (`conflictPolicy`) and per type
+// (`typeConflictPolicies`, keyed by DOC_TYPES slug):
+//
+//   uniquify   Chrome adds " (1)", " (2)", …
+//   overwrite  the new file replaces the old one
+//   revision   the {rev} token counts the times Apex produced the name:
+//              blank the first time, then "Rev2", "Rev3", …
+//   prompt     Chrome's Save As dialog
+
+export const CONFLICT_POLICIES = ['uniquify', 'overwrite', 'revision', 'prompt'];
+
+// Chrome's conflictAction for each policy. Revisions fall back to
+// uniquify, for a file that was already there before Apex counted it.
+const CONFLICT_ACTIONS = {
+  uniquify: 'uniquify',
+  overwrite: 'overwrite',
+  revision: 'uniquify',
+  prompt: 'prompt'
+};
+
+export function conflictPolicyFor(settings, type) {
+  let policy = settings.typeConflictPolicies?.[typeSlug(type)] || settings.conflictPolicy;
+  return CONFLICT_POLICIES.includes(policy) ? policy : 'uniquify';
+}
+
+export function conflictActionFor(policy) {
+  return CONFLICT_ACTIONS[policy] || 'uniquify';
+}
+
+// A format without {rev} gets it at the end, so choosing the revision
+// policy works without editing every format
+export function formatWithRevision(format) {
+  return formatUsesToken(format, 'rev') ? format : format + '[ {rev}]';
+}
+
+export function revisionLabel(revision) {
+  return revision > 1 ? 'Rev' + revision : '';
+}
+
+// -- Produced filenames --
+// storage.local `fileRevisions`: the name each rename produced before {rev}
+// was filled in (lowercased — Windows and macOS folders ignore case) → the
+// last revision handed out. Kept apart from the rename history so turning
+// history off doesn't restart the count.
+
+const REVISIONS_KEPT = 5000;
+
+function revisionKey(filename) {
+  return filename.toLowerCase();
+}
+
+// Hands out the next revision of a name, counting this one
+export async function claimRevision(filename) {
+  let key = revisionKey(filename);
+  let revision = 1;
+  await updateStorage('local', 'fileRevisions', {}, (revisions) => {
+    revision = (revisions[key] || 0) + 1;
+    // Re-insert so the object stays in least-recently-used order
+    delete revisions[key];
+    revisions[key] = revision;
+    let keys = Object.keys(revisions);
+    for (let old of keys.slice(0, keys.length - REVISIONS_KEPT)) delete revisions[old];
+    return revisions;
+  });
+  return revision;
+}
+
+// A download that was cancelled or failed gives its revision back, if no
+// later download has claimed the next one
+export function releaseRevision(filename, revision) {
+  let key = revisionKey(filename);
+  return updateStorage('local', 'fileRevisions', {}, (revisions) => {
+    if (revisions[key] !== revision) return null;
+    if (revision > 1) revisions[key] = revision - 1;
+    else delete revisions[key];
+    return revisions;
+  });
+}
+
+// Downloads still in flight that claimed a revision, in storage.session
+// `revisionDownloads`: downloadId → { name, revision }
+export function trackRevision(downloadId, name, revision) {
+  return updateStorage('session', 'revisionDownloads', {}, (pending) => {
+    pending[downloadId] = { name, revision };
+    return pending;
+  });
+}
+
+// Wired to chrome.downloads.onChanged
+export function settleRevision(delta) {
+  let state = delta.state?.current;
+  if (state !== 'complete' && state !== 'interrupted') return;
+
+  updateStorage('session', 'revisionDownloads', {}, (pending) => {
+    let entry = pending[delta.id];
+    if (!entry) return null;
+    if (state === 'interrupted') releaseRevision(entry.name, entry.revision);
+    delete pending[delta.id];
+    return pending;
+  });
+}
@@ -0,0 +1,144 @@
+import { escapeRegExp } from './locales.js';
+
+// -- Customer names --
+// QBO's name field holds the whole sub-customer path ("Bison Pumps, LLC
+// (Houston Yard):Job 14") with any legal suffix. filenameFor() runs every
+// transaction through normalizeCustomer() before it's named:
+//
+//   {parent}    the top-level customer
+//   {job}       the last sub-customer, '' for a plain customer
+//   {customer}  the whole path, " - " between its parts
+//
+// Each part goes through the user's alias table, matched on the whole name
+// ignoring case and spacing, then has its legal suffix stripped if that's
+// switched on. Aliases apply to vendors and payees too — they come in the
+// same field.
+
+export const LEGAL_SUFFIXES = [
+  'LLC', 'L.L.C.', 'PLLC', 'LLP', 'L.L.P.', 'LP', 'L.P.',
+  'Inc', 'Inc.', 'Incorporated', 'Corp', 'Corp.', 'Corporation',
+  'Ltd', 'Ltd.', 'Limited', 'Pty Ltd', 'Pty. Ltd.', 'PLC', 'P.C.', 'PC', 'ULC',
+  'GmbH', 'AG', 'S.A.', 'SA', 'SARL', 'SAS', 'S.\u00e0 r.l.', 'Lt\u00e9e', 'B.V.', 'N.V.'
+];
+
+// A suffix after a comma or space, at the end of the name or just before
+// a closing "(…)" like QBO's location in parentheses
+const SUFFIX_PATTERN = new RegExp(
+  '(?:,\\s*|\\s+)(?:' + [...LEGAL_SUFFIXES].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|') + ')'
+  + '(?=\\s*(?:\\([^()]*\\))?$)',
+  'i'
+);
+
+// QBO separates sub-customers with ":"
+export function splitCustomer(name) {
+  return (name || '').split(/\s*:+\s*/).map(part => part.trim()).filter(Boolean);
+}
+
+export function stripLegalSuffix(name) {
+  let stripped = name;
+  for (let previous = ''; previous !== stripped;) {
+    previous = stripped;
+    stripped = stripped.replace(SUFFIX_PATTERN, '').trim();
+  }
+  // A name that's nothing but a suffix stays as it is
+  return stripped || name;
+}
+
+export function aliasKey(name) {
+  return name.normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function aliasMap(aliases = []) {
+  return new Map(aliases.filter(a => a.from?.trim() && a.to?.trim()).map(a => [aliasKey(a.from), a.to.trim()]));
+}
+
+// { customer, parent, job } for a raw QBO name under the given settings
+export function normalizeCustomer(name, { customerAliases, stripSuffixes } = {}) {
+  let aliases = aliasMap(customerAliases);
+  let alias = (part) => aliases.get(aliasKey(part));
+
+  // An alias for the whole path replaces it outright
+  let whole = name ? alias(name) : undefined;
+  let parts = whole ? [whole] : splitCustomer(name).map((part) => {
+    let named = alias(part);
+    if (named) return named;
+    if (!stripSuffixes) return part;
+    let stripped = stripLegalSuffix(part);
+    return alias(stripped) || stripped;
+  });
+
+  return {
+    customer: parts.join(' - '),
+    parent: parts[0] || '',
+    job: parts.length > 1 ? parts[parts.length - 1] : ''
+  };
+}
+
+// -- Alias CSV import --
+// Two columns, QBO name then alias. A "from,to" or "customer,alias" header
+// row is skipped. Returns { aliases, errors } with 1-based line numbers.
+
+const HEADER = /^(?:from|customer|name|qbo name)$/i;
+
+export function parseAliasCsv(text) {
+  let aliases = [];
+  let errors = [];
+
+  parseCsv(text).forEach((cells, i) => {
+    let [from = '', to = ''] = cells.map(cell => cell.trim());
+    if (!from && !to) return;
+    if (i === 0 && HEADER.test(from)) return;
+    if (!from || !to) {
+      errors.push('Line ' + (i + 1) + ': needs a QBO name and an alias');
+      return;
+    }
+    aliases.push({ from, to });
+  });
+  return { aliases, errors };
+}
+
+// Imported aliases replace existing ones for the same name; the rest keep
+// their place
+export function mergeAliases(existing, imported) {
+  let merged = new Map(existing.map(alias => [aliasKey(alias.from), alias]));
+  for (let alias of imported) merged.set(aliasKey(alias.from), alias);
+  return [...merged.values()];
+}
+
+// RFC 4180 rows: quoted cells may hold commas, quotes ("") and line breaks
+function parseCsv(text) {
+  let rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  text = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    let ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows;
+}
@@ -0,0 +1,149 @@
+import { typeSlug } from './format.js';
+import { DOC_TYPES, docTypeForUrl, docTypeNames } from './doc-types.js';
+import { escapeRegExp } from './locales.js';
+import { readTransactionData, FIELD_CHAINS } from './extract.js';
+
+// -- Selector diagnostics --
+// Loaded by content.js next to lib/extract.js. When Intuit changes its
+// markup, extraction quietly degrades to label fallbacks and then to nothing;
+// this turns the extraction trace into a health verdict and a page snapshot
+// that can be dropped into test/fixtures.
+
+// The fields a page of this type always has — these drive the verdict. The
+// rest are legitimately missing on some documents and only show up in the
+// trace. Journal entries have no name; reports have neither number nor name.
+export function requiredFields(docType) {
+  if (docType?.kind === 'report') return ['type'];
+  return docType?.party === 'none' ? ['num'] : ['num', 'customer'];
+}
+
+export function isDocumentPage(doc = document) {
+  return !!docTypeForUrl(doc.location.href);
+}
+
+export function diagnose(doc = document, rules = null) {
+  let trace = {};
+  let data = readTransactionData(doc, { trace, rules });
+  // Secondary fields are only read once num or customer is found
+  for (let field of Object.keys(FIELD_CHAINS)) trace[field] ??= { via: 'none', selector: '', primaryFound: false };
+  let required = requiredFields(docTypeForUrl(doc.location.href));
+  return { data, trace, health: selectorHealth(trace, required) };
+}
+
+// 'ok': every required field has its data-automation-id element.
+// 'degraded': one is missing and a fallback (or nothing) stood in.
+// 'broken': no required field could be read at all.
+export function selectorHealth(trace, required = requiredFields(null)) {
+  let problems = [];
+  for (let field of required) {
+    let entry = trace[field] || { via: 'none' };
+    // The user's own rule for this field is working — nothing to report
+    if (entry.via === 'custom') continue;
+    if (entry.via === 'none' && !entry.primaryFound) problems.push(field + ': no selector matched');
+    else if (!entry.primaryFound) problems.push(field + ': primary selector missing, read via ' + entry.selector);
+  }
+
+  let broken = required.every(field => (trace[field]?.via || 'none') === 'none');
+  let status = broken ? 'broken' : problems.length ? 'degraded' : 'ok';
+  return { status, problems };
+}
+
+// -- Page snapshot --
+
+const DROP_ELEMENTS = 'script, style, link, meta, svg, img, iframe, noscript, template, canvas, video, object';
+const KEEP_ATTRIBUTES = ['id', 'class', 'for', 'type', 'role', 'name', 'value', 'data-automation-id', 'aria-label'];
+// Elements whose text is UI copy rather than customer data. Buttons and
+// menu entries aren't: QBO puts names and numbers in them too.
+const LABEL_ELEMENTS = 'label, dt, th, legend';
+const ROOT_SELECTOR = '[class*="Trowser" i], [role="dialog"], form';
+const ANCHOR_SELECTOR = '[data-automation-id="reference_number"], [data-automation-id="RethinkLayout_header"], '
+  + '[class*="txp-capability-formTitle"], [class*="TrowserHeader-headerTitleText"]';
+
+// The transaction form with every customer value masked: letters become
+// x/X and digits 9, so "Bison Pumps $1,200.50 2/4/2026" keeps its shape
+// ("Xxxxx Xxxxx $9,999.99 9/9/9999") and still exercises the parsers.
+// Labels, transaction type names and the attributes the selector chains
+// use are kept, with the extraction trace in a leading comment.
+export function captureSnapshot(doc = document, { version = '', rules = null } = {}) {
+  let { data, trace, health } = diagnose(doc, rules);
+
+  let anchor = doc.querySelector(ANCHOR_SELECTOR);
+  let root = anchor?.closest(ROOT_SELECTOR) || doc.body;
+  let parts = [sanitizeTree(root)];
+
+  // The company name lives in the global header, outside the form
+  let company = doc.querySelector(FIELD_CHAINS.company.join(', '));
+  if (company && !root.contains(company)) parts.unshift(sanitizeTree(company));
+
+  let header = {
+    url: doc.location.origin + doc.location.pathname,
+    captured: new Date().toISOString(),
+    version,
+    rules,
+    health,
+    trace
+  };
+  let comment = 'Apex Explorer page snapshot\n' + JSON.stringify(header, null, 2);
+
+  let html = '<!DOCTYPE html>\n<!--\n' + comment.replaceAll('--', '- -') + '\n-->\n'
+    + '<html>\n<head><title>' + (data?.type || 'QuickBooks') + ' | QuickBooks</title></head>\n<body>\n'
+    + parts.map(el => el.outerHTML).join('\n') + '\n</body>\n</html>\n';
+
+  let filename = 'apex-snapshot-' + (typeSlug(data?.type) || 'page') + '-'
+    + new Date().toISOString().slice(0, 10) + '.html';
+
+  return { html, filename, health };
+}
+
+function sanitizeTree(source) {
+  let clone = source.cloneNode(true);
+
+  // cloneNode copies attributes, not what the user typed — carry live values over
+  let liveFields = source.querySelectorAll('input, textarea, select');
+  clone.querySelectorAll('input, textarea, select').forEach((field, i) => {
+    let value = liveFields[i].value || '';
+    if (field.matches('textarea')) field.textContent = value;
+    else if (field.matches('input')) field.setAttribute('value', value);
+  });
+
+  for (let el of clone.querySelectorAll(DROP_ELEMENTS)) el.remove();
+
+  for (let el of [clone, ...clone.querySelectorAll('*')]) {
+    for (let attr of [...el.attributes]) {
+      if (!KEEP_ATTRIBUTES.includes(attr.name)) el.removeAttribute(attr.name);
+    }
+    // Inputs, options, buttons: any value may be customer data
+    if (el.hasAttribute('value')) {
+      el.setAttribute('value', maskText(el.getAttribute('value')));
+    }
+  }
+
+  let { NodeFilter, Node } = clone.ownerDocument.defaultView;
+  let walker = clone.ownerDocument.createTreeWalker(clone, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_COMMENT);
+  let nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  for (let node of nodes) {
+    if (node.nodeType === Node.COMMENT_NODE) node.remove();
+    else if (!isLabelText(node)) node.textContent = maskText(node.textContent);
+  }
+
+  return clone;
+}
+
+function isLabelText(node) {
+  if (node.parentElement?.closest(LABEL_ELEMENTS)) return true;
+  let text = node.textContent.trim();
+  return Object.values(FIELD_CHAINS).flat()
+    .some(entry => typeof entry !== 'string' && entry.label.test(text));
+}
+
+// Transaction type names, in every locale, stay readable so header
+// fallbacks still work
+const TYPE_NAMES = new RegExp('(?<![\\p{L}\\p{N}])(' + DOC_TYPES.flatMap(docTypeNames).map(escapeRegExp).join('|') + ')(?![\\p{L}\\p{N}])', 'iu');
+
+export function maskText(text) {
+  return text.split(TYPE_NAMES).map((part, i) => i % 2
+    ? part
+    : part.replace(/\p{Lu}/gu, 'X').replace(/\p{Ll}/gu, 'x').replace(/\p{N}/gu, '9')
+  ).join('');
+}
@@ -0,0 +1,127 @@
+import { localizedTypeNames, typeNameIn, escapeRegExp } from './locales.js';
+
+// -- Document type registry --
+// Every QBO document Apex names. The content script URL patterns, the
+// QBO-filename parser, {type|abbr}, the popup's per-type format list and the
+// batch panel's type column lookup are all generated from this list, so
+// supporting a new document is a matter of adding an entry here.
+//
+// slug     key for per-type formats (typeFormats) — never change one
+// label    what {type} renders
+// abbr     what {type|abbr} renders
+// names    what US QBO calls it: the prefix of its download filename
+//          ("Invoice 1042.pdf") and the list page type column. Other
+//          editions' names come from the locale packs in lib/locales.js.
+// paths    URL paths under /app/ that show the document; none means it is
+//          only printed from another page (a packing slip from its invoice)
+// query    query parameters that tell apart documents sharing a path
+// party    whose name {customer} holds: 'customer', 'vendor', 'payee' or 'none'
+// kind     'transaction' (numbered) or 'report' (dated by {period})
+// format   default format when the user hasn't set one for the type —
+//          only for documents the global format can't name
+
+export const DOC_TYPES = [
+  { slug: 'estimate', label: 'Estimate', abbr: 'EST', names: ['Estimate'], paths: ['estimate'], party: 'customer' },
+  { slug: 'invoice', label: 'Invoice', abbr: 'INV', names: ['Invoice'], paths: ['invoice'], party: 'customer' },
+  { slug: 'salesreceipt', label: 'Sales Receipt', abbr: 'SR', names: ['Sales Receipt'], paths: ['salesreceipt'], party: 'customer' },
+  { slug: 'purchaseorder', label: 'Purchase Order', abbr: 'PO', names: ['Purchase Order'], paths: ['purchaseorder'], party: 'vendor' },
+  { slug: 'creditmemo', label: 'Credit Memo', abbr: 'CM', names: ['Credit Memo'], paths: ['creditmemo'], party: 'customer' },
+  { slug: 'bill', label: 'Bill', abbr: 'BILL', names: ['Bill'], paths: ['bill'], party: 'vendor' },
+  { slug: 'refundreceipt', label: 'Refund Receipt', abbr: 'RR', names: ['Refund Receipt'], paths: ['refundreceipt'], party: 'customer' },
+  { slug: 'statement', label: 'Statement', abbr: 'STMT', names: ['Statement'], paths: ['statement'], party: 'customer' },
+  { slug: 'packingslip', label: 'Packing Slip', abbr: 'PS', names: ['Packing Slip', 'Delivery Note'], paths: [], party: 'customer' },
+  { slug: 'check', label: 'Check', abbr: 'CHK', names: ['Check', 'Cheque'], paths: ['check'], party: 'payee' },
+  { slug: 'expense', label: 'Expense', abbr: 'EXP', names: ['Expense'], paths: ['expense'], party: 'payee' },
+  { slug: 'journal', label: 'Journal Entry', abbr: 'JE', names: ['Journal Entry', 'Journal'], paths: ['journal'], party: 'none' },
+  { slug: 'vendorcredit', label: 'Vendor Credit', abbr: 'VC', names: ['Vendor Credit'], paths: ['vendorcredit'], party: 'vendor' },
+  { slug: 'receivepayment', label: 'Payment', abbr: 'PMT', names: ['Receive Payment', 'Payment'], paths: ['recvpayment'], party: 'customer' },
+  { slug: 'deposit', label: 'Deposit', abbr: 'DEP', names: ['Deposit'], paths: ['deposit'], party: 'none' },
+  {
+    slug: 'profitandloss', label: 'Profit and Loss', abbr: 'PL', names: ['Profit and Loss'],
+    paths: ['reportv2'], query: { token: 'PANDL' }, party: 'none', kind: 'report',
+    format: '{type}[ - {period}]'
+  },
+  {
+    slug: 'balancesheet', label: 'Balance Sheet', abbr: 'BS', names: ['Balance Sheet'],
+    paths: ['reportv2'], query: { token: 'BAL_SHEET' }, party: 'none', kind: 'report',
+    format: '{type}[ - {period}]'
+  }
+].map(type => ({ kind: 'transaction', query: {}, ...type }));
+
+// slug → label, in registry order
+export const DOC_LABELS = Object.fromEntries(DOC_TYPES.map(type => [type.slug, type.label]));
+
+const QBO_APP = 'https://qbo.intuit.com/app/';
+
+// Every name a type goes by, in US QBO and every locale pack
+export function docTypeNames(type) {
+  return [...new Set([type.label, ...type.names, ...localizedTypeNames(type.slug)])];
+}
+
+const NAME_INDEX = new Map(DOC_TYPES.flatMap(type =>
+  [type.slug, ...docTypeNames(type)].map(name => [name.toLowerCase(), type])));
+
+// Longest first, so "Journal Entry 12" isn't read as a "Journal"
+const ALL_NAMES = [...new Set(DOC_TYPES.flatMap(docTypeNames))].sort((a, b) => b.length - a.length);
+
+const ALL_PATHS = [...new Set(DOC_TYPES.flatMap(type => type.paths))];
+
+// -- Lookups --
+
+// By slug, label or any QBO name in any locale, case-insensitive
+export function docTypeForLabel(text) {
+  return NAME_INDEX.get((text || '').trim().toLowerCase()) || null;
+}
+
+// What {type} renders: the type's name in the chosen locale pack, else its
+// label. Text that isn't a known type passes through.
+export function typeLabelIn(language, text) {
+  let type = docTypeForLabel(text);
+  return type ? typeNameIn(language, type.slug) || type.label : text;
+}
+
+export function docTypeForUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.origin + '/app/' !== QBO_APP) return null;
+
+  let path = parsed.pathname.slice('/app/'.length).replace(/\/$/, '');
+  return DOC_TYPES.find(type => type.paths.includes(path)
+    && Object.entries(type.query).every(([key, value]) => parsed.searchParams.get(key) === value)) || null;
+}
+
+// The page that shows a document of this type, for building links
+export function docTypeUrl(type, params = {}) {
+  if (!type?.paths.length) return '';
+  let search = new URLSearchParams({ ...type.query, ...params });
+  return QBO_APP + type.paths[0] + (search.size ? '?' + search : '');
+}
+
+// -- Generated matchers --
+
+// Content script match patterns: each path bare and with a query, so
+// /app/bill doesn't also catch /app/billpayment
+export const DOC_URL_PATTERNS = ALL_PATHS.flatMap(path => [QBO_APP + path, QBO_APP + path + '?*']);
+
+export const QBO_DOC_URL = new RegExp('^' + escapeRegExp(QBO_APP) + '(' + ALL_PATHS.map(escapeRegExp).join('|') + ')/?(\\?|#|$)');
+
+// QBO's download names: "Invoice 1042.pdf", "Facture 1042.pdf", "Journal
+// Entry 12.pdf", or for reports "Profit and Loss.pdf" — optionally after a
+// "Company_" prefix
+const QBO_FILENAME = new RegExp('^(?:[^/_]*_)?(' + ALL_NAMES.map(escapeRegExp).join('|') + ')(?:\\s+(\\d+))?(?=[\\s._(-]|$)', 'i');
+
+// Fallback: parse QBO's default filename for partial data. Numbered types
+// need their number; reports are recognized by name alone.
+export function parseQboFilename(filename) {
+  let match = filename?.match(QBO_FILENAME);
+  if (!match) return null;
+
+  let type = docTypeForLabel(match[1]);
+  let num = match[2] || '';
+  if (type.kind === 'transaction' && !num) return null;
+  return { type: type.label, num, customer: '' };
+}
@@ -0,0 +1,194 @@
+import { validateFormat, typeSlug } from './format.js';
+import { buildFilename, buildFolder, namingData } from './filename.js';
+import { normalizeCustomer, aliasKey } from './customers.js';
+import { getSettings } from './settings.js';
+import { updateStorage } from './storage.js';
+import { notifyDownload, notifyFailure } from './notify.js';
+import { noteRuleErrors } from './history.js';
+import { readPdfInTab } from './tabs.js';
+
+// -- Download rules --
+// What to do with a renamed PDF beyond naming it, edited on the options
+// page. Every enabled rule whose conditions all hold applies:
+//
+//   types     DOC_TYPES slugs; none means any type
+//   customer  text the QBO name or its normalized name contains, ignoring case
+//   minTotal  amount bounds, '' for none; a bound skips documents
+//   maxTotal  without a total
+//   folder    format for a folder under Downloads ("Clients/{customer}/{year}")
+//   copyName  format for a second copy, relative to Downloads like a name
+//   open      open the file once it's downloaded
+//   reveal    a "Show in folder" button on the finished download's toast
+//
+// chrome.downloads can't move a file once it's written, so the folder is
+// part of the name renameDownload() suggests; the first matching rule with
+// a folder picks it. The rest waits in storage.session for the download to
+// complete (runDownloadRules, on chrome.downloads.onChanged).
+
+export function newRule(name) {
+  return {
+    name, enabled: true, types: [], customer: '', minTotal: '', maxTotal: '',
+    folder: '', copyName: '', open: false, reveal: false
+  };
+}
+
+function amount(text) {
+  return String(text ?? '').trim() === '' ? null : Number(text);
+}
+
+// Returns an error message for a rule that can't run, or ''
+export function validateRule(rule) {
+  for (let [field, label] of [['folder', 'Folder'], ['copyName', 'Copy name']]) {
+    let error = rule[field]?.trim() ? validateFormat(rule[field]) : '';
+    if (error) return label + ': ' + error;
+  }
+  let min = amount(rule.minTotal);
+  let max = amount(rule.maxTotal);
+  if (Number.isNaN(min) || Number.isNaN(max)) return 'Amounts must be numbers';
+  if (min !== null && max !== null && min > max) return 'The minimum amount is above the maximum';
+  if (!rule.folder?.trim() && !rule.copyName?.trim() && !rule.open && !rule.reveal) return 'Pick at least one action';
+  return '';
+}
+
+export function ruleMatches(rule, data, settings = {}) {
+  if (rule.types?.length && !rule.types.includes(typeSlug(data.type))) return false;
+
+  let customer = aliasKey(rule.customer || '');
+  if (customer) {
+    let names = [data.customer || '', normalizeCustomer(data.customer, settings).customer];
+    if (!names.some(name => aliasKey(name).includes(customer))) return false;
+  }
+
+  let min = amount(rule.minTotal);
+  let max = amount(rule.maxTotal);
+  if (min === null && max === null) return true;
+  let total = amount(data.total);
+  if (total === null || Number.isNaN(total)) return false;
+  return (min === null || total >= min) && (max === null || total <= max);
+}
+
+export function matchingRules(settings, data) {
+  return (settings.downloadRules || []).filter(rule =>
+    rule.enabled && !validateRule(rule) && ruleMatches(rule, data, settings));
+}
+
+// What the rules do with one download: { folder, actions }. `folder` is ''
+// for none; each action is { rule, copy, open, reveal } with `copy` the
+// copy's path, or ''.
+export function planRules(settings, data) {
+  let rules = matchingRules(settings, data);
+  let naming = namingData(settings, data);
+  let withFolder = rules.find(rule => rule.folder.trim());
+
+  return {
+    folder: withFolder ? buildFolder(withFolder.folder, naming) : '',
+    actions: rules
+      .filter(rule => rule.copyName.trim() || rule.open || rule.reveal)
+      .map(rule => ({
+        rule: rule.name,
+        copy: rule.copyName.trim() ? buildFilename(rule.copyName, naming) + '.pdf' : '',
+        open: rule.open,
+        reveal: rule.reveal
+      }))
+  };
+}
+
+// -- After the download --
+// ruleActions in storage.session: { [downloadId]: { filename, actions, tabIds } }
+// for renamed downloads, with the QBO tabs its PDF can be read in, and { copyOf, rule } for the copies rules started.
+
+function updatePending(mutate) {
+  return updateStorage('session', 'ruleActions', {}, mutate);
+}
+
+export function queueRuleActions(downloadId, filename, actions, tabIds = []) {
+  if (!actions.length) return;
+  return updatePending(pending => ({ ...pending, [downloadId]: { filename, actions, tabIds } }));
+}
+
+async function takePending(downloadId) {
+  let entry = null;
+  await updatePending((pending) => {
+    entry = pending[downloadId];
+    if (!entry) return null;
+    delete pending[downloadId];
+    return pending;
+  });
+  return entry;
+}
+
+// Wired to chrome.downloads.onChanged
+export async function runDownloadRules(delta) {
+  let state = delta.state?.current;
+  if (state !== 'complete' && state !== 'interrupted') return;
+
+  let entry = await takePending(delta.id);
+  if (!entry) return;
+  let settings = await getSettings();
+
+  if (entry.copyOf) {
+    if (state === 'interrupted') {
+      reportRuleErrors(entry.copyOf, [ruleError(entry.rule, 'the copy failed (' + (delta.error?.current || 'interrupted') + ')')], settings);
+    }
+    return;
+  }
+  if (state !== 'complete') return;
+
+  let errors = [];
+  let buttons = new Set();
+  for (let action of entry.actions) {
+    if (action.copy) {
+      let error = await saveCopy(delta.id, action, entry.tabIds || []);
+      if (error) errors.push(ruleError(action.rule, 'could not save a copy (' + error + ')'));
+    }
+
+    if (action.open) {
+      try {
+        await chrome.downloads.open(delta.id);
+      } catch (e) {
+        // Chrome may only open files in answer to a click — offer one
+        errors.push(ruleError(action.rule, 'could not open the file (' + e.message + ')'));
+        buttons.add('open');
+      }
+    }
+
+    if (action.reveal) buttons.add('reveal');
+  }
+
+  // The rule asked for the buttons, so they get a toast even in badge-only mode
+  if (buttons.size && settings.notifyMode !== 'off') {
+    notifyDownload('Saved as: ' + entry.filename, delta.id, [...buttons]);
+  }
+  reportRuleErrors(delta.id, errors, settings);
+}
+
+// The copy is the same PDF saved again as a data: URL. QBO's blob: URLs only
+// work in the page that made them, so it's read in that QBO tab; a PDF
+// replaced with one that has properties is a data: URL already.
+async function saveCopy(downloadId, action, tabIds) {
+  let [item] = await chrome.downloads.search({ id: downloadId });
+  if (!item) return 'the download is gone';
+  let url = item.finalUrl || item.url;
+  if (!url.startsWith('data:')) {
+    let pdf = await readPdfInTab(url, tabIds);
+    if (pdf.error) return pdf.error;
+    url = 'data:application/pdf;base64,' + pdf.base64;
+  }
+  try {
+    let copyId = await chrome.downloads.download({ url, filename: action.copy, conflictAction: 'uniquify' });
+    await updatePending(pending => ({ ...pending, [copyId]: { copyOf: downloadId, rule: action.rule } }));
+    return '';
+  } catch (e) {
+    return e.message;
+  }
+}
+
+function ruleError(rule, problem) {
+  return 'Rule "' + rule + '": ' + problem;
+}
+
+function reportRuleErrors(downloadId, errors, settings) {
+  if (!errors.length) return;
+  notifyFailure(errors.join('\n'), settings.notifyMode);
+  noteRuleErrors(downloadId, errors);
+}
@@ -0,0 +1,419 @@
+import { docTypeForUrl, docTypeForLabel } from './doc-types.js';
+import { typeFromNumberLabel, partyLabels, fieldLabels, numberFormat, escapeRegExp } from './locales.js';
+
+// Loaded by content.js through a dynamic import (content scripts can't be
+// ES modules). Every reader takes the document explicitly so the test suite
+// can run it against saved QBO pages in jsdom.
+
+// -- DOM data extraction --
+
+// Options:
+// - trace: an object to fill with where each field came from (see
+//   lib/diagnostics.js): trace[field] = { via, selector, primaryFound }, where
+//   via is 'custom' (a user rule), 'primary' (a data-automation-id hook),
+//   'fallback' or 'none', and primaryFound says whether a primary element
+//   exists at all, even if blank.
+// - rules: the user's `selectorRules` setting (see lib/selector-rules.js).
+//   A field's rules are tried before the built-in chain.
+export function readTransactionData(doc = document, { trace = null, rules = null } = {}) {
+  let custom = (field) => customField(doc, rules?.fields?.[field], trace, field);
+  let pageType = docTypeForUrl(doc.location.href);
+  let format = numberFormat(doc);
+  if (pageType?.kind === 'report') return readReport(doc, pageType, custom, trace, format);
+
+  let num = custom('num');
+  let type = custom('type');
+  let customer = custom('customer');
+
+  // Primary: data-automation-id is Intuit's QA hook, most stable selector
+  let refInput = doc.querySelector(REFERENCE_SELECTOR);
+  if (refInput && num == null) {
+    let value = refInput.value?.trim();
+    if (value) {
+      num = value;
+      note(trace, 'num', 'primary', REFERENCE_SELECTOR);
+    }
+  }
+  if (refInput && type == null) {
+    // The aria-label on this input tells us the type: "Estimate number",
+    // "Invoice number", "Numéro de facture", etc.
+    let label = typeFromNumberLabel(refInput.getAttribute('aria-label') || '');
+    if (label) {
+      type = label;
+      note(trace, 'type', 'primary', REFERENCE_SELECTOR + ' aria-label');
+    }
+  }
+
+  // Fallback chain for transaction number
+  if (num == null) {
+    for (let selector of HEADER_SELECTORS) {
+      let header = doc.querySelector(selector);
+      if (!header) continue;
+
+      let text = header.innerText?.trim() || '';
+      let match = text.match(/^(.+?)\s+(\d{3,})$/);
+      if (match) {
+        if (type == null) {
+          type = match[1];
+          note(trace, 'type', 'fallback', selector);
+        }
+        num = match[2];
+        note(trace, 'num', 'fallback', selector);
+      }
+      break;
+    }
+  }
+
+  // URL-based type fallback
+  if (type == null && pageType) {
+    type = pageType.label;
+    note(trace, 'type', 'fallback', 'URL');
+  }
+
+  // Customer, vendor or payee, as the registry says for this page
+  let names = nameSelectors(pageType);
+  if (customer == null) {
+    for (let selector of names) {
+      let value = doc.querySelector(selector)?.value?.trim();
+      if (value) {
+        customer = value;
+        note(trace, 'customer', selector.includes('data-automation-id') ? 'primary' : 'fallback', selector);
+        break;
+      }
+    }
+  }
+
+  num ??= '';
+  // Localized names ("Quote", "Facture") are stored as the registry label;
+  // {type} renders them in the user's chosen language
+  type = docTypeForLabel(type)?.label || type || '';
+  customer ??= '';
+
+  if (trace) {
+    for (let field of ['num', 'type', 'customer']) trace[field] ??= { via: 'none', selector: '' };
+    trace.num.primaryFound ??= !!refInput;
+    trace.type.primaryFound ??= !!refInput;
+    trace.customer.primaryFound ??= names
+      .some(selector => selector.includes('data-automation-id') && doc.querySelector(selector));
+  }
+
+  if (!num && !customer) return null;
+
+  let field = (name) => custom(name) ?? readField(doc, FIELD_CHAINS[name], trace, name);
+
+  return {
+    num,
+    customer,
+    type,
+    txndate: parseDate(field('txndate'), format.dates),
+    due: parseDate(field('due'), format.dates),
+    total: parseAmount(field('total'), format.decimal),
+    balance: parseAmount(field('balance'), format.decimal),
+    // A purchase order's own "P.O. no." is its reference number, not a customer PO
+    ponum: custom('ponum') ?? (docTypeForLabel(type)?.slug === 'purchaseorder' ? '' : field('ponum')),
+    memo: field('memo'),
+    location: field('location'),
+    class: field('class'),
+    company: field('company'),
+    realmId: readRealmId(doc),
+    // The transaction page itself, so history can reopen it for a re-download
+    url: doc.location.href
+  };
+}
+
+export const REFERENCE_SELECTOR = '[data-automation-id="reference_number"]';
+
+// Title text like "Invoice 1042", newest layout first
+export const HEADER_SELECTORS = [
+  '[data-automation-id="RethinkLayout_header"]',
+  '[class*="txp-capability-formTitle"]',
+  '[class*="TrowserHeader-headerTitleText"]'
+];
+
+// Name fields by the registry's `party`, each with its automation id first,
+// then its aria-label in US English and the locale packs
+function nameLabels(english, party) {
+  return [english, ...partyLabels(party)].map(label => 'input[aria-label="' + label + '"]');
+}
+
+export const NAME_SELECTORS = {
+  customer: ['[data-automation-id="customer_name"]', ...nameLabels('Customer', 'customer')],
+  vendor: ['[data-automation-id="vendor_name"]', ...nameLabels('Vendor', 'vendor')],
+  payee: ['[data-automation-id="payee_name"]', ...nameLabels('Payee', 'payee')]
+};
+
+// The page's own party first, then the others in case QBO labels it
+// differently; none at all for documents without one (journal entries).
+// Unknown pages try customer, vendor, payee in turn.
+export function nameSelectors(docType) {
+  if (docType?.party === 'none') return [];
+  let parties = Object.keys(NAME_SELECTORS);
+  if (docType) parties = [docType.party, ...parties.filter(p => p !== docType.party)];
+  return parties.flatMap(party => NAME_SELECTORS[party]);
+}
+
+// Reports have no number or name — they're identified by the page and
+// dated by the period in their header
+function readReport(doc, docType, custom, trace, format) {
+  let period = custom('period') ?? readField(doc, FIELD_CHAINS.period, trace, 'period');
+
+  // No header text: build the period from the report's date pickers
+  if (!period) {
+    let from = parseDate(doc.querySelector('input[aria-label="From" i]')?.value?.trim(), format.dates);
+    let to = parseDate(doc.querySelector('input[aria-label="To" i]')?.value?.trim(), format.dates);
+    if (from && to) {
+      period = from + ' to ' + to;
+      if (trace) trace.period = { via: 'fallback', selector: 'From/To date inputs', primaryFound: false };
+    }
+  }
+
+  if (trace) trace.type = { via: 'primary', selector: 'URL', primaryFound: true };
+
+  return {
+    num: '',
+    customer: '',
+    type: docType.label,
+    period,
+    company: custom('company') ?? readField(doc, FIELD_CHAINS.company, trace, 'company'),
+    realmId: readRealmId(doc),
+    url: doc.location.href
+  };
+}
+
+// The QBO company (realm) id: in the URL when the page was opened from a
+// company link or the company switcher, otherwise on the app's root element
+export function readRealmId(doc) {
+  let params = new URL(doc.location.href).searchParams;
+  let id = params.get('realmId') || params.get('companyId')
+    || doc.querySelector('[data-realm-id]')?.getAttribute('data-realm-id')
+    || doc.querySelector('[data-company-id]')?.getAttribute('data-company-id')
+    || '';
+  return /^\d+$/.test(id.trim()) ? id.trim() : '';
+}
+
+function note(trace, field, via, selector) {
+  if (trace) trace[field] = { via, selector };
+}
+
+// Every element readTransactionData() may read, as selectors: the number,
+// the title, every party's name field, the secondary chains and the user's
+// own rules. Label lookups aren't included — they're found by their text.
+export function fieldSelectors(rules = null) {
+  return [
+    REFERENCE_SELECTOR,
+    ...HEADER_SELECTORS,
+    ...Object.values(NAME_SELECTORS).flat(),
+    ...Object.values(FIELD_CHAINS).flat().filter(entry => typeof entry === 'string'),
+    ...Object.values(rules?.fields || {}).flatMap(config => config.rules || []).map(rule => rule.selector).filter(Boolean)
+  ];
+}
+
+// -- User rules --
+
+// The value of a field's first matching user rule; '' when none match and
+// the built-in chain is switched off; null to go on to the built-in chain
+function customField(doc, config, trace, field) {
+  if (!config?.rules?.length) return null;
+
+  for (let rule of config.rules) {
+    let value = applyRule(doc, rule);
+    if (value) {
+      if (trace) trace[field] = { via: 'custom', selector: describeRule(rule), primaryFound: true };
+      return value;
+    }
+  }
+
+  if (config.fallback !== false) return null;
+  if (trace) trace[field] = { via: 'none', selector: '', primaryFound: false };
+  return '';
+}
+
+// A rule is { selector, source, pattern }: `source` is '' (an input's value,
+// else the element's text), 'text', 'value' or an attribute name; `pattern`
+// is a case-insensitive regex whose first capture group (or whole match) is
+// the value. Bad selectors and patterns just don't match.
+export function applyRule(doc, rule) {
+  let el;
+  try {
+    el = doc.querySelector(rule.selector);
+  } catch {
+    return '';
+  }
+  if (!el) return '';
+
+  let text;
+  if (!rule.source) text = fieldValue(el);
+  else if (rule.source === 'text') text = el.innerText;
+  else if (rule.source === 'value') text = el.value;
+  else text = el.getAttribute(rule.source);
+  text = text?.trim() || '';
+
+  if (text && rule.pattern) {
+    let match;
+    try {
+      match = text.match(new RegExp(rule.pattern, 'i'));
+    } catch {
+      return '';
+    }
+    text = match ? (match[1] ?? match[0]).trim() : '';
+  }
+  return text;
+}
+
+export function describeRule(rule) {
+  return rule.selector
+    + (rule.source ? ' [' + rule.source + ']' : '')
+    + (rule.pattern ? ' /' + rule.pattern + '/' : '');
+}
+
+// -- Secondary field selector chains --
+// Tried in order, first non-empty value wins. Strings are CSS selectors
+// (data-automation-id first, it's the most stable); { label } entries find a
+// visible label by text and read the field it belongs to — a last resort,
+// since label text varies by QBO edition and moves around between releases.
+
+// A US English label pattern, widened with the locale packs' labels
+function labelPattern(field, english) {
+  return new RegExp('^(?:' + [english, ...fieldLabels(field).map(escapeRegExp)].join('|') + ')$', 'i');
+}
+
+export const FIELD_CHAINS = {
+  txndate: [
+    '[data-automation-id="txn_date"]',
+    '[data-automation-id="txnDate"] input',
+    'input[aria-label$=" date" i]:not([aria-label*="due" i]):not([aria-label*="expiration" i]):not([aria-label*="ship" i])',
+    { label: labelPattern('txndate', '(?!due|expiration|ship)([\\w ]+ )?date') }
+  ],
+  due: [
+    '[data-automation-id="due_date"]',
+    '[data-automation-id="dueDate"] input',
+    'input[aria-label="Due date" i]',
+    'input[aria-label="Expiration date" i]',
+    { label: labelPattern('due', '(due|expiration) date') }
+  ],
+  total: [
+    '[data-automation-id="total_amount"]',
+    '[data-automation-id="txn_total"]',
+    '[class*="totalAmount"]',
+    { label: labelPattern('total', 'total') }
+  ],
+  balance: [
+    '[data-automation-id="balance_due"]',
+    '[class*="balanceDue"]',
+    { label: labelPattern('balance', 'balance due') }
+  ],
+  ponum: [
+    '[data-automation-id="customer_po_number"]',
+    '[data-automation-id="po_number"]',
+    'input[aria-label="P.O. Number" i]',
+    'input[aria-label="PO number" i]',
+    { label: labelPattern('ponum', '(customer )?p\\.?o\\.? (number|no\\.?|#)') }
+  ],
+  memo: [
+    '[data-automation-id="memo"]',
+    'textarea[aria-label="Memo" i]',
+    'textarea[aria-label^="Message displayed on" i]',
+    { label: labelPattern('memo', 'memo|message displayed on .+') }
+  ],
+  location: [
+    '[data-automation-id="department"] input',
+    'input[aria-label="Location" i]',
+    { label: labelPattern('location', 'location') }
+  ],
+  class: [
+    '[data-automation-id="class"] input',
+    'input[aria-label="Class" i]',
+    { label: labelPattern('class', 'class') }
+  ],
+  period: [
+    '[data-automation-id="report-date-range"]',
+    '[data-automation-id="reportDateRange"]',
+    '[class*="reportHeader"] [class*="dateRange"]',
+    '[class*="dateRange"]'
+  ],
+  company: [
+    '[data-automation-id="company-name"]',
+    '[data-automation-id="companyName"]',
+    '[class*="CompanyName"]',
+    '[class*="companyName"]'
+  ]
+};
+
+export function readField(doc, chain, trace = null, field = '') {
+  let primaryFound = false;
+  for (let entry of chain) {
+    let el = typeof entry === 'string'
+      ? doc.querySelector(entry)
+      : findByLabel(doc, entry.label);
+    let primary = isPrimary(entry);
+    if (el && primary) primaryFound = true;
+
+    let value = fieldValue(el);
+    if (value) {
+      if (trace) trace[field] = { via: primary ? 'primary' : 'fallback', selector: describeEntry(entry), primaryFound };
+      return value;
+    }
+  }
+  if (trace) trace[field] = { via: 'none', selector: '', primaryFound };
+  return '';
+}
+
+// data-automation-id hooks are what Intuit's own tests use; anything else
+// matching means the markup has drifted from what the chain expects first
+function isPrimary(entry) {
+  return typeof entry === 'string' && entry.includes('data-automation-id');
+}
+
+function describeEntry(entry) {
+  return typeof entry === 'string' ? entry : 'label /' + entry.label.source + '/';
+}
+
+function fieldValue(el) {
+  if (!el) return '';
+  let value = el.matches('input, textarea, select') ? el.value : el.innerText;
+  return value?.trim() || '';
+}
+
+// Find the field a visible label describes: its `for` target, an input
+// inside the same wrapper, or (for read-only totals) the next sibling's text
+function findByLabel(doc, pattern) {
+  for (let label of doc.querySelectorAll('label, dt, th, span')) {
+    if (label.children.length || !pattern.test(label.textContent.trim())) continue;
+
+    if (label.htmlFor) {
+      let target = doc.getElementById(label.htmlFor);
+      if (target) return target;
+    }
+
+    let input = label.parentElement?.querySelector('input, textarea, select');
+    if (input) return input;
+
+    if (label.nextElementSibling) return label.nextElementSibling;
+  }
+  return null;
+}
+
+// QBO shows dates in its edition's order, M/D/YYYY in the US and D/M/YYYY
+// elsewhere (see `dates` in lib/locales.js) — normalize to ISO so the
+// background can apply the user's date format. A part past 12 can only be
+// the day, whatever the order. Unrecognized text passes through as-is.
+export function parseDate(text, order = 'MDY') {
+  if (!text) return '';
+  let parts = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!parts) return text;
+  let [, month, day, year] = parts;
+  if (order === 'DMY') [month, day] = [day, month];
+  if (+month > 12) [month, day] = [day, month];
+  if (+month > 12) return text;
+  return year + '-' + month.padStart(2, '0') + '-' + day.padStart(2, '0');
+}
+
+// "$1,234.56" → "1234.56"; "-$20.00" → "-20.00"; "1 234,56 $" → "1234.56"
+// with a ',' decimal. With no separator given, a ',' followed by one or two
+// digits at the end is the decimal one.
+export function parseAmount(text, decimal = '') {
+  text = text || '';
+  if (!decimal) decimal = /,\d{1,2}\D*$/.test(text) ? ',' : '.';
+  let cleaned = text.replace(new RegExp('[^\\d' + escapeRegExp(decimal) + '-]', 'g'), '').replace(',', '.');
+  return /\d/.test(cleaned) ? cleaned : '';
+}
@@ -0,0 +1,120 @@
+import { renderFormat, validateFormat, tokenValues, formatForType } from './format.js';
+import { DEFAULTS } from './settings.js';
+import { conflictPolicyFor, formatWithRevision } from './conflicts.js';
+import { normalizeCustomer } from './customers.js';
+import {
+  sanitizeSegment, fitsSegment, characterCount, excessCharacters, truncateText, clampSegment
+} from './sanitize.js';
+
+export { sanitizeSegment };
+
+// -- Filename building (pure functions, no side effects) --
+
+// Which tokens give way when a name is over the max length, first to last.
+// The number, revision, dates and amounts are never cut.
+export const TRUNCATE_ORDER = ['memo', 'class', 'location', 'company', 'ponum', 'job', 'customer', 'parent', 'period', 'type'];
+
+// The result may contain "/" — chrome.downloads treats those as subfolders
+// of the Downloads directory. Only the format can introduce them: slashes
+// inside token values are stripped before rendering.
+//
+// `data` also carries the naming settings filenameFor() passes along:
+// dateFormat, typeLanguage, and for sanitizing targetOs, asciiNames and
+// maxLength (characters in the file name, 0 for no limit).
+export function buildFilename(format, data) {
+  let values = pathValues(data);
+
+  // A format saved before validation existed may not parse — don't lose the rename
+  let error = validateFormat(format);
+  if (error) {
+    console.log('[Apex] invalid format, using default:', error);
+    format = DEFAULTS.format;
+  }
+
+  let options = pathOptions(data);
+  let segments = fitName(format, values, options);
+  let path = segments.map((segment, i) =>
+    clampSegment(segment, { ...options, isName: i === segments.length - 1 })).filter(Boolean).join('/');
+
+  return path || 'QBO_Document_' + Date.now();
+}
+
+// A folder path (no file name) from a template like "Clients/{customer}/{year}",
+// '' for a bad template. Same tokens and clean-up as a name; only the file
+// system limits its length.
+export function buildFolder(template, data) {
+  if (validateFormat(template)) return '';
+  let options = pathOptions(data);
+  return renderSegments(template, pathValues(data), options).map(segment => clampSegment(segment, options)).filter(Boolean).join('/');
+}
+
+function pathValues(data) {
+  let values = tokenValues(data, data.dateFormat, data.typeLanguage);
+  for (let token in values) values[token] = values[token].replace(/[/\\]/g, '');
+  return values;
+}
+
+function pathOptions(data) {
+  return { targetOs: data.targetOs || 'windows', ascii: !!data.asciiNames, maxLength: data.maxLength || 0 };
+}
+
+// Sanitize each path segment on its own; empty segments (a folder whose
+// token was blank) collapse away rather than producing "Sales//87072"
+function renderSegments(format, values, options) {
+  return renderFormat(format, values).split('/').map(segment => sanitizeSegment(segment, options)).filter(Boolean);
+}
+
+// Cut the lowest-priority tokens, a few characters at a time, until the
+// file name fits. A token cut to nothing drops its optional section.
+function fitName(format, values, options) {
+  let segments = renderSegments(format, values, options);
+  let fits = () => !segments.length || fitsSegment(segments[segments.length - 1], { ...options, isName: true });
+
+  for (let token of TRUNCATE_ORDER) {
+    while (!fits() && values[token]) {
+      let keep = characterCount(values[token]) - excessCharacters(segments[segments.length - 1], options);
+      values = { ...values, [token]: truncateText(values[token], keep) };
+      segments = renderSegments(format, values, options);
+    }
+  }
+  return segments;
+}
+
+// The name (without extension) a transaction gets under the given settings —
+// what rename, the print-preview title, copy-filename and the popup preview
+// all show, so they can't disagree. `data.rev` is only set by renameDownload
+// once it knows the revision; everywhere else {rev} is blank. The customer
+// name is normalized here, so `data` stays what the page said.
+export function filenameFor(settings, data) {
+  let format = formatForType(settings, data.type);
+  if (conflictPolicyFor(settings, data.type) === 'revision') format = formatWithRevision(format);
+  return buildFilename(format, namingData(settings, data));
+}
+
+// A transaction's data with its customer normalized and the naming settings
+// buildFilename() and buildFolder() read
+export function namingData(settings, data) {
+  return {
+    ...data,
+    ...normalizeCustomer(data.customer, settings),
+    dateFormat: settings.dateFormat,
+    typeLanguage: settings.typeLanguage,
+    targetOs: settings.targetOs,
+    asciiNames: settings.asciiNames,
+    maxLength: settings.maxLength
+  };
+}
+
+// A name typed over the predicted one for a single download (the page
+// toolbar's override), cleaned up like any file name. Folders can't be
+// typed — a download rule still picks the folder. '' when nothing usable
+// is left; a ".pdf" typed at the end is dropped, since the rename adds it.
+export function overrideName(settings, text) {
+  let options = pathOptions(settings);
+  return clampSegment(sanitizeSegment(String(text || '').trim().replace(/\.pdf$/i, ''), options), { ...options, isName: true });
+}
+
+// Tab titles and the clipboard want just the file name, not the folders
+export function baseName(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
@@ -0,0 +1,90 @@
+import { parseFormat } from './format.js';
+
+// -- Format builder model --
+// The options page edits a format as a flat row of pieces:
+//
+//   { kind: 'token', name, mods: [{ name, arg }], group }
+//   { kind: 'text', value, group }
+//
+// `group` is null for plain pieces; neighbouring pieces with the same group
+// number form one optional [ ... ] section. Nested sections have no flat
+// form — those formats stay text-only.
+
+// Separators offered in the builder palette
+export const SEPARATORS = [' - ', ' ', '_', ', ', '/', ' (', ')', '#'];
+
+// Throws on a format that doesn't parse; null when it nests sections
+export function formatToPieces(format) {
+  let pieces = [];
+  let group = 0;
+
+  for (let node of parseFormat(format)) {
+    if (node.kind !== 'optional') {
+      pieces.push(toPiece(node, null));
+      continue;
+    }
+    if (node.nodes.some(child => child.kind === 'optional')) return null;
+    group++;
+    for (let child of node.nodes) pieces.push(toPiece(child, group));
+  }
+  return pieces;
+}
+
+function toPiece(node, group) {
+  return node.kind === 'token'
+    ? { kind: 'token', name: node.name, mods: node.mods, group }
+    : { kind: 'text', value: node.value, group };
+}
+
+export function piecesToFormat(pieces) {
+  let format = '';
+  let open = null;
+
+  for (let piece of pieces) {
+    if (piece.group !== open) {
+      if (open != null) format += ']';
+      if (piece.group != null) format += '[';
+      open = piece.group;
+    }
+    format += piece.kind === 'token' ? tokenText(piece) : escapeFormatText(piece.value);
+  }
+  if (open != null) format += ']';
+  return format;
+}
+
+export function tokenText(piece) {
+  return '{' + [piece.name, ...piece.mods.map(mod => mod.name + (mod.arg ? ':' + mod.arg : ''))].join('|') + '}';
+}
+
+export function escapeFormatText(text) {
+  return text.replace(/[{}[\]\\]/g, '\\$&');
+}
+
+// Make a piece optional, joining the section next to it (the one before
+// first), or plain again. Returns a new list.
+export function toggleOptional(pieces, index) {
+  let next = pieces.map(piece => ({ ...piece }));
+  let piece = next[index];
+
+  if (piece.group != null) {
+    let old = piece.group;
+    piece.group = null;
+    // Pieces after it that shared its section now form their own
+    let fresh = Math.max(0, ...next.map(p => p.group ?? 0)) + 1;
+    for (let i = index + 1; i < next.length && next[i].group === old; i++) next[i].group = fresh;
+    return next;
+  }
+
+  piece.group = next[index - 1]?.group ?? next[index + 1]?.group
+    ?? Math.max(0, ...next.map(p => p.group ?? 0)) + 1;
+  return next;
+}
+
+// Move or insert, for drag and drop: `to` is the index the piece should
+// end up before, counted in the list as it is now
+export function movePiece(pieces, from, to) {
+  let next = [...pieces];
+  let [piece] = next.splice(from, 1);
+  next.splice(to > from ? to - 1 : to, 0, piece);
+  return next;
+}
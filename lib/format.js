@@ -0,0 +1,244 @@
+import { DOC_TYPES, docTypeForLabel, typeLabelIn } from './doc-types.js';
+
+// -- Filename format engine --
+// Imported by the service worker, the popup and the content scripts, so they
+// all agree on what a format means.
+//
+//   {token}              token value
+//   {token|mod|mod:arg}  token value passed through modifiers, left to right
+//   [ ... ]              optional section, dropped when any token inside is empty
+//   \{ \} \[ \] \\       literal characters
+
+export const FORMAT_TOKENS = [
+  'num', 'customer', 'type', 'date',
+  // The customer's parts (lib/customers.js): top-level customer and sub-customer
+  'parent', 'job',
+  'txndate', 'due',
+  // The transaction date's year, this year when it has none — for folders
+  'year',
+  'total', 'balance', 'ponum', 'memo', 'location', 'class', 'company',
+  // Report documents only — the date range in the report header
+  'period',
+  // "Rev2", "Rev3", … under the revision conflict policy (lib/conflicts.js)
+  'rev'
+];
+
+// Tokens rendered through the user's date format
+export const DATE_TOKENS = ['date', 'txndate', 'due'];
+
+// The date formats the popup offers
+export const DATE_FORMATS = ['YYYY-MM-DD', 'MM-DD-YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY'];
+
+const FORMAT_MODIFIERS = {
+  upper: { apply: (v) => v.toUpperCase() },
+  lower: { apply: (v) => v.toLowerCase() },
+  slug: {
+    apply: (v) => v
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+  },
+  max: { needsArg: true, apply: (v, n) => v.slice(0, n).trimEnd() },
+  pad: { needsArg: true, apply: (v, n) => v.padStart(n, '0') },
+  abbr: {
+    apply: (v) => docTypeForLabel(v)?.abbr
+      || v.split(/\s+/).map(w => w.charAt(0)).join('').toUpperCase()
+  }
+};
+
+function formatError(message, pos) {
+  let err = new Error(message + ' (at position ' + (pos + 1) + ')');
+  err.pos = pos;
+  return err;
+}
+
+// -- Token values --
+
+// Map scraped transaction data to token values. {date} is today; {txndate}
+// and {due} arrive from content.js as ISO dates (or raw text it couldn't parse).
+// {type} is named in `typeLanguage`, a QBO_LOCALES key.
+export function tokenValues(data, dateFormat, typeLanguage) {
+  let values = {};
+  for (let token of FORMAT_TOKENS) values[token] = data[token] || '';
+  values.type = typeLabelIn(typeLanguage, values.type);
+
+  let fmt = dateFormat || 'YYYY-MM-DD';
+  values.date = formatDate(fmt, new Date());
+  values.txndate = formatDate(fmt, data.txndate);
+  values.due = formatDate(fmt, data.due);
+  values.year = data.year || String(data.txndate || '').match(/^\d{4}(?=-)/)?.[0] || String(new Date().getFullYear());
+  return values;
+}
+
+export function formatDate(fmt, date) {
+  if (!date) return '';
+
+  let y, m, d;
+  if (date instanceof Date) {
+    y = date.getFullYear();
+    m = date.getMonth() + 1;
+    d = date.getDate();
+  } else {
+    // Parse ISO by hand — new Date('2026-02-20') is UTC midnight, which is
+    // the previous day anywhere west of Greenwich
+    let iso = String(date).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!iso) return String(date);
+    [, y, m, d] = iso;
+  }
+
+  return fmt
+    .replace('YYYY', y)
+    .replace('MM', String(m).padStart(2, '0'))
+    .replace('DD', String(d).padStart(2, '0'));
+}
+
+// -- Parser --
+// Returns a node list: { kind: 'text', value } | { kind: 'token', name, mods }
+// | { kind: 'optional', nodes }. Throws on any syntax error.
+
+export function parseFormat(format) {
+  let pos = 0;
+
+  function parseSequence(inOptional) {
+    let nodes = [];
+    let text = '';
+    let flush = () => {
+      if (text) nodes.push({ kind: 'text', value: text });
+      text = '';
+    };
+
+    while (pos < format.length) {
+      let ch = format[pos];
+
+      if (ch === '\\') {
+        if (pos + 1 >= format.length) throw formatError('Trailing backslash', pos);
+        text += format[pos + 1];
+        pos += 2;
+      } else if (ch === '{') {
+        flush();
+        nodes.push(parseToken());
+      } else if (ch === '}') {
+        throw formatError('Unmatched "}"', pos);
+      } else if (ch === '[') {
+        flush();
+        let start = pos++;
+        let inner = parseSequence(true);
+        if (format[pos] !== ']') throw formatError('Unclosed "["', start);
+        pos++;
+        nodes.push({ kind: 'optional', nodes: inner });
+      } else if (ch === ']') {
+        if (inOptional) break;
+        throw formatError('Unmatched "]"', pos);
+      } else {
+        text += ch;
+        pos++;
+      }
+    }
+
+    flush();
+    return nodes;
+  }
+
+  function parseToken() {
+    let start = pos;
+    let end = format.indexOf('}', pos);
+    let body = end === -1 ? '' : format.slice(pos + 1, end);
+    if (end === -1 || body.includes('{')) throw formatError('Unclosed "{"', start);
+    pos = end + 1;
+
+    let [name, ...modSpecs] = body.split('|').map(s => s.trim());
+    if (!name) throw formatError('Empty token "{}"', start);
+    if (!FORMAT_TOKENS.includes(name)) throw formatError('Unknown token {' + name + '}', start);
+
+    let mods = modSpecs.map((spec) => {
+      let [modName, arg] = spec.split(':').map(s => s.trim());
+      let mod = FORMAT_MODIFIERS[modName];
+      if (!mod) throw formatError('Unknown modifier "' + modName + '" on {' + name + '}', start);
+
+      if (!mod.needsArg) {
+        if (arg !== undefined) throw formatError('Modifier "' + modName + '" takes no value', start);
+        return { name: modName };
+      }
+
+      let n = Number(arg);
+      if (!Number.isInteger(n) || n < 1) {
+        throw formatError('Modifier "' + modName + '" needs a positive number, e.g. ' + modName + ':10', start);
+      }
+      return { name: modName, arg: n };
+    });
+
+    return { kind: 'token', name, mods };
+  }
+
+  return parseSequence(false);
+}
+
+// -- Renderer --
+
+function renderNodes(nodes, values) {
+  let text = '';
+  let missing = false;
+
+  for (let node of nodes) {
+    if (node.kind === 'text') {
+      text += node.value;
+    } else if (node.kind === 'token') {
+      let value = String(values[node.name] ?? '').trim();
+      for (let mod of node.mods) {
+        if (value) value = FORMAT_MODIFIERS[mod.name].apply(value, mod.arg);
+      }
+      if (!value) missing = true;
+      text += value;
+    } else {
+      let section = renderNodes(node.nodes, values);
+      if (!section.missing) text += section.text;
+    }
+  }
+
+  return { text, missing };
+}
+
+// Render a format string against token values. Throws on a bad format.
+export function renderFormat(format, values) {
+  return renderNodes(parseFormat(format), values).text;
+}
+
+// Returns an error message for a bad format, or '' if it parses
+export function validateFormat(format) {
+  try {
+    parseFormat(format);
+    return '';
+  } catch (e) {
+    return e.message;
+  }
+}
+
+export function formatUsesToken(format, name) {
+  let walk = (nodes) => nodes.some(node =>
+    (node.kind === 'token' && node.name === name)
+    || (node.kind === 'optional' && walk(node.nodes)));
+
+  try {
+    return walk(parseFormat(format));
+  } catch {
+    return false;
+  }
+}
+
+// -- Per-type format selection --
+
+// "Purchase Order" → "purchaseorder"; unknown labels get the same treatment
+export function typeSlug(type) {
+  return docTypeForLabel(type)?.slug || (type || '').trim().toLowerCase().replace(/\s+/g, '');
+}
+
+// A type's override wins when set, then the registry's default for types
+// the global format can't name (reports have no number); otherwise the
+// global format applies
+export function formatForType(settings, type) {
+  let slug = typeSlug(type);
+  let override = settings.typeFormats?.[slug]?.trim();
+  return override || DOC_TYPES.find(t => t.slug === slug)?.format || settings.format;
+}
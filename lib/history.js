@@ -0,0 +1,38 @@
+import { updateStorage } from './storage.js';
+
+// -- Rename history --
+// Persistent audit trail in storage.local, newest first.
+
+function updateHistory(mutate) {
+  return updateStorage('local', 'renameHistory', [], mutate);
+}
+
+export function recordRename(entry, limit) {
+  if (!limit) return;
+  updateHistory(history => [entry, ...history].slice(0, limit));
+}
+
+// Chrome may still uniquify the name or the user may cancel — keep the
+// entry's final path and state in step with what actually landed on disk.
+// Wired to chrome.downloads.onChanged.
+export function trackDownloadChange(delta) {
+  if (!delta.filename && !delta.state) return;
+
+  updateHistory((history) => {
+    let entry = history.find(e => e.downloadId === delta.id);
+    if (!entry) return null;
+    if (delta.filename) entry.path = delta.filename.current;
+    if (delta.state) entry.state = delta.state.current;
+    return history;
+  });
+}
+
+// Download rules that couldn't do what they asked (lib/download-rules.js)
+export function noteRuleErrors(downloadId, errors) {
+  updateHistory((history) => {
+    let entry = history.find(e => e.downloadId === downloadId);
+    if (!entry) return null;
+    entry.ruleErrors = [...(entry.ruleErrors || []), ...errors];
+    return history;
+  });
+}
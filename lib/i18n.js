@@ -0,0 +1,20 @@
+// -- UI strings --
+// Popup text lives in _locales/<language>/messages.json and follows the
+// browser's language. Static text is tagged in the HTML: data-i18n sets
+// an element's text, data-i18n-title / -placeholder / -aria-label set
+// those attributes.
+
+export function t(key, ...substitutions) {
+  return chrome.i18n.getMessage(key, substitutions) || key;
+}
+
+const ATTRIBUTES = ['title', 'placeholder', 'aria-label'];
+
+export function localizePage(root = document) {
+  for (let el of root.querySelectorAll('[data-i18n]')) el.textContent = t(el.dataset.i18n);
+  for (let attr of ATTRIBUTES) {
+    for (let el of root.querySelectorAll('[data-i18n-' + attr + ']')) {
+      el.setAttribute(attr, t(el.getAttribute('data-i18n-' + attr)));
+    }
+  }
+}
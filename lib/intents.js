@@ -0,0 +1,117 @@
+import { parseQboFilename } from './doc-types.js';
+import { updateStorage } from './storage.js';
+
+// -- Rename intents --
+// Each print/download click queues an intent tagged with the tab it came
+// from; each print preview queues one tagged with its blob URL. Downloads are
+// matched to the intent that actually caused them instead of whatever was
+// clicked last, so two QBO tabs can't swap customer names.
+
+export const INTENT_TTL = { click: 15000, blob: 300000 };
+
+export function queueIntent(intent) {
+  let entry = { ...intent, id: crypto.randomUUID(), timestamp: Date.now() };
+  return updateStorage('session', 'renameIntents', [], intents =>
+    [...freshIntents(intents).filter(i => !isRepeatClick(i, entry)), entry]);
+}
+
+// A repeat click in one tab stands for the same download: triggerAction
+// queues one before it clicks the menu item, and the click queues another.
+// Only the newest is kept, so a spent intent leaves no twin to name the
+// tab's next download.
+function isRepeatClick(earlier, entry) {
+  return entry.kind === 'click' && earlier.kind === 'click'
+    && earlier.tabId === entry.tabId && earlier.action === entry.action;
+}
+
+// content.js queues a click's intent with the data the page showed at the
+// click, then sends the data again once the fields have settled. An intent
+// already spent, or replaced by a repeat click, is left alone.
+export function updateIntent(tabId, clickId, data) {
+  return updateStorage('session', 'renameIntents', [], (intents) => {
+    let intent = intents.find(i => i.tabId === tabId && i.clickId === clickId);
+    if (!intent) return null;
+    intent.data = data;
+    return intents;
+  });
+}
+
+export function removeIntent(id) {
+  return updateStorage('session', 'renameIntents', [], intents => intents.filter(i => i.id !== id));
+}
+
+export function freshIntents(intents, now = Date.now()) {
+  return intents.filter(i => now - i.timestamp < INTENT_TTL[i.kind]);
+}
+
+// Returns null when no intent fits, else { intent, confidence } where
+// confidence is 'exact' (blob URL), 'high' (referrer or number agrees),
+// 'medium' (the only candidate) or 'low' (several fit — intent is null,
+// and tabIds lists the tabs they came from).
+export function matchIntent(item, intents) {
+  let fresh = freshIntents(intents);
+
+  let exact = fresh.filter(i => i.blobUrl && i.blobUrl === item.url).pop();
+  if (exact) return { intent: exact, confidence: 'exact' };
+
+  // "Invoice 1042.pdf" rules out intents for any other number
+  let parsed = parseQboFilename(item.filename);
+  let candidates = fresh.filter(i => i.kind === 'click'
+    && !(parsed?.num && i.data.num && parsed.num !== i.data.num));
+
+  // A download came from a download click if there was one
+  let downloads = candidates.filter(i => i.action === 'download');
+  if (downloads.length) candidates = downloads;
+
+  // The page that started the download is its referrer
+  let byReferrer = item.referrer ? candidates.filter(i => i.data.url === item.referrer) : [];
+  if (byReferrer.length) candidates = byReferrer;
+
+  if (!candidates.length) return null;
+
+  // Repeat clicks in one tab are the same intent — take the newest
+  let tabIds = [...new Set(candidates.map(i => i.tabId))];
+  if (tabIds.length > 1) return { intent: null, confidence: 'low', tabIds };
+  let intent = candidates[candidates.length - 1];
+  let confidence = byReferrer.length || parsed?.num ? 'high' : 'medium';
+  return { intent, confidence };
+}
+
+// Last-reported transaction per tab — used only when it can't be the wrong one
+export function pageDataFor(item, tabTransactions) {
+  let all = Object.values(tabTransactions);
+  let parsed = parseQboFilename(item.filename);
+
+  let byReferrer = all.filter(t => item.referrer && t.url === item.referrer);
+  if (byReferrer.length === 1) return byReferrer[0];
+
+  let byNum = all.filter(t => parsed?.num && t.num === parsed.num);
+  if (byNum.length === 1) return byNum[0];
+
+  // Not the only open tab on its own: a name without a number could be
+  // any other file
+  return null;
+}
+
+// The newest snapshot stored for each tab, { page, version }: one that
+// arrives after a newer one from the same page is dropped. Kept in memory —
+// a restarted service worker takes whatever comes next.
+let tabVersions = {};
+
+export function setTabTransaction(tabId, data, snapshot = null) {
+  return updateStorage('session', 'tabTransactions', {}, (map) => {
+    let last = tabVersions[tabId];
+    if (snapshot && last?.page === snapshot.page && last.version >= snapshot.version) return null;
+    if (snapshot) tabVersions[tabId] = snapshot;
+    return { ...map, [tabId]: data };
+  });
+}
+
+export function clearTabTransaction(tabId) {
+  delete tabVersions[tabId];
+  return updateStorage('session', 'tabTransactions', {}, (map) => {
+    if (!(tabId in map)) return null;
+    delete map[tabId];
+    return map;
+  });
+}
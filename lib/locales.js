@@ -0,0 +1,157 @@
+// -- QBO locale packs --
+// What QuickBooks calls things outside the US edition. US English lives in
+// the document type registry and the selector chains; each pack only lists
+// what its edition says differently. Parsing accepts every pack at once —
+// the company's locale isn't known up front, and no name here means one
+// document in one pack and another elsewhere.
+//
+// types    DOC_TYPES slug → names QBO uses; the first is what {type}
+//          renders when this pack is chosen for type names
+// parties  whose-name field labels: customer, vendor, payee
+// number   the reference number's aria-label, with the type name in the
+//          first group ("Invoice number", "Numéro de facture")
+// labels   extra field labels for the label fallbacks in lib/extract.js
+// menu     "Print or download" menu entries and footer buttons
+// dates    the order of a date's parts: 'MDY' (US) or 'DMY'
+// decimal  the decimal separator in amounts: '.' (US) or ','
+
+const FRENCH_TYPES = {
+  invoice: ['Facture'],
+  salesreceipt: ['Re\u00e7u de vente'],
+  purchaseorder: ['Bon de commande'],
+  bill: ['Facture fournisseur'],
+  refundreceipt: ['Re\u00e7u de remboursement'],
+  statement: ['Relev\u00e9'],
+  packingslip: ['Bordereau d\u2019exp\u00e9dition', 'Bordereau d\'exp\u00e9dition'],
+  check: ['Ch\u00e8que'],
+  expense: ['D\u00e9pense'],
+  journal: ['\u00c9criture de journal'],
+  vendorcredit: ['Cr\u00e9dit fournisseur'],
+  receivepayment: ['Paiement', 'Recevoir un paiement'],
+  deposit: ['D\u00e9p\u00f4t'],
+  balancesheet: ['Bilan']
+};
+
+const FRENCH = {
+  parties: { customer: ['Client'], vendor: ['Fournisseur'], payee: ['B\u00e9n\u00e9ficiaire'] },
+  number: /^(?:num\u00e9ro|n\u00b0|no)\s+(?:de\s+|d['\u2019]\s*)?(.+)$/i,
+  labels: {
+    txndate: ['Date', 'Date de facture', 'Date de la facture', 'Date du devis'],
+    due: ['\u00c9ch\u00e9ance', 'Date d\u2019\u00e9ch\u00e9ance', 'Date d\'\u00e9ch\u00e9ance', 'Date d\u2019expiration', 'Date d\'expiration'],
+    total: ['Total'],
+    balance: ['Solde d\u00fb', 'Solde \u00e0 payer'],
+    ponum: ['N\u00b0 de bon de commande', 'Bon de commande client'],
+    memo: ['M\u00e9mo', 'Note', 'Message affich\u00e9 sur la facture'],
+    location: ['Emplacement', 'Lieu'],
+    class: ['Classe', 'Cat\u00e9gorie']
+  },
+  menu: { download: ['T\u00e9l\u00e9charger'], print: ['Imprimer'], send: ['Envoyer'] },
+  dates: 'DMY',
+  decimal: ','
+};
+
+export const QBO_LOCALES = {
+  'en-US': {
+    name: 'English (US)',
+    types: {}
+  },
+  'en-GB': {
+    name: 'English (UK)',
+    types: { estimate: ['Quote'], creditmemo: ['Credit Note'], check: ['Cheque'], vendorcredit: ['Supplier Credit'] },
+    parties: { vendor: ['Supplier'] },
+    dates: 'DMY'
+  },
+  'en-CA': {
+    name: 'English (Canada)',
+    types: { estimate: ['Quote'], check: ['Cheque'], vendorcredit: ['Supplier Credit'] },
+    parties: { vendor: ['Supplier'] },
+    dates: 'DMY'
+  },
+  'en-AU': {
+    name: 'English (Australia)',
+    types: {
+      estimate: ['Quote'], invoice: ['Tax Invoice'], creditmemo: ['Adjustment Note'],
+      check: ['Cheque'], vendorcredit: ['Supplier Credit']
+    },
+    parties: { vendor: ['Supplier'] },
+    dates: 'DMY'
+  },
+  'fr-CA': {
+    name: 'Fran\u00e7ais (Canada)',
+    types: {
+      ...FRENCH_TYPES,
+      estimate: ['Devis', 'Estimation'],
+      creditmemo: ['Note de cr\u00e9dit'],
+      profitandloss: ['\u00c9tat des r\u00e9sultats']
+    },
+    ...FRENCH
+  },
+  'fr-FR': {
+    name: 'Fran\u00e7ais (France)',
+    types: {
+      ...FRENCH_TYPES,
+      estimate: ['Devis'],
+      creditmemo: ['Avoir'],
+      profitandloss: ['Compte de r\u00e9sultat']
+    },
+    ...FRENCH
+  }
+};
+
+const PACKS = Object.values(QBO_LOCALES);
+
+function unique(list) {
+  return [...new Set(list)];
+}
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every pack's names for a document type
+export function localizedTypeNames(slug) {
+  return unique(PACKS.flatMap(pack => pack.types[slug] || []));
+}
+
+// What {type} renders for a type in the chosen pack; US English otherwise
+export function typeNameIn(language, slug) {
+  return QBO_LOCALES[language]?.types[slug]?.[0] || '';
+}
+
+export function partyLabels(party) {
+  return unique(PACKS.flatMap(pack => pack.parties?.[party] || []));
+}
+
+export function fieldLabels(field) {
+  return unique(PACKS.flatMap(pack => pack.labels?.[field] || []));
+}
+
+export function menuWords(action) {
+  return unique(PACKS.flatMap(pack => pack.menu?.[action] || []));
+}
+
+// How the pack a page is in writes dates and amounts; US English when the
+// page doesn't say. `decimal` is '' then, so amounts are read by their shape.
+export function numberFormat(doc) {
+  let pack = QBO_LOCALES[pageLocale(doc)];
+  return { dates: pack?.dates || 'MDY', decimal: pack ? pack.decimal || '.' : '' };
+}
+
+// The QBO_LOCALES key for a page's <html lang>: an exact match, else the
+// first pack in the same language; '' when there's none
+export function pageLocale(doc) {
+  let lang = doc.documentElement?.lang?.toLowerCase() || '';
+  let keys = Object.keys(QBO_LOCALES);
+  return keys.find(key => key.toLowerCase() === lang) ||
+    keys.find(key => lang && key.startsWith(lang.split('-')[0] + '-')) || '';
+}
+
+// The type name inside a reference number's aria-label, in any pack's
+// wording; the whole label when none matches
+export function typeFromNumberLabel(label) {
+  for (let pattern of [/^(.+?)\s*(?:\bnumber|\bno\.?|#)$/i, ...unique(PACKS.map(pack => pack.number).filter(Boolean))]) {
+    let match = label.match(pattern);
+    if (match) return match[1].trim();
+  }
+  return label.trim();
+}
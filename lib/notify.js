@@ -0,0 +1,83 @@
+// -- Notification --
+
+export function notifyRename(filename, mode) {
+  notify('Saved as: ' + filename, mode);
+}
+
+export function notify(message, mode) {
+  // Badge checkmark — shown for both 'badge' and 'toast' modes
+  showBadge('\u2713', '#4CAF50');
+
+  // System notification toast — only in 'toast' mode
+  if (mode === 'toast') showToast(message);
+}
+
+// Failures always get a badge, even with notifications off — a hotkey
+// that silently does nothing just looks broken
+export function notifyFailure(message, mode) {
+  showBadge('!', '#DC2626');
+  if (mode === 'toast') showToast(message);
+  console.log('[Apex] failure:', message);
+}
+
+// -- Download toasts --
+// A finished download's toast can carry buttons (lib/download-rules.js):
+// 'reveal' shows the file in its folder, 'open' opens it. The notification
+// id names the download and its buttons, so a click still works after the
+// service worker has restarted.
+
+const TOAST_BUTTONS = { reveal: 'Show in folder', open: 'Open' };
+
+export function notifyDownload(message, downloadId, buttons) {
+  showBadge('\u2713', '#4CAF50');
+  chrome.notifications.create('apex-download:' + downloadId + ':' + buttons.join(','), {
+    type: 'basic',
+    iconUrl: 'icons/icon48.png',
+    title: 'Apex Explorer',
+    message,
+    buttons: buttons.map(button => ({ title: TOAST_BUTTONS[button] }))
+  });
+}
+
+// Wired to chrome.notifications.onButtonClicked
+export async function onToastButton(notificationId, index) {
+  let [kind, id, buttons = ''] = notificationId.split(':');
+  if (kind !== 'apex-download') return;
+  chrome.notifications.clear(notificationId);
+
+  let button = buttons.split(',')[index];
+  try {
+    if (button === 'reveal') chrome.downloads.show(Number(id));
+    if (button === 'open') await chrome.downloads.open(Number(id));
+  } catch (e) {
+    console.log('[Apex] toast button failed:', button, e.message);
+  }
+}
+
+// Tab-scoped, so it outlasts the 3-second rename badge and clears as soon
+// as the tab shows a page whose markup the selectors recognize
+export function showHealthBadge(tabId, health) {
+  let warn = health.status !== 'ok';
+  let title = chrome.runtime.getManifest().action.default_title;
+  chrome.action.setBadgeText({ tabId, text: warn ? '?' : '' });
+  if (warn) chrome.action.setBadgeBackgroundColor({ tabId, color: '#D97706' });
+  chrome.action.setTitle({
+    tabId,
+    title: warn ? title + ' \u2014 QBO page not fully recognized:\n' + health.problems.join('\n') : title
+  });
+}
+
+function showBadge(text, color) {
+  chrome.action.setBadgeText({ text });
+  chrome.action.setBadgeBackgroundColor({ color });
+  setTimeout(() => chrome.action.setBadgeText({ text: '' }), 3000);
+}
+
+function showToast(message) {
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icons/icon48.png',
+    title: 'Apex Explorer',
+    message
+  });
+}
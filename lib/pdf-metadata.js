@@ -0,0 +1,201 @@
+import { baseName } from './filename.js';
+
+// -- PDF document properties --
+// Writes Title, Author, Subject and Keywords into a PDF's document
+// information dictionary, for document management systems that index
+// them. The file itself isn't rewritten: an incremental update appends a
+// new Info object, a cross-reference section for it and a trailer that
+// points back at the original one, the way a PDF editor saves changes.
+// Whatever else the old Info had (Producer, CreationDate…) is kept.
+// Encrypted files are refused, since their strings would need encrypting.
+//
+// Bytes are handled as "binary strings", one character per byte, so the
+// PDF's own syntax can be searched with string methods.
+
+const CHUNK = 0x8000;
+
+export function bytesToBinary(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += CHUNK) binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+  return binary;
+}
+
+export function binaryToBytes(binary) {
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// The properties for a renamed download; empty ones aren't written
+export function pdfInfoFor(filename, data) {
+  return {
+    Title: baseName(filename).replace(/\.pdf$/i, ''),
+    Author: data.customer || '',
+    Subject: [data.type, data.num].filter(Boolean).join(' '),
+    Keywords: [data.num, data.customer, data.type, data.total].filter(Boolean).join(', ')
+  };
+}
+
+// A copy of `bytes` with `info` ({ Title: '…', … }) set
+export function setPdfInfo(bytes, info, now = new Date()) {
+  let text = bytesToBinary(bytes);
+  if (!text.startsWith('%PDF-')) throw new Error('Not a PDF');
+
+  let startxref = /startxref\s+(\d+)/.exec(text.slice(text.lastIndexOf('startxref')));
+  if (!startxref) throw new Error('The PDF has no cross-reference table');
+  let prev = Number(startxref[1]);
+  let { trailer, isStream } = trailerAt(text, prev);
+  if (trailer.Encrypt) throw new Error('The PDF is encrypted');
+  let size = Number(trailer.Size);
+  if (!Number.isInteger(size) || !trailer.Root) throw new Error('The PDF trailer is damaged');
+
+  let entries = [
+    ...oldInfo(text, trailer.Info).filter(({ key }) => !(key in info) && key !== 'ModDate'),
+    ...Object.entries(info).filter(([, value]) => value).map(([key, value]) => ({ key, raw: pdfString(value) })),
+    { key: 'ModDate', raw: '(D:' + now.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z)' }
+  ];
+
+  let infoNum = size;
+  let update = '\n';
+  let infoOffset = bytes.length + update.length;
+  update += infoNum + ' 0 obj\n<<' + entries.map(({ key, raw }) => ' /' + key + ' ' + raw).join('') + ' >>\nendobj\n';
+  let xrefOffset = bytes.length + update.length;
+  let keep = ' /Root ' + trailer.Root + ' /Info ' + infoNum + ' 0 R' + (trailer.ID ? ' /ID ' + trailer.ID : '') + ' /Prev ' + prev;
+
+  if (isStream) {
+    // A file with a cross-reference stream gets one too: type 1 entries for
+    // the Info object and the stream itself, 1 + 4 + 2 bytes each
+    let row = (offset) => String.fromCharCode(1, offset >>> 24, (offset >>> 16) & 255, (offset >>> 8) & 255, offset & 255, 0, 0);
+    update += (infoNum + 1) + ' 0 obj\n<< /Type /XRef /Size ' + (infoNum + 2) + keep
+      + ' /Index [' + infoNum + ' 2] /W [1 4 2] /Length 14 >>\nstream\n'
+      + row(infoOffset) + row(xrefOffset) + '\nendstream\nendobj\n';
+  } else {
+    update += 'xref\n' + infoNum + ' 1\n' + String(infoOffset).padStart(10, '0') + ' 00000 n \n'
+      + 'trailer\n<< /Size ' + (infoNum + 1) + keep + ' >>\n';
+  }
+  update += 'startxref\n' + xrefOffset + '\n%%EOF\n';
+
+  let result = new Uint8Array(bytes.length + update.length);
+  result.set(bytes);
+  result.set(binaryToBytes(update), bytes.length);
+  return result;
+}
+
+// ASCII as a literal string, anything else as UTF-16BE with a byte order mark
+function pdfString(text) {
+  if (/^[\x20-\x7e]*$/.test(text)) return '(' + text.replace(/[\\()]/g, '\\$&') + ')';
+  let hex = '';
+  for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+  return '<FEFF' + hex.toUpperCase() + '>';
+}
+
+// The trailer dictionary for the cross-reference section at `offset`, as
+// { key: raw value }: after a classic table, or the stream's own dictionary
+function trailerAt(text, offset) {
+  let at = skipSpace(text, offset);
+  if (text.startsWith('xref', at)) {
+    let trailer = text.indexOf('trailer', at);
+    if (trailer < 0) throw new Error('The PDF has no trailer');
+    return { trailer: dictAt(text, skipSpace(text, trailer + 7)), isStream: false };
+  }
+  let object = /^\d+\s+\d+\s+obj\b/.exec(text.slice(at, at + 40));
+  if (!object) throw new Error('The PDF cross-reference offset is wrong');
+  return { trailer: dictAt(text, skipSpace(text, at + object[0].length)), isStream: true };
+}
+
+// The entries of the current Info dictionary, [{ key, raw }]. Only found
+// when it's a plain object in the file, not packed in an object stream.
+function oldInfo(text, ref) {
+  let [, num, gen] = /^(\d+)\s+(\d+)\s+R$/.exec(ref || '') || [];
+  if (!num) return [];
+  let pattern = new RegExp('(?:^|[^\\d])' + num + '\\s+' + gen + '\\s+obj\\b', 'g');
+  let match = [...text.matchAll(pattern)].pop();
+  if (!match) return [];
+  try {
+    return dictEntries(text, skipSpace(text, match.index + match[0].length));
+  } catch {
+    return [];
+  }
+}
+
+function dictAt(text, start) {
+  return Object.fromEntries(dictEntries(text, start).map(({ key, raw }) => [key, raw]));
+}
+
+// -- A little PDF syntax --
+// Enough to step over any value in a dictionary: strings, hex strings,
+// dictionaries, arrays, names, numbers, references and keywords.
+
+function dictEntries(text, start) {
+  if (!text.startsWith('<<', start)) throw new Error('Expected a dictionary in the PDF');
+  let entries = [];
+  let i = start + 2;
+  for (;;) {
+    i = skipSpace(text, i);
+    if (text.startsWith('>>', i)) return entries;
+    if (text[i] !== '/') throw new Error('Damaged dictionary in the PDF');
+    let keyEnd = valueEnd(text, i);
+    let valueStart = skipSpace(text, keyEnd);
+    let end = valueEnd(text, valueStart);
+    entries.push({ key: text.slice(i + 1, keyEnd), raw: text.slice(valueStart, end) });
+    i = end;
+  }
+}
+
+// Where the value starting at `i` ends
+function valueEnd(text, i) {
+  if (i >= text.length) throw new Error('The PDF ends unexpectedly');
+  let c = text[i];
+  if (text.startsWith('<<', i)) {
+    for (i += 2; ; i = valueEnd(text, i)) {
+      i = skipSpace(text, i);
+      if (text.startsWith('>>', i)) return i + 2;
+    }
+  }
+  if (c === '[') {
+    for (i++; ; i = valueEnd(text, i)) {
+      i = skipSpace(text, i);
+      if (text[i] === ']') return i + 1;
+    }
+  }
+  if (c === '(') {
+    for (let depth = 0; i < text.length; i++) {
+      if (text[i] === '\\') i++;
+      else if (text[i] === '(') depth++;
+      else if (text[i] === ')' && !--depth) return i + 1;
+    }
+    throw new Error('Unterminated string in the PDF');
+  }
+  if (c === '<') return text.indexOf('>', i) + 1 || text.length;
+  if (c === '/') return i + 1 + /^[^\0\t\n\f\r ()<>[\]{}/%]*/.exec(text.slice(i + 1, i + 128))[0].length;
+
+  let token = /^(?:[+-]?(?:\d+\.?\d*|\.\d+)(?:\s+\d+\s+R\b)?|true|false|null)/.exec(text.slice(i, i + 40));
+  if (!token) throw new Error('Unexpected ' + JSON.stringify(c) + ' in the PDF');
+  return i + token[0].length;
+}
+
+// Past whitespace and comments
+function skipSpace(text, i) {
+  for (;;) {
+    while (i < text.length && '\0\t\n\f\r '.includes(text[i])) i++;
+    if (text[i] !== '%') return i;
+    while (i < text.length && text[i] !== '\n' && text[i] !== '\r') i++;
+  }
+}
+
+// -- Reading the PDF --
+
+// Injected into the QBO tab with chrome.scripting, so it must not touch
+// anything outside itself. A blob: URL only works in the origin that made
+// it, and executeScript only hands back JSON: the PDF comes back as
+// { base64 }, or { error }.
+export async function readPdf(url) {
+  try {
+    let response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) return { error: 'HTTP ' + response.status };
+    let bytes = new Uint8Array(await response.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return { base64: btoa(binary) };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
@@ -0,0 +1,66 @@
+// -- Print surfaces --
+// QBO shows a printable PDF in one of three ways: a blob: tab, a print URL
+// on qbo.intuit.com opened in its own tab, or a preview modal on the
+// transaction page with the PDF in an iframe. Chrome's Save as PDF suggests
+// the title of whichever frame is printed, so every frame gets the filename
+// as its title. A dedicated tab keeps it; the transaction page gets its own
+// title back once the modal closes.
+
+const QBO_BLOB = 'blob:https://qbo.intuit.com';
+
+// A path that ends in a print preview: /app/print, /app/printpreview,
+// /api/…/print?txnId=…, …/invoice.pdf — but not /app/print-checks, where
+// checks are printed, or /app/invoice
+export const QBO_PRINT_URL = /^https:\/\/qbo\.intuit\.com\/(?:[^?#]*\/)?(?:print|printpreview|printable|[^/?#]+\.pdf)\/?(?=[?#]|$)/i;
+
+// A page or blob: of qbo.intuit.com — where a download must come from for
+// Apex to rename it
+export function isQboUrl(url) {
+  return !!url && (url.startsWith(QBO_BLOB) || url.startsWith('https://qbo.intuit.com/'));
+}
+
+// A tab that exists only to show a PDF for printing
+export function isPrintTabUrl(url) {
+  return !!url && (url.startsWith(QBO_BLOB) || QBO_PRINT_URL.test(url));
+}
+
+// The frame or plugin that shows the PDF inside a preview modal. Checked in
+// order — QBO's own automation ids first, then any dialog with a PDF in it.
+export const PREVIEW_FRAME_SELECTORS = [
+  '[data-automation-id*="print-preview" i] :is(iframe, embed, object)',
+  '[data-automation-id*="pdf-preview" i] :is(iframe, embed, object)',
+  '[role="dialog"] iframe[src^="blob:"]',
+  '[role="dialog"] :is(embed, object)[type="application/pdf"]',
+  '[role="dialog"] iframe:is([src*="print" i], [src*=".pdf" i], [title*="print" i], [title*="pdf" i])'
+];
+
+// The preview frame on the page, or null when no preview is open
+export function findPrintPreview(doc = document) {
+  for (let selector of PREVIEW_FRAME_SELECTORS) {
+    let frame = doc.querySelector(selector);
+    if (frame) return frame;
+  }
+  return null;
+}
+
+// The URL the preview's PDF came from, which a download from its viewer
+// carries too
+export function previewSource(frame) {
+  return frame?.src || frame?.data || '';
+}
+
+// Injected into every frame of a tab with chrome.scripting, so it must not
+// touch anything outside itself. A title sets it and remembers the frame's
+// own; null puts that back.
+export function retitleFrame(title) {
+  let root = document.documentElement;
+  if (!root) return;
+  if (title === null) {
+    if (!('apexTitle' in root.dataset)) return;
+    document.title = root.dataset.apexTitle;
+    delete root.dataset.apexTitle;
+    return;
+  }
+  if (!('apexTitle' in root.dataset)) root.dataset.apexTitle = document.title;
+  document.title = title;
+}
@@ -0,0 +1,106 @@
+import { DEFAULTS } from './settings.js';
+import { updateStorage } from './storage.js';
+
+// -- Company profiles --
+// Bookkeepers with several QBO companies can keep naming settings per
+// company. A profile holds its own copy of the PROFILE_KEYS settings and
+// applies to transactions from its company, matched by realm id and then
+// by company name. Everything else (history, notifications, selector
+// rules…) stays global.
+//
+// profiles         { [id]: { name, realmId, company, settings } }, one
+//                  storage.sync key, so it shares the 8 KB per-key cap
+// profileOverride  '' picks the profile by company; DEFAULT_PROFILE always
+//                  uses the global settings; a profile id always uses it
+
+export const PROFILE_KEYS = [
+  'format', 'typeFormats', 'dateFormat', 'typeLanguage', 'conflictPolicy', 'typeConflictPolicies'
+];
+
+export const DEFAULT_PROFILE = 'default';
+
+function companyName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Stable id for a company's profile; '' when the page named no company
+export function profileId({ realmId, company } = {}) {
+  if (realmId) return 'realm:' + realmId;
+  let name = companyName(company);
+  return name ? 'name:' + name : '';
+}
+
+// The profile id for a company, or ''. A realm id is the better match —
+// companies get renamed — and a profile tied to another realm never
+// matches on name alone.
+export function profileForCompany(profiles = {}, { realmId, company } = {}) {
+  let entries = Object.entries(profiles);
+  if (realmId) {
+    let match = entries.find(([, profile]) => profile.realmId === realmId);
+    if (match) return match[0];
+  }
+
+  let name = companyName(company);
+  if (!name) return '';
+  let match = entries.find(([, profile]) =>
+    companyName(profile.company) === name && (!realmId || !profile.realmId));
+  return match ? match[0] : '';
+}
+
+// The profile that applies to a transaction: the manual override, or its
+// company's. '' means the global settings.
+export function activeProfileId(settings, data = {}) {
+  let override = settings.profileOverride;
+  if (override === DEFAULT_PROFILE) return '';
+  if (override && settings.profiles?.[override]) return override;
+  return profileForCompany(settings.profiles, data);
+}
+
+export function pickProfileSettings(settings) {
+  return Object.fromEntries(PROFILE_KEYS.filter(key => key in settings).map(key => [key, structuredClone(settings[key])]));
+}
+
+// Settings with the profile for `data` laid over the global ones. Settings
+// an admin policy locked (see lib/settings.js) stay as they are.
+export function settingsFor(settings, data) {
+  let id = activeProfileId(settings, data || {});
+  if (!id) return settings;
+  let own = pickProfileSettings(settings.profiles[id].settings || {});
+  for (let key of settings.locked || []) delete own[key];
+  return { ...settings, ...own };
+}
+
+// A new profile for a company, starting from the settings it uses now
+export function newProfile(settings, { realmId = '', company = '' }) {
+  return {
+    name: company.trim() || realmId,
+    realmId,
+    company: company.trim(),
+    settings: pickProfileSettings({ ...DEFAULTS, ...settings })
+  };
+}
+
+// -- Storage --
+
+export function saveProfile(id, profile) {
+  return updateStorage('sync', 'profiles', {}, profiles => ({ ...profiles, [id]: profile }));
+}
+
+export function updateProfileSettings(id, changes) {
+  return updateStorage('sync', 'profiles', {}, (profiles) => {
+    if (!profiles[id]) return null;
+    let profile = { ...profiles[id], settings: { ...profiles[id].settings, ...changes } };
+    return { ...profiles, [id]: profile };
+  });
+}
+
+// An override pointing at the deleted profile goes back to automatic
+export async function deleteProfile(id) {
+  await updateStorage('sync', 'profiles', {}, (profiles) => {
+    if (!profiles[id]) return null;
+    let { [id]: removed, ...rest } = profiles;
+    return rest;
+  });
+  let { profileOverride } = await chrome.storage.sync.get({ profileOverride: '' });
+  if (profileOverride === id) await chrome.storage.sync.set({ profileOverride: '' });
+}
@@ -0,0 +1,290 @@
+import { filenameFor, overrideName, baseName } from './filename.js';
+import { parseQboFilename } from './doc-types.js';
+import { getSettings } from './settings.js';
+import { settingsFor } from './profiles.js';
+import { conflictPolicyFor, conflictActionFor, claimRevision, revisionLabel, trackRevision } from './conflicts.js';
+import { notify, notifyRename } from './notify.js';
+import { recordRename } from './history.js';
+import { matchIntent, freshIntents, pageDataFor, queueIntent, removeIntent } from './intents.js';
+import { resolveBatchDownload } from './batch-runner.js';
+import { isQboUrl, isPrintTabUrl, retitleFrame } from './print-preview.js';
+import { planRules, queueRuleActions } from './download-rules.js';
+import { pdfInfoFor, setPdfInfo, bytesToBinary, binaryToBytes } from './pdf-metadata.js';
+import { readPdfInTab } from './tabs.js';
+import { writeCompanionFiles } from './sidecar.js';
+
+// -- Download filename renaming --
+// Called from chrome.downloads.onDeterminingFilename in background.js, which
+// guarantees suggest() is called even if this throws.
+
+export async function renameDownload(item, suggest) {
+  // Apex's own downloads (rule copies, data files, the copy with PDF
+  // properties) already have their name. suggest() with nothing keeps the
+  // one the extension asked for, folders included.
+  if (item.byExtensionId === chrome.runtime.id) {
+    suggest();
+    return;
+  }
+
+  let settings = await getSettings();
+  if (!settings.enabled) {
+    suggest({ filename: item.filename });
+    return;
+  }
+
+  // Only intercept downloads from QBO: its print PDFs, or files named the
+  // way QBO names them. A name alone doesn't say where a file came from.
+  let fromQbo = [item.url, item.finalUrl, item.referrer].some(isQboUrl);
+  let isQboPrint = isPrintTabUrl(item.url);
+  let isQboFile = !!parseQboFilename(item.filename);
+
+  if (!fromQbo || (!isQboPrint && !isQboFile)) {
+    suggest({ filename: item.filename });
+    return;
+  }
+
+  let { renameIntents = [], tabTransactions = {} } =
+    await chrome.storage.session.get(['renameIntents', 'tabTransactions']);
+
+  let data = null;
+  let source = '';
+  let match = matchIntent(item, renameIntents);
+
+  // Several tabs could have caused this download and nothing tells them
+  // apart — keep QBO's name rather than risk another customer's on the file
+  if (match?.confidence === 'low') {
+    console.log('[Apex] ambiguous download, keeping QBO name:', item.filename);
+    suggest({ filename: item.filename });
+    // Still a download: a batch waiting on one of these tabs moves on
+    for (let tabId of match.tabIds) resolveBatchDownload(item.filename, tabId);
+    return;
+  }
+
+  // 1st: the click or print-preview intent that caused this download
+  if (match) {
+    data = match.intent.data;
+    source = match.intent.kind === 'blob' ? 'blobRenameData' : 'pendingRename';
+  }
+
+  // 2nd: the last transaction a QBO tab reported, if only one can be meant
+  if (!data) {
+    data = pageDataFor(item, tabTransactions);
+    if (data) {
+      source = 'currentTransaction';
+      console.log('[Apex] using tab transaction fallback');
+    }
+  }
+
+  // 3rd: parse the original QBO filename for partial data
+  if (!data) {
+    data = parseQboFilename(item.filename);
+    source = 'filename';
+    if (data) console.log('[Apex] using filename parse fallback:', item.filename);
+  }
+
+  if (!data) {
+    suggest({ filename: item.filename });
+    return;
+  }
+
+  // Naming settings come from the company's profile, when it has one
+  settings = settingsFor(settings, data);
+
+  // A download rule may file it in a folder of its own
+  let rules = planRules(settings, data);
+  let inFolder = (name) => rules.folder ? rules.folder + '/' + name : name;
+
+  // A name typed on the page toolbar replaces the format's, for this one
+  let override = overrideName(settings, match?.intent.override);
+  let filename = inFolder((override || filenameFor(settings, data)) + '.pdf');
+  let policy = conflictPolicyFor(settings, data.type);
+
+  // The rev-less name is what's counted — a second download of it is Rev2
+  let counted = filename;
+  let revision = 0;
+  if (policy === 'revision' && !override) {
+    revision = await claimRevision(counted);
+    if (revision > 1) filename = inFolder(filenameFor(settings, { ...data, rev: revisionLabel(revision) }) + '.pdf');
+  }
+
+  // With PDF properties on, a copy that has them replaces the download
+  let replaced = settings.pdfMetadata ? await saveWithMetadata(item, match?.intent, filename, policy, data) : {};
+  let downloadId = replaced.id || item.id;
+  if (replaced.error) console.log('[Apex] PDF properties not written:', replaced.error);
+
+  suggest(replaced.id ? { filename: item.filename } : { filename, conflictAction: conflictActionFor(policy) });
+  resolveBatchDownload(filename, match?.intent.tabId);
+
+  // Cleanup and notification after suggest — wrapped so a failure here
+  // can't trigger the .catch() fallback and double-call suggest()
+  try {
+    // A click intent is spent once its download is named; blob intents stay
+    // until they expire, since the viewer can save the same PDF again
+    if (match?.intent.kind === 'click') removeIntent(match.intent.id);
+    if (settings.notifyMode !== 'off') notifyRename(filename, settings.notifyMode);
+    if (revision) trackRevision(downloadId, counted, revision);
+    queueRuleActions(downloadId, filename, rules.actions, pdfTabs(match?.intent));
+
+    let { timestamp, action, ...txn } = data;
+    if (revision > 1) txn.rev = revisionLabel(revision);
+    let entry = {
+      downloadId,
+      originalName: item.filename,
+      filename,
+      source,
+      data: txn,
+      timestamp: Date.now(),
+      state: 'in_progress'
+    };
+    if (replaced.error) entry.metadataError = replaced.error;
+    recordRename(entry, settings.historyLimit);
+    writeCompanionFiles(settings, { filename, timestamp: entry.timestamp, source, data: txn }, policy);
+  } catch (e) {
+    console.log('[Apex] post-rename cleanup error:', e.message);
+  }
+}
+
+// -- PDF properties --
+// The PDF is read again in a QBO tab — a blob: URL only works in the
+// origin that made it — and saved as a data: URL, which the service worker
+// can download. Once the copy has started, the original download is
+// cancelled and erased from the list. Returns { id } of the copy, or
+// { error } when the PDF couldn't be read or rewritten or the copy couldn't
+// take over, and the original is renamed as usual.
+
+// The QBO tabs a download's PDF can be read again in
+function pdfTabs(intent) {
+  return [intent?.openerTabId, intent?.tabId].filter(Boolean);
+}
+
+async function saveWithMetadata(item, intent, filename, policy, data) {
+  let { base64: pdf, error } = await readPdfInTab(item.finalUrl || item.url, pdfTabs(intent));
+  if (!pdf) return { error };
+
+  let copyUrl;
+  try {
+    let bytes = setPdfInfo(binaryToBytes(atob(pdf)), pdfInfoFor(filename, data));
+    copyUrl = 'data:application/pdf;base64,' + btoa(bytesToBinary(bytes));
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  let id;
+  try {
+    id = await chrome.downloads.download({ url: copyUrl, filename, conflictAction: conflictActionFor(policy) });
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  // The copy is on its way; only now is the original given up
+  try {
+    await chrome.downloads.cancel(item.id);
+  } catch (e) {
+    chrome.downloads.cancel(id).then(() => chrome.downloads.erase({ id })).catch(() => {});
+    return { error: e.message };
+  }
+  chrome.downloads.erase({ id: item.id });
+  return { id };
+}
+
+// -- Print surface handling --
+// QBO opens print tabs (blob: or a print URL — see lib/print-preview.js) and
+// in-page preview modals. Set the title of every frame (for Ctrl+P) and
+// queue a rename intent (for downloads from the PDF viewer).
+
+export async function handlePrintTab(tabId, tab) {
+  let settings = await getSettings();
+  if (!settings.enabled) return;
+
+  let { renameIntents = [], tabTransactions = {} } =
+    await chrome.storage.session.get(['renameIntents', 'tabTransactions']);
+  let clicks = freshIntents(renameIntents).filter(i => i.kind === 'click');
+
+  let data = null;
+  let usedIntent = null;
+
+  if (tab.openerTabId) {
+    // 1st: the newest print click from the tab that opened this preview
+    usedIntent = clicks.filter(i => i.tabId === tab.openerTabId).pop();
+    data = usedIntent?.data;
+
+    // 2nd: ask the opener tab's content script for live data
+    if (!data) {
+      try {
+        data = await chrome.tabs.sendMessage(tab.openerTabId, { action: 'getTransactionData' });
+      } catch (e) {
+        console.log('[Apex] could not query opener tab:', e.message);
+      }
+    }
+
+    // 3rd: the last transaction the opener tab reported
+    if (!data) data = tabTransactions[tab.openerTabId];
+  } else if (new Set(clicks.map(i => i.tabId)).size === 1) {
+    // No opener: only trust a click when a single tab could have made it
+    usedIntent = clicks.pop();
+    data = usedIntent.data;
+  }
+
+  if (!data?.num) return;
+
+  let override = usedIntent?.override;
+  let title = await titlePrintSurface(tabId, settings, data, true, override);
+
+  // Downloads from this tab's PDF viewer carry its URL — tag the intent
+  // with it so they match exactly
+  queueIntent({ kind: 'blob', action: 'print', tabId, openerTabId: tab.openerTabId, blobUrl: tab.url, data, override });
+
+  if (usedIntent) removeIntent(usedIntent.id);
+  console.log('[Apex] print tab ready:', title);
+}
+
+// From content.js when a preview modal opens on a transaction page, with
+// the page's transaction and the URL of the PDF in the modal. It reports
+// `again` once the PDF frame has loaded: that frame needs its title set
+// too, but the user has already been told.
+export async function handlePrintPreview(tabId, { data, src, again }) {
+  let settings = await getSettings();
+  if (!settings.enabled) return;
+
+  let { renameIntents = [], tabTransactions = {} } =
+    await chrome.storage.session.get(['renameIntents', 'tabTransactions']);
+  let click = freshIntents(renameIntents).filter(i => i.kind === 'click' && i.tabId === tabId).pop();
+
+  // The page may not have rendered its fields yet — fall back to its last
+  // print click, then to what it last reported
+  if (!data?.num) data = click?.data || tabTransactions[tabId];
+
+  if (!data?.num) return;
+
+  // The click that opened the preview may carry a name typed on the toolbar
+  let override = click?.override;
+  let title = await titlePrintSurface(tabId, settings, data, !again, override);
+  if (src && !again) queueIntent({ kind: 'blob', action: 'print', tabId, blobUrl: src, data, override });
+  console.log('[Apex] print preview ready:', title);
+}
+
+// The modal closed — every frame gets its own title back
+export async function restorePrintPreview(tabId) {
+  try {
+    await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, func: retitleFrame, args: [null] });
+  } catch (err) {
+    console.log('[Apex] could not restore print preview title:', err.message);
+  }
+}
+
+// allFrames reaches the frame Chrome prints, whichever it is. Frames the
+// extension can't script are skipped.
+async function titlePrintSurface(tabId, settings, data, confirm, override) {
+  let naming = settingsFor(settings, data);
+  let title = overrideName(naming, override) || baseName(filenameFor(naming, data));
+
+  try {
+    await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, func: retitleFrame, args: [title] });
+  } catch (err) {
+    console.log('[Apex] could not set print title:', err.message);
+    return title;
+  }
+
+  if (confirm && settings.notifyMode !== 'off') notify('Print title: ' + title, settings.notifyMode);
+  return title;
+}
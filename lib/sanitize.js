@@ -0,0 +1,112 @@
+// -- Filename sanitization --
+// What may appear in one path segment (a folder or the file name): what
+// Chrome accepts, in a length the system the files end up on can store.
+// buildFilename() runs every segment through sanitizeSegment() and measures
+// it with fitsSegment(), so the preview, the print-preview title and the
+// real rename get the same name.
+
+export const TARGET_OS = ['windows', 'macos', 'linux'];
+
+// Characters Chrome refuses in a suggested filename on every system, not
+// just the one that can't store them — it falls back to QBO's name then.
+// This covers macOS's ":" too. Controls and "/" go as well.
+const ILLEGAL = /[<>:"\\|?*]/g;
+
+// CON, PRN, AUX, NUL, COM1–9, LPT1–9 — with any extension — open a device
+// on Windows instead of a file, and Chrome refuses them everywhere
+const RESERVED = /^(?:con|prn|aux|nul|com[1-9\u00b9\u00b2\u00b3]|lpt[1-9\u00b9\u00b2\u00b3])(?:\..*)?$/i;
+
+// Invisible characters that reorder or hide text: bidi embeddings and
+// isolates, zero-width space, word joiner, BOM, soft hyphen. Zero-width
+// joiners stay — emoji sequences and some scripts need them.
+const INVISIBLE = /[\u00ad\u200b\u200e\u200f\u202a-\u202e\u2060\u2066-\u2069\ufeff]/g;
+
+// A component may be 255 UTF-16 units on Windows (NTFS) and 255 bytes on
+// macOS and Linux. Room is kept for ".pdf" and Chrome's " (12)".
+const SEGMENT_MAX = 255;
+const NAME_RESERVE = 10;
+
+export function sanitizeSegment(segment, { ascii = false } = {}) {
+  let name = segment.normalize('NFC')
+    .replace(INVISIBLE, '')
+    // Unpaired surrogates, left by a cut in the middle of an emoji
+    .replace(/[\ud800-\udfff]/gu, '')
+    .replace(/[\x00-\x1f\x7f/]/g, '');
+  if (ascii) name = transliterate(name);
+  name = name.replace(ILLEGAL, '');
+
+  // Collapse multiple spaces or dashes
+  name = name.replace(/\s{2,}/g, ' ').replace(/-{3,}/g, '--');
+  // Trim spaces and dots: Windows silently strips trailing dots, a leading
+  // dot hides the file on macOS and Linux, and it blocks ".."
+  name = name.replace(/^[\s.]+|[\s.]+$/g, '');
+
+  if (RESERVED.test(name)) name = name.replace(/^[^.]+/, '$&_');
+  return name;
+}
+
+// -- ASCII transliteration --
+// Letters NFKD can't take apart, then everything NFKD can: accents come
+// off, ligatures and full-width forms turn into plain letters. Whatever is
+// still outside printable ASCII (emoji, CJK…) is dropped.
+
+const ASCII_MAP = {
+  '\u00df': 'ss', '\u00c6': 'AE', '\u00e6': 'ae', '\u00d8': 'O', '\u00f8': 'o', '\u0152': 'OE', '\u0153': 'oe',
+  '\u0141': 'L', '\u0142': 'l', '\u0110': 'D', '\u0111': 'd', '\u00d0': 'D', '\u00f0': 'd', '\u00de': 'TH', '\u00fe': 'th',
+  '\u0131': 'i', '\u2018': '\'', '\u2019': '\'', '\u201a': '\'', '\u201c': '"', '\u201d': '"', '\u201e': '"',
+  '\u00ab': '"', '\u00bb': '"', '\u2013': '-', '\u2014': '-', '\u2012': '-', '\u2026': '...', '\u00a0': ' ',
+  '\u20ac': 'EUR', '\u00a3': 'GBP', '\u00a5': 'JPY', '\u00a9': '(c)', '\u00ae': '(R)', '\u2122': 'TM', '\u00d7': 'x'
+};
+
+const ASCII_MAPPED = new RegExp('[' + Object.keys(ASCII_MAP).join('') + ']', 'g');
+
+export function transliterate(text) {
+  return text
+    .replace(ASCII_MAPPED, ch => ASCII_MAP[ch])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '');
+}
+
+// -- Length --
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// User-visible characters, so an emoji or an accented letter counts once
+export function characterCount(text) {
+  return [...graphemes.segment(text)].length;
+}
+
+// The first `count` characters, never splitting one, without the spaces
+// and separators a cut leaves dangling
+export function truncateText(text, count) {
+  let kept = [...graphemes.segment(text)].slice(0, Math.max(0, count)).map(s => s.segment).join('');
+  return kept.replace(/[\s,;:([-]+$/, '');
+}
+
+function segmentSize(segment, targetOs) {
+  return targetOs === 'windows' ? segment.length : new TextEncoder().encode(segment).length;
+}
+
+// Whether a segment fits the file system and, for the file name itself,
+// the user's max length (0 for none)
+export function fitsSegment(segment, { targetOs = 'windows', maxLength = 0, isName = false } = {}) {
+  let limit = SEGMENT_MAX - (isName ? NAME_RESERVE : 0);
+  if (segmentSize(segment, targetOs) > limit) return false;
+  return !isName || !maxLength || characterCount(segment) <= maxLength;
+}
+
+// How many characters to cut for a name to fit — at least one
+export function excessCharacters(segment, options) {
+  let over = options.maxLength ? characterCount(segment) - options.maxLength : 0;
+  return Math.max(1, over);
+}
+
+// Last resort for a segment no token cut can shorten enough
+export function clampSegment(segment, options) {
+  let count = characterCount(segment);
+  while (count > 0 && !fitsSegment(segment, { ...options, maxLength: 0 })) {
+    segment = truncateText(segment, --count);
+  }
+  return segment;
+}
@@ -0,0 +1,226 @@
+import {
+  readTransactionData, applyRule, describeRule,
+  FIELD_CHAINS, REFERENCE_SELECTOR, HEADER_SELECTORS, nameSelectors
+} from './extract.js';
+import { menuWords, escapeRegExp } from './locales.js';
+
+// -- User selector rules --
+// Stored in the `selectorRules` setting so a QBO markup change (or a
+// localized QBO) can be worked around without a new release:
+//
+//   {
+//     fields: { customer: { rules: [{ selector, source, pattern }], fallback: true }, ... },
+//     menu: { item, opener, printButton, download, print }
+//   }
+//
+// Field rules are applied by readTransactionData() (see applyRule for the
+// rule shape). Blank menu entries keep the built-in value.
+
+export const RULE_FIELDS = ['num', 'type', 'customer', ...Object.keys(FIELD_CHAINS)];
+
+// A menu entry or button label in US English or any locale pack
+function menuPattern(action, english) {
+  return '^(' + [english, ...menuWords(action).map(escapeRegExp)].join('|') + ')$';
+}
+
+export const DEFAULT_MENU = {
+  // Entries of the "Print or download" menu, once open
+  item: '[class*="Menu-menu-list-wrapper"] li[role="menuitem"]',
+  // The footer button that opens that menu
+  opener: '[data-automation-id="RethinkLayout_footer"] button:first-of-type',
+  // The printer icon in the form header, which prints directly
+  printButton: '[data-automation-id="print-button"]',
+  // Case-insensitive patterns for the menu entry text
+  download: menuPattern('download', 'download'),
+  print: menuPattern('print', 'print')
+};
+
+// The footer's "Save and send" button, clicked by print & email
+export const SEND_BUTTON = new RegExp(['send', ...menuWords('send')].map(escapeRegExp).join('|'), 'i');
+
+// Version tag for exported rule files
+const EXPORT_KEY = 'apexSelectorRules';
+
+export function menuConfig(rules) {
+  let menu = { ...DEFAULT_MENU };
+  for (let [key, value] of Object.entries(rules?.menu || {})) {
+    if (key in DEFAULT_MENU && value?.trim()) menu[key] = value.trim();
+  }
+  return menu;
+}
+
+// Which action a menu entry's text stands for: 'download', 'print' or ''
+export function menuAction(menu, text) {
+  for (let action of ['download', 'print']) {
+    try {
+      if (new RegExp(menu[action], 'i').test(text.trim())) return action;
+    } catch {
+      // Saved patterns are validated; a bad one just never matches
+    }
+  }
+  return '';
+}
+
+// The built-in chain for a field, written as rules — shown read-only in the
+// editor and copied in as a starting point for reordering. Label lookups
+// have no selector and are left out.
+export function builtinRules(field) {
+  if (field === 'num') {
+    return [
+      { selector: REFERENCE_SELECTOR, source: 'value', pattern: '' },
+      ...HEADER_SELECTORS.map(selector => ({ selector, source: 'text', pattern: '\\s(\\d{3,})$' }))
+    ];
+  }
+  if (field === 'type') {
+    return [
+      { selector: REFERENCE_SELECTOR, source: 'aria-label', pattern: '^(.+?)\\s*number' },
+      ...HEADER_SELECTORS.map(selector => ({ selector, source: 'text', pattern: '^(.+?)\\s+\\d{3,}$' }))
+    ];
+  }
+  if (field === 'customer') {
+    return nameSelectors(null).map(selector => ({ selector, source: 'value', pattern: '' }));
+  }
+  return (FIELD_CHAINS[field] || [])
+    .filter(entry => typeof entry === 'string')
+    .map(selector => ({ selector, source: '', pattern: '' }));
+}
+
+// -- Validation --
+
+// Returns a list of human-readable problems; empty means the rules are
+// safe to save. `doc` is only used to check selector syntax.
+export function validateRules(rules, doc = document) {
+  let errors = [];
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return ['Rules must be an object'];
+
+  for (let [field, config] of Object.entries(rules.fields || {})) {
+    if (!RULE_FIELDS.includes(field)) {
+      errors.push('Unknown field "' + field + '"');
+      continue;
+    }
+    if (!Array.isArray(config?.rules)) {
+      errors.push(field + ': "rules" must be a list');
+      continue;
+    }
+    config.rules.forEach((rule, i) => {
+      let where = field + ' rule ' + (i + 1);
+      if (typeof rule?.selector !== 'string' || !rule.selector.trim()) errors.push(where + ': selector is empty');
+      else if (!isValidSelector(rule.selector, doc)) errors.push(where + ': invalid selector "' + rule.selector + '"');
+      if (rule.source != null && typeof rule.source !== 'string') errors.push(where + ': source must be text');
+      if (rule.pattern && !isValidPattern(rule.pattern)) errors.push(where + ': invalid pattern /' + rule.pattern + '/');
+    });
+  }
+
+  for (let [key, value] of Object.entries(rules.menu || {})) {
+    if (!(key in DEFAULT_MENU)) errors.push('Unknown menu setting "' + key + '"');
+    else if (typeof value !== 'string') errors.push('menu.' + key + ' must be text');
+    else if (!value.trim()) continue;
+    else if (key === 'download' || key === 'print') {
+      if (!isValidPattern(value)) errors.push('menu.' + key + ': invalid pattern /' + value + '/');
+    } else if (!isValidSelector(value, doc)) {
+      errors.push('menu.' + key + ': invalid selector "' + value + '"');
+    }
+  }
+
+  return errors;
+}
+
+function isValidSelector(selector, doc) {
+  try {
+    doc.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isValidPattern(pattern) {
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Drop empty rules, blank menu entries and fields with nothing left, so
+// what's stored (and synced) stays small
+export function compactRules(rules) {
+  let fields = {};
+  for (let [field, config] of Object.entries(rules.fields || {})) {
+    let kept = (config.rules || [])
+      .filter(rule => rule.selector?.trim())
+      .map(rule => ({ selector: rule.selector.trim(), source: rule.source || '', pattern: rule.pattern || '' }));
+    if (kept.length || config.fallback === false) fields[field] = { rules: kept, fallback: config.fallback !== false };
+  }
+
+  let menu = {};
+  for (let [key, value] of Object.entries(rules.menu || {})) {
+    if (value?.trim()) menu[key] = value.trim();
+  }
+  return { fields, menu };
+}
+
+// -- Import / export --
+
+export function exportRules(rules) {
+  return JSON.stringify({ [EXPORT_KEY]: 1, ...compactRules(rules) }, null, 2);
+}
+
+// Throws with a readable message when the file isn't a valid rules export
+export function importRules(json, doc = document) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (e) {
+    throw new Error('Not a JSON file: ' + e.message);
+  }
+  if (parsed?.[EXPORT_KEY] !== 1) throw new Error('Not an Apex Explorer selector rules file');
+
+  let rules = { fields: parsed.fields || {}, menu: parsed.menu || {} };
+  let errors = validateRules(rules, doc);
+  if (errors.length) throw new Error(errors.join('\n'));
+  return compactRules(rules);
+}
+
+// -- Test bench --
+// Run in the QBO tab's content script against rules that may not be saved
+// yet: what each rule extracts on its own, what the page resolves to with
+// the rules applied, and what the menu settings find.
+export function testRules(doc, rules) {
+  let fields = {};
+  for (let field of RULE_FIELDS) {
+    fields[field] = (rules.fields?.[field]?.rules || []).map(rule => ({
+      rule: describeRule(rule),
+      value: applyRule(doc, rule)
+    }));
+  }
+
+  let trace = {};
+  let data = readTransactionData(doc, { trace, rules });
+
+  let menu = menuConfig(rules);
+  let count = (selector) => {
+    try {
+      return doc.querySelectorAll(selector).length;
+    } catch {
+      return 0;
+    }
+  };
+  let items = [];
+  try {
+    items = [...doc.querySelectorAll(menu.item)].map(el => ({
+      text: el.innerText?.trim() || '',
+      action: menuAction(menu, el.innerText || '')
+    }));
+  } catch {
+    // Invalid item selector — reported by validation
+  }
+
+  return {
+    fields,
+    data,
+    trace,
+    menu: { opener: count(menu.opener), printButton: count(menu.printButton), items }
+  };
+}
@@ -0,0 +1,135 @@
+// -- Settings --
+// chrome.storage.sync values with their defaults. Shared by the service
+// worker and the popup, so both read settings through the same migrations.
+
+export const DEFAULTS = {
+  enabled: true,
+  format: '{num}[ - {customer}]',
+  dateFormat: 'YYYY-MM-DD',
+  // Which QBO_LOCALES pack {type} is named in (lib/locales.js)
+  typeLanguage: 'en-US',
+  notifyMode: 'toast',
+  // Per-type overrides keyed by DOC_TYPES slug; empty means use `format`
+  typeFormats: {},
+  // The preset library, managed on the options page: [{ name, format }]
+  formatPresets: [
+    { name: 'Number - Customer', format: '{num}[ - {customer}]' },
+    { name: 'Customer - Number', format: '[{customer} - ]{num}' },
+    { name: 'Type Number - Customer', format: '{type} {num}[ - {customer}]' },
+    { name: 'Number - Customer - Date', format: '{num}[ - {customer}] - {date}' }
+  ],
+  // Customer name clean-up before naming — see lib/customers.js.
+  // customerAliases: [{ from, to }]
+  stripSuffixes: false,
+  customerAliases: [],
+  // Filename safety — see lib/sanitize.js. maxLength counts characters in
+  // the file name without ".pdf"; 0 means no limit.
+  maxLength: 150,
+  targetOs: 'windows',
+  asciiNames: false,
+  // Folders, copies and follow-ups for finished downloads — see lib/download-rules.js
+  downloadRules: [],
+  // The filename bar content.js adds next to QBO's print/download footer
+  pageToolbar: true,
+  // Write the transaction into the PDF's document properties — see lib/pdf-metadata.js
+  pdfMetadata: false,
+  // Sidecar files and the daily manifest CSV — see lib/sidecar.js
+  sidecar: 'off',
+  sidecarName: '',
+  dailyManifest: false,
+  // What to do when the renamed file already exists — see lib/conflicts.js
+  conflictPolicy: 'uniquify',
+  typeConflictPolicies: {},
+  // Max rename history entries kept in storage.local; 0 turns history off
+  historyLimit: 500,
+  // Badge warning when QBO markup stops matching the primary selectors
+  diagnostics: true,
+  // User selector overrides, edited on rules.html (see lib/selector-rules.js)
+  selectorRules: { fields: {}, menu: {} },
+  // Per-company naming settings and the popup's manual pick — see lib/profiles.js
+  profiles: {},
+  profileOverride: ''
+};
+
+// -- Schema versions --
+// Stored as `settingsVersion`. Settings saved before versioning existed
+// count as version 1. To change the shape of a stored setting, bump
+// SETTINGS_VERSION and add a step that upgrades from the version before it.
+
+export const SETTINGS_VERSION = 2;
+
+// Each step receives the raw stored settings and edits them in place;
+// keys it deletes are removed from storage
+export const MIGRATIONS = {
+  // showNotification boolean → notifyMode enum
+  2(settings) {
+    if (typeof settings.showNotification === 'boolean') {
+      settings.notifyMode = settings.showNotification ? 'toast' : 'off';
+    }
+    delete settings.showNotification;
+  }
+};
+
+// Apply `MIGRATIONS` between `from` and SETTINGS_VERSION to a copy of the
+// stored settings. Returns what to write: { set, remove }.
+export function migrate(stored) {
+  let from = stored.settingsVersion || 1;
+  let settings = structuredClone(stored);
+
+  for (let version = from + 1; version <= SETTINGS_VERSION; version++) {
+    MIGRATIONS[version]?.(settings);
+  }
+  settings.settingsVersion = Math.max(from, SETTINGS_VERSION);
+
+  let set = {};
+  for (let [key, value] of Object.entries(settings)) {
+    if (JSON.stringify(value) !== JSON.stringify(stored[key])) set[key] = value;
+  }
+  let remove = Object.keys(stored).filter(key => !(key in settings));
+  return { set, remove };
+}
+
+// Runs once per service worker or popup lifetime — every getSettings()
+// waits on the same promise
+let migration = null;
+
+export function migrateSettings() {
+  migration ??= (async () => {
+    let stored = await chrome.storage.sync.get(null);
+    let { set, remove } = migrate(stored);
+    if (remove.length) await chrome.storage.sync.remove(remove);
+    if (Object.keys(set).length) await chrome.storage.sync.set(set);
+  })().catch((e) => {
+    migration = null;
+    console.log('[Apex] settings migration failed:', e.message);
+  });
+  return migration;
+}
+
+// -- Managed settings --
+// An admin policy (chrome.storage.managed, described by managed_schema.json)
+// can set any of these for everyone. A setting the policy sets is locked:
+// it wins over the user's own value and over their company profiles, and
+// the popup shows it read-only. Profiles and selector rules stay per user.
+
+export const MANAGED_KEYS = Object.keys(DEFAULTS).filter(key =>
+  !['profiles', 'profileOverride', 'selectorRules'].includes(key));
+
+// Chrome has already checked the policy against managed_schema.json.
+// Outside a managed install there's no policy, or no managed storage at all.
+export async function getManagedSettings() {
+  try {
+    let managed = await chrome.storage.managed.get(null);
+    return Object.fromEntries(Object.entries(managed).filter(([key]) => MANAGED_KEYS.includes(key)));
+  } catch {
+    return {};
+  }
+}
+
+// The stored settings with the policy's laid over them. `locked` lists
+// the keys the policy set.
+export async function getSettings() {
+  await migrateSettings();
+  let [stored, managed] = await Promise.all([chrome.storage.sync.get(DEFAULTS), getManagedSettings()]);
+  return { ...stored, ...managed, locked: Object.keys(managed) };
+}
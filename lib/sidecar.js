@@ -0,0 +1,125 @@
+import { FORMAT_TOKENS, validateFormat } from './format.js';
+import { buildFilename, namingData } from './filename.js';
+import { conflictActionFor } from './conflicts.js';
+import { updateStorage } from './storage.js';
+
+// -- Companion files --
+// Structured data for import scripts, saved next to each renamed PDF:
+//
+//   sidecar        'json' or 'csv' — "1042 - Bison Pumps.json", or a .csv
+//                  with a header and one row; 'off' for none
+//   sidecarName    a format for the sidecar's name, relative to Downloads
+//                  like a PDF's; '' for the PDF's own name and folder
+//   dailyManifest  a CSV with a row for every PDF renamed that day
+//
+// Chrome can't write or append to a file, only download one, so each file
+// is downloaded from a data: URL. The day's manifest is downloaded again,
+// whole, over the last one each time a row is added.
+
+export const SIDECAR_FORMATS = ['off', 'json', 'csv'];
+
+// The page data readTransactionData() captures; {date}, {parent}, {job} and
+// {year} are derived from it
+export const SIDECAR_FIELDS = [
+  ...FORMAT_TOKENS.filter(token => !['date', 'parent', 'job', 'year'].includes(token)),
+  'realmId', 'url'
+];
+
+export const SIDECAR_COLUMNS = ['timestamp', 'filename', 'source', ...SIDECAR_FIELDS];
+
+export function csvCell(value) {
+  let text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? '"' + text.replaceAll('"', '""') + '"' : text;
+}
+
+export function csvLines(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// One renamed PDF as { filename, timestamp, source, data }: `filename` is
+// its path under Downloads, `source` where the data came from (see
+// renameDownload: pendingRename, blobRenameData, currentTransaction or
+// filename)
+export function csvRow(record) {
+  return [
+    new Date(record.timestamp).toISOString(),
+    record.filename,
+    record.source,
+    ...SIDECAR_FIELDS.map(field => record.data[field])
+  ];
+}
+
+export function sidecarContent(format, record) {
+  if (format === 'csv') return csvLines([SIDECAR_COLUMNS, csvRow(record)]);
+  return JSON.stringify({ ...record, timestamp: new Date(record.timestamp).toISOString() }, null, 2) + '\n';
+}
+
+// Where the sidecar for the PDF at `pdfPath` goes
+export function sidecarPath(settings, data, pdfPath) {
+  let name = settings.sidecarName?.trim() && !validateFormat(settings.sidecarName)
+    ? buildFilename(settings.sidecarName, namingData(settings, data))
+    : pdfPath.replace(/\.pdf$/i, '');
+  return name + '.' + settings.sidecar;
+}
+
+function dataUrl(type, text) {
+  return 'data:' + type + ';charset=utf-8,' + encodeURIComponent(text);
+}
+
+// Save what's asked for. Failures are logged — the PDF itself is fine.
+export async function writeCompanionFiles(settings, record, policy) {
+  if (settings.sidecar === 'json' || settings.sidecar === 'csv') {
+    try {
+      await chrome.downloads.download({
+        url: dataUrl(settings.sidecar === 'csv' ? 'text/csv' : 'application/json', sidecarContent(settings.sidecar, record)),
+        filename: sidecarPath(settings, record.data, record.filename),
+        // Named like the PDF, so it takes the same way out of a clash —
+        // but never a second Save As dialog
+        conflictAction: policy === 'prompt' ? 'uniquify' : conflictActionFor(policy)
+      });
+    } catch (e) {
+      console.log('[Apex] sidecar not saved:', e.message);
+    }
+  }
+  if (settings.dailyManifest) await addToManifest(record);
+}
+
+// -- Daily manifest --
+// storage.local `dailyManifest`: { day, rows, downloadId } for today only;
+// the first PDF of a new day starts over
+
+export function manifestName(day) {
+  return 'Apex manifest ' + day + '.csv';
+}
+
+// YYYY-MM-DD in the user's time zone — the day they'd call it
+function localDay(date) {
+  let pad = (n) => String(n).padStart(2, '0');
+  return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+}
+
+export async function addToManifest(record, now = new Date()) {
+  let day = localDay(now);
+  let manifest = null;
+  await updateStorage('local', 'dailyManifest', { day: '', rows: [] }, (stored) => {
+    manifest = stored.day === day ? stored : { day, rows: [] };
+    manifest.rows.push(csvRow(record));
+    return manifest;
+  });
+  if (!manifest) return;
+
+  try {
+    let downloadId = await chrome.downloads.download({
+      url: dataUrl('text/csv', csvLines([SIDECAR_COLUMNS, ...manifest.rows])),
+      filename: manifestName(day),
+      conflictAction: 'overwrite'
+    });
+    // The file was just overwritten; this only clears the earlier copy's
+    // entry from the downloads list
+    if (manifest.downloadId) chrome.downloads.erase({ id: manifest.downloadId });
+    await updateStorage('local', 'dailyManifest', { day: '', rows: [] }, stored =>
+      stored.day === day ? { ...stored, downloadId } : null);
+  } catch (e) {
+    console.log('[Apex] daily manifest not saved:', e.message);
+  }
+}
@@ -0,0 +1,18 @@
+// -- Chained storage writes --
+// Read-modify-write on one key is serialized, so two events landing together
+// (two downloads, two clicks) can't overwrite each other's changes.
+
+let storageWrites = {};
+
+export function updateStorage(area, key, fallback, mutate) {
+  let chainKey = area + ':' + key;
+  let next = (storageWrites[chainKey] || Promise.resolve()).then(async () => {
+    let stored = await chrome.storage[area].get({ [key]: fallback });
+    let value = mutate(stored[key]);
+    if (value !== null) await chrome.storage[area].set({ [key]: value });
+  }).catch((e) => {
+    console.log('[Apex] storage write failed:', key, e.message);
+  });
+  storageWrites[chainKey] = next;
+  return next;
+}
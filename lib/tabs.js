@@ -0,0 +1,102 @@
+import { DOC_URL_PATTERNS, QBO_DOC_URL } from './doc-types.js';
+import { readPdf } from './pdf-metadata.js';
+
+// -- QBO tab helpers --
+
+// Pages of any type in the registry (lib/doc-types.js)
+export const QBO_TXN_URL = QBO_DOC_URL;
+export const QBO_LIST_URL = /^https:\/\/qbo\.intuit\.com\/app\/(sales|invoices|expenses)\/?(\?|#|$)/;
+
+// The command's tab is the focused one; fall back to querying if it's missing
+export async function findQboTab(tab) {
+  if (!tab) [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return QBO_TXN_URL.test(tab?.url || '') ? tab : null;
+}
+
+// Message the content script, injecting it first if the tab predates the extension
+export async function sendToContent(tabId, msg) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, msg);
+  } catch (e) {
+    console.log('[Apex] content script not reachable, injecting:', e.message);
+  }
+
+  try {
+    await injectScript(tabId, 'content.js');
+    return await chrome.tabs.sendMessage(tabId, msg);
+  } catch (e) {
+    console.log('[Apex] content script injection failed:', e.message);
+    return null;
+  }
+}
+
+// Content scripts pull in their lib/ modules themselves, so one file is enough
+function injectScript(tabId, file) {
+  return chrome.scripting.executeScript({ target: { tabId }, files: [file] });
+}
+
+// content.js runs on every page in the registry. It's registered here rather
+// than in the manifest so its match patterns come from the registry too.
+export async function registerContentScript() {
+  let script = { id: 'apex-documents', js: ['content.js'], matches: DOC_URL_PATTERNS, runAt: 'document_idle' };
+  let registered = await chrome.scripting.getRegisteredContentScripts({ ids: [script.id] });
+  if (registered.length) await chrome.scripting.updateContentScripts([script]);
+  else await chrome.scripting.registerContentScripts([script]);
+}
+
+// A document opened from a list page with pushState never had content.js
+// injected — the registered patterns only match on a full page load
+export async function ensureContentScript(tabId) {
+  let loaded = await chrome.tabs.sendMessage(tabId, { action: 'contentPing' }).catch(() => false);
+  if (loaded) return;
+  await injectScript(tabId, 'content.js').catch((e) => {
+    console.log('[Apex] content script injection failed:', e.message);
+  });
+}
+
+// A QBO PDF's bytes, read in the first of `tabIds` that can: a blob: URL only
+// works in the origin that made it, not in the service worker. A preview
+// tab's opener is the transaction page, where the blob was made, so it goes
+// first. Returns { base64 } or { error }.
+export async function readPdfInTab(url, tabIds) {
+  let error = 'no QBO tab to read the PDF from';
+  for (let tabId of tabIds.filter(Boolean)) {
+    try {
+      let [frame] = await chrome.scripting.executeScript({ target: { tabId }, func: readPdf, args: [url] });
+      if (frame?.result?.base64) return { base64: frame.result.base64 };
+      error = frame?.result?.error || 'could not read the PDF';
+    } catch (e) {
+      error = e.message;
+    }
+  }
+  return { error };
+}
+
+export async function ensureBatchScript(tabId) {
+  let loaded = await chrome.tabs.sendMessage(tabId, { action: 'batchPing' }).catch(() => false);
+  if (loaded) return;
+  await injectScript(tabId, 'batch.js').catch((e) => {
+    console.log('[Apex] batch script injection failed:', e.message);
+  });
+}
+
+// QBO reports "complete" long before React renders the form — poll the
+// content script until it can read a transaction number. When `url` is given,
+// also wait until the page reports that transaction, so a reused tab can't
+// answer with the one it showed before.
+export async function waitForTransaction(tabId, url, timeoutMs = 20000) {
+  let txnId = url && new URL(url).searchParams.get('txnId');
+  let deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    await sleep(1000);
+    let data = await chrome.tabs.sendMessage(tabId, { action: 'getTransactionData' }).catch(() => null);
+    if (!data?.num) continue;
+    if (txnId && data.url && new URL(data.url).searchParams.get('txnId') !== txnId) continue;
+    return data;
+  }
+  return null;
+}
+
+export function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
@@ -0,0 +1,123 @@
+import { fieldSelectors } from './extract.js';
+
+// -- Transaction state --
+// Loaded by content.js, which keeps one tracker per tab. Rather than
+// re-reading the page on a timer, the tracker listens to the fields the
+// transaction is read from: typing in them, and React writing them — it
+// updates a controlled input's value attribute along with its value, so a
+// customer picked from the list shows up too. Changes are debounced into a
+// single read, and a snapshot { version, data } is published only when the
+// data differs from the last one; the version goes up by one each time.
+//
+// The data is "settled" once no read is pending. settled() waits for that,
+// so an action taken right after picking a customer gets the customer
+// instead of racing React's re-render. With nothing pending it reads the
+// page again: fields found by their label ("Total", "Balance due") aren't
+// watched, and an action must never name a file from a stale amount.
+
+// Quiet time after the last change before the page is read
+export const SETTLE_DELAY = 300;
+
+// Longest settled() waits — a page that never stops changing still gets read
+export const SETTLE_TIMEOUT = 3000;
+
+const FIELD_EVENTS = ['input', 'change', 'blur'];
+
+// Options:
+// - read():      the transaction on the page now, or null
+// - publish():   called with each new snapshot
+// - rules():     the user's `selectorRules`, whose fields are watched too
+export function createTransactionTracker({ doc = document, read, publish, rules = () => null, delay = SETTLE_DELAY }) {
+  let watched = new WeakSet();
+  let observer = new doc.defaultView.MutationObserver(touch);
+  let snapshot = { version: 0, data: null };
+  let key = 'null';
+  let timer = null;
+  let waiters = [];
+
+  function touch() {
+    clearTimeout(timer);
+    timer = setTimeout(update, delay);
+  }
+
+  function update() {
+    clearTimeout(timer);
+    timer = null;
+    let data = read();
+    let next = JSON.stringify(data);
+    if (next !== key) {
+      key = next;
+      snapshot = { version: snapshot.version + 1, data };
+      publish(snapshot);
+    }
+    for (let waiter of [...waiters]) {
+      if (waiter.until(data)) finish(waiter);
+    }
+  }
+
+  function finish(waiter) {
+    clearTimeout(waiter.timer);
+    waiters.splice(waiters.indexOf(waiter), 1);
+    waiter.resolve(snapshot.data);
+  }
+
+  return {
+    get snapshot() {
+      return snapshot;
+    },
+
+    // Start watching fields that have rendered since the last call. React
+    // replaces elements as it re-renders, so content.js calls this whenever
+    // the page changes. A field that's new means new data to read.
+    watch() {
+      let found = false;
+      for (let selector of fieldSelectors(rules())) {
+        let elements;
+        try {
+          elements = doc.querySelectorAll(selector);
+        } catch {
+          // A user rule with a bad selector watches nothing
+          continue;
+        }
+        for (let el of elements) {
+          if (watched.has(el)) continue;
+          watched.add(el);
+          found = true;
+          for (let type of FIELD_EVENTS) el.addEventListener(type, touch);
+          // Attributes, for the value and for rules that read one; text, for
+          // the title and read-only amounts
+          observer.observe(el, { attributes: true, characterData: true, childList: true, subtree: true });
+        }
+      }
+      if (found) touch();
+      return found;
+    },
+
+    // Something may have changed that the fields don't show, like the URL
+    touch,
+
+    // A new page: nothing is known until it has been read again
+    reset() {
+      snapshot = { version: snapshot.version, data: null };
+      key = 'null';
+      touch();
+    },
+
+    // The data once no read is pending and `until(data)` holds, or after
+    // `timeout` ms with whatever the page shows by then
+    settled({ until = () => true, timeout = SETTLE_TIMEOUT } = {}) {
+      if (!timer) {
+        update();
+        if (until(snapshot.data)) return Promise.resolve(snapshot.data);
+      }
+      return new Promise((resolve) => {
+        let waiter = { until, resolve };
+        waiter.timer = setTimeout(() => {
+          update();
+          if (waiters.includes(waiter)) finish(waiter);
+        }, timeout);
+        waiters.push(waiter);
+      });
+    }
+  };
+}
@@ -0,0 +1,1013 @@
+import { FORMAT_TOKENS, validateFormat } from './lib/format.js';
+import { DOC_TYPES } from './lib/doc-types.js';
+import { filenameFor } from './lib/filename.js';
+import { DEFAULTS, getSettings } from './lib/settings.js';
+import {
+  SEPARATORS, formatToPieces, piecesToFormat, tokenText, toggleOptional, movePiece
+} from './lib/format-builder.js';
+import { parseAliasCsv, mergeAliases } from './lib/customers.js';
+import { TARGET_OS, characterCount } from './lib/sanitize.js';
+import { newRule, validateRule } from './lib/download-rules.js';
+import { exportSettings, importSettings, diffSettings } from './lib/backup.js';
+import { SIDECAR_FORMATS } from './lib/sidecar.js';
+import { t, localizePage } from './lib/i18n.js';
+
+const TOKEN_LABELS = {
+  num: 'chipNum',
+  customer: 'chipCustomer',
+  parent: 'tokenParent',
+  job: 'tokenJob',
+  type: 'chipType',
+  date: 'chipDate',
+  txndate: 'chipTxnDate',
+  due: 'chipDue',
+  year: 'tokenYear',
+  total: 'chipTotal',
+  balance: 'tokenBalance',
+  ponum: 'chipPonum',
+  memo: 'tokenMemo',
+  location: 'tokenLocation',
+  class: 'tokenClass',
+  company: 'chipCompany',
+  period: 'tokenPeriod',
+  rev: 'tokenRev'
+};
+
+// The test bench rows: everyday documents plus the data that breaks naive
+// formats
+const SAMPLES = [
+  {
+    label: 'sampleTypical',
+    data: {
+      num: '87072', customer: 'Bison Pumps', type: 'Estimate', txndate: '2026-02-20', due: '2026-03-22',
+      total: '12450.00', company: 'Apex Industrial'
+    }
+  },
+  {
+    label: 'samplePonum',
+    data: {
+      num: '1042', customer: 'Bison Pumps, LLC (Houston Yard)', type: 'Invoice', txndate: '2026-01-05',
+      total: '3200.50', balance: '1200.50', ponum: 'PO-5521'
+    }
+  },
+  {
+    label: 'sampleJob',
+    data: { num: '1044', customer: 'Bison Pumps, LLC (Houston Yard):Job 14', type: 'Invoice', txndate: '2026-01-12' }
+  },
+  { label: 'sampleVendor', data: { num: 'INV-7781', customer: 'Acme Supply Co.', type: 'Bill', txndate: '2026-04-10' } },
+  { label: 'sampleNoCustomer', data: { num: '5567', customer: '', type: 'Sales Receipt', total: '89.99' } },
+  { label: 'sampleIllegal', data: { num: '1043', customer: 'Smith/Jones: "A*B" <West> Co?', type: 'Invoice' } },
+  {
+    label: 'sampleLong',
+    data: {
+      num: '2210', type: 'Credit Memo',
+      customer: 'The Extremely Long Customer Name Holdings International Incorporated of Greater Houston and the Surrounding Counties'
+    }
+  },
+  { label: 'sampleAccents', data: { num: '87073', customer: 'Caf\u00e9 \u00c9toile S.\u00e0 r.l.', type: 'Estimate' } },
+  { label: 'sampleUnicode', data: { num: '1045', customer: '\u202bM\u00fcller \ud83d\udd27 Pumpen\u202c', type: 'Invoice' } },
+  { label: 'sampleReserved', data: { num: 'LPT1', customer: '', type: 'Invoice' } },
+  { label: 'sampleJournal', data: { num: '12', customer: '', type: 'Journal Entry', txndate: '2026-06-30' } },
+  { label: 'sampleReport', data: { num: '', customer: '', type: 'Profit and Loss', period: 'January 1 - June 30, 2026' } },
+  { label: 'sampleEmpty', data: { num: '', customer: '', type: 'Invoice' } }
+];
+
+const LONG_NAME = 150;
+// Shorter limits can't fit a number, a name and a date
+const MIN_LENGTH = 20;
+const OS_LABELS = { windows: 'osWindows', macos: 'osMacos', linux: 'osLinux' };
+const SIDECAR_LABELS = { off: 'sidecarOff', json: 'sidecarJson', csv: 'sidecarCsv' };
+
+let settings;
+// '' is the main format, otherwise a DOC_TYPES slug
+let target = '';
+let pieces = [];
+let formatInput, errorEl;
+let saveTimers = {};
+// The alias rows on screen, blank ones included; only complete ones are saved
+let aliasRows = [];
+// The download rules on screen, edited in place
+let downloadRules = [];
+// Settings read from a backup file, waiting for the user to apply them
+let pendingImport = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  localizePage();
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+
+  formatInput = document.getElementById('builder-format');
+  errorEl = document.getElementById('builder-error');
+  settings = await getSettings();
+
+  renderTargets();
+  renderPalette();
+  loadTarget();
+  renderPresets();
+  loadCustomerNames();
+  loadSafety();
+  loadDownloadRules();
+  loadPageToolbar();
+  loadPdfMetadata();
+  loadCompanionFiles();
+  showLocks();
+
+  document.getElementById('builder-target').addEventListener('change', (e) => {
+    target = e.target.value;
+    loadTarget();
+  });
+
+  formatInput.addEventListener('input', () => {
+    let error = formatError(formatInput.value);
+    showError(error);
+    if (error) return;
+    let parsed = formatToPieces(formatInput.value);
+    pieces = parsed ?? [];
+    renderStrip(parsed === null);
+    storeFormat(formatInput.value);
+  });
+
+  let strip = document.getElementById('builder-strip');
+  strip.addEventListener('dragover', onDragOver);
+  strip.addEventListener('dragleave', clearDropMarker);
+  strip.addEventListener('drop', onDrop);
+
+  document.getElementById('preset-save').addEventListener('click', savePreset);
+
+  document.getElementById('stripSuffixes').addEventListener('change', (e) => {
+    settings.stripSuffixes = e.target.checked;
+    save('stripSuffixes', e.target.checked);
+    renderPreview();
+    renderBench();
+  });
+  document.getElementById('alias-add').addEventListener('click', () => {
+    aliasRows.push({ from: '', to: '' });
+    renderAliases();
+    document.querySelector('#alias-rows li:last-child input')?.focus();
+  });
+  document.getElementById('alias-import').addEventListener('click', () => document.getElementById('alias-file').click());
+  document.getElementById('alias-file').addEventListener('change', importAliases);
+
+  document.getElementById('maxLength').addEventListener('input', (e) => {
+    let value = Number(e.target.value);
+    if (!Number.isInteger(value) || (value && value < MIN_LENGTH)) return;
+    settings.maxLength = value;
+    debouncedSave('maxLength', value);
+    renderPreview();
+    renderBench();
+  });
+  document.getElementById('targetOs').addEventListener('change', (e) => {
+    settings.targetOs = e.target.value;
+    save('targetOs', e.target.value);
+    renderPreview();
+    renderBench();
+  });
+  document.getElementById('asciiNames').addEventListener('change', (e) => {
+    settings.asciiNames = e.target.checked;
+    save('asciiNames', e.target.checked);
+    renderPreview();
+    renderBench();
+  });
+  document.getElementById('pageToolbar').addEventListener('change', (e) => {
+    settings.pageToolbar = e.target.checked;
+    save('pageToolbar', e.target.checked);
+  });
+  document.getElementById('pdfMetadata').addEventListener('change', (e) => {
+    settings.pdfMetadata = e.target.checked;
+    save('pdfMetadata', e.target.checked);
+  });
+  document.getElementById('sidecar').addEventListener('change', (e) => {
+    settings.sidecar = e.target.value;
+    save('sidecar', e.target.value);
+  });
+  document.getElementById('sidecarName').addEventListener('input', (e) => {
+    let error = e.target.value.trim() ? validateFormat(e.target.value) : '';
+    let errorEl = document.getElementById('sidecar-name-error');
+    errorEl.textContent = error;
+    errorEl.classList.toggle('hidden', !error);
+    e.target.classList.toggle('invalid', !!error);
+    if (error) return;
+    settings.sidecarName = e.target.value.trim();
+    debouncedSave('sidecarName', settings.sidecarName);
+  });
+  document.getElementById('dailyManifest').addEventListener('change', (e) => {
+    settings.dailyManifest = e.target.checked;
+    save('dailyManifest', e.target.checked);
+  });
+  document.getElementById('download-rule-add').addEventListener('click', () => {
+    updateDownloadRules(rules => { rules.push(newRule(t('ruleDefaultName', String(rules.length + 1)))); });
+    document.querySelector('#download-rules li:last-child input[type="text"]')?.focus();
+  });
+  document.getElementById('backup-export').addEventListener('click', exportBackup);
+  document.getElementById('backup-import').addEventListener('click', () => document.getElementById('backup-file').click());
+  document.getElementById('backup-file').addEventListener('change', readBackup);
+  document.getElementById('backup-apply').addEventListener('click', applyBackup);
+  document.getElementById('backup-cancel').addEventListener('click', () => showBackupPreview(null));
+  document.getElementById('open-rules').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('rules.html') });
+  });
+
+  // Keep up with changes made from the popup
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'sync') return;
+    for (let [key, { newValue }] of Object.entries(changes)) {
+      if (key in DEFAULTS && !settings.locked.includes(key)) settings[key] = newValue ?? DEFAULTS[key];
+    }
+    if (changes.formatPresets) renderPresets();
+    if (changes.format || changes.typeFormats) {
+      if (document.activeElement !== formatInput && !document.querySelector('.piece-text:focus')) loadTarget();
+      else renderBench();
+    } else {
+      renderBench();
+    }
+  });
+});
+
+// -- Saving --
+
+function save(key, value) {
+  if (settings.locked.includes(key)) return;
+  chrome.storage.sync.set({ [key]: value });
+}
+
+function debouncedSave(key, value) {
+  clearTimeout(saveTimers[key]);
+  saveTimers[key] = setTimeout(() => save(key, value), 300);
+}
+
+// A type's format may be blank (use the main format); the main one may not
+function formatError(format) {
+  if (!format.trim()) return target ? '' : t('builderEmpty');
+  return validateFormat(format);
+}
+
+function showError(message) {
+  errorEl.textContent = message;
+  errorEl.classList.toggle('hidden', !message);
+  formatInput.classList.toggle('invalid', !!message);
+  formatInput.setAttribute('aria-invalid', !!message);
+}
+
+function storeFormat(format) {
+  if (builderLocked()) return;
+  if (target) {
+    let typeFormats = { ...settings.typeFormats };
+    if (format.trim()) typeFormats[target] = format.trim();
+    else delete typeFormats[target];
+    settings.typeFormats = typeFormats;
+    debouncedSave('typeFormats', typeFormats);
+  } else {
+    settings.format = format;
+    debouncedSave('format', format);
+  }
+  renderPreview();
+  renderBench();
+}
+
+// -- Format builder --
+
+function renderTargets() {
+  let select = document.getElementById('builder-target');
+  let main = new Option(t('builderMainFormat'), '');
+  select.replaceChildren(main, ...DOC_TYPES.map(({ slug, label }) => new Option(label, slug)));
+}
+
+function currentFormat() {
+  return target ? settings.typeFormats[target] || '' : settings.format;
+}
+
+function targetType() {
+  return DOC_TYPES.find(type => type.slug === target);
+}
+
+function loadTarget() {
+  let format = currentFormat();
+  formatInput.value = format;
+  formatInput.placeholder = target ? targetType().format || settings.format : '';
+  showError('');
+
+  let parsed = null;
+  try {
+    parsed = formatToPieces(format);
+  } catch (e) {
+    showError(e.message);
+  }
+  pieces = parsed ?? [];
+  renderStrip(parsed === null && !errorEl.textContent);
+  renderPreview();
+  renderBench();
+
+  // A format a policy sets can be looked at, not edited
+  let isLocked = builderLocked();
+  formatInput.readOnly = isLocked;
+  formatInput.title = isLocked ? t('lockedByAdmin') : '';
+  for (let id of ['builder-strip', 'palette-tokens', 'palette-separators']) {
+    document.getElementById(id).toggleAttribute('inert', isLocked);
+    document.getElementById(id).classList.toggle('locked', isLocked);
+  }
+}
+
+function builderLocked() {
+  return settings.locked.includes(target ? 'typeFormats' : 'format');
+}
+
+// The strip was edited — write its format back to the text input and storage
+function commitPieces(next) {
+  pieces = next;
+  let format = piecesToFormat(pieces);
+  formatInput.value = format;
+  showError(formatError(format));
+  renderStrip(false);
+  if (!errorEl.textContent) storeFormat(format);
+}
+
+function renderPalette() {
+  document.getElementById('palette-tokens').replaceChildren(...FORMAT_TOKENS.map(name =>
+    paletteItem(t(TOKEN_LABELS[name]), '{' + name + '}', { kind: 'token', name, mods: [], group: null })));
+
+  document.getElementById('palette-separators').replaceChildren(
+    ...SEPARATORS.map(value => paletteItem(JSON.stringify(value), t('builderSeparator'), { kind: 'text', value, group: null })),
+    paletteItem(t('builderText'), t('builderTextTitle'), { kind: 'text', value: '', group: null })
+  );
+}
+
+function paletteItem(text, title, piece) {
+  let btn = document.createElement('button');
+  btn.className = 'chip palette-item';
+  btn.textContent = text;
+  btn.title = title;
+  btn.draggable = true;
+  btn.addEventListener('dragstart', (e) => {
+    e.dataTransfer.setData('application/x-apex-piece', JSON.stringify({ piece }));
+    e.dataTransfer.effectAllowed = 'copy';
+  });
+  btn.addEventListener('click', () => {
+    commitPieces([...pieces, structuredClone(piece)]);
+    if (piece.kind === 'text' && !piece.value) focusPiece(pieces.length - 1);
+  });
+  return btn;
+}
+
+function renderStrip(nested) {
+  let strip = document.getElementById('builder-strip');
+  document.getElementById('builder-nested').classList.toggle('hidden', !nested);
+  strip.classList.toggle('disabled', nested);
+  if (nested) {
+    strip.replaceChildren();
+    return;
+  }
+
+  strip.replaceChildren(...pieces.map(pieceElement));
+  if (!pieces.length) {
+    let hint = document.createElement('span');
+    hint.className = 'strip-hint';
+    hint.textContent = t('builderDropHere');
+    strip.appendChild(hint);
+  }
+}
+
+function pieceElement(piece, index) {
+  let el = document.createElement('div');
+  el.className = 'piece piece-' + piece.kind + (piece.group != null ? ' optional' : '');
+  el.dataset.index = index;
+  el.draggable = true;
+  el.tabIndex = 0;
+  el.addEventListener('dragstart', (e) => {
+    e.dataTransfer.setData('application/x-apex-piece', JSON.stringify({ from: index }));
+    e.dataTransfer.effectAllowed = 'move';
+  });
+
+  // Alt+arrows move the focused piece, for keyboard users
+  el.addEventListener('keydown', (e) => {
+    if (!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+    e.preventDefault();
+    let to = e.key === 'ArrowLeft' ? index - 1 : index + 2;
+    if (to < 0 || to > pieces.length) return;
+    commitPieces(movePiece(pieces, index, to));
+    focusPiece(e.key === 'ArrowLeft' ? index - 1 : index + 1);
+  });
+
+  if (piece.kind === 'token') {
+    let name = document.createElement('span');
+    name.className = 'piece-name';
+    name.textContent = tokenText(piece);
+    name.title = t(TOKEN_LABELS[piece.name]);
+
+    let mods = document.createElement('button');
+    mods.className = 'piece-btn';
+    mods.textContent = '|';
+    mods.title = t('builderModifiers');
+    mods.addEventListener('click', () => editModifiers(index));
+    el.append(name, mods);
+  } else {
+    let input = document.createElement('input');
+    input.className = 'piece-text';
+    input.value = piece.value;
+    input.size = Math.max(2, piece.value.length);
+    input.setAttribute('aria-label', t('builderTextTitle'));
+    input.addEventListener('input', () => {
+      input.size = Math.max(2, input.value.length);
+      pieces[index] = { ...piece, value: input.value };
+      let format = piecesToFormat(pieces);
+      formatInput.value = format;
+      showError(formatError(format));
+      if (!errorEl.textContent) storeFormat(format);
+    });
+    // Dragging from inside the text box selects text instead
+    input.addEventListener('mousedown', () => { el.draggable = false; });
+    input.addEventListener('mouseup', () => { el.draggable = true; });
+    el.appendChild(input);
+  }
+
+  let optional = document.createElement('button');
+  optional.className = 'piece-btn';
+  optional.textContent = '[ ]';
+  optional.title = t('builderOptional');
+  optional.setAttribute('aria-pressed', piece.group != null);
+  optional.addEventListener('click', () => commitPieces(toggleOptional(pieces, index)));
+
+  let remove = document.createElement('button');
+  remove.className = 'piece-btn';
+  remove.textContent = '\u00d7';
+  remove.title = t('builderRemove');
+  remove.addEventListener('click', () => commitPieces(pieces.filter((_, i) => i !== index)));
+
+  el.append(optional, remove);
+  return el;
+}
+
+function focusPiece(index) {
+  let el = document.querySelector('.piece[data-index="' + index + '"]');
+  (el?.querySelector('.piece-text') || el)?.focus();
+}
+
+// Modifiers are typed as they appear in a format: "upper|max:30"
+function editModifiers(index) {
+  let piece = pieces[index];
+  let current = tokenText(piece).slice(piece.name.length + 2, -1);
+  let answer = prompt(t('builderModifiersPrompt', piece.name), current);
+  if (answer == null) return;
+
+  let spec = answer.trim().replace(/^\|/, '');
+  let text = '{' + piece.name + (spec ? '|' + spec : '') + '}';
+  let error = validateFormat(text);
+  if (error) {
+    showError(error);
+    return;
+  }
+  let [token] = formatToPieces(text);
+  commitPieces(pieces.map((p, i) => i === index ? { ...token, group: p.group } : p));
+}
+
+// -- Drag and drop --
+
+function dropIndex(e) {
+  let el = e.target.closest('.piece');
+  if (!el) return pieces.length;
+  let index = Number(el.dataset.index);
+  let box = el.getBoundingClientRect();
+  return e.clientX > box.left + box.width / 2 ? index + 1 : index;
+}
+
+function clearDropMarker() {
+  for (let el of document.querySelectorAll('.drop-before, .drop-after')) el.classList.remove('drop-before', 'drop-after');
+}
+
+function onDragOver(e) {
+  if (!e.dataTransfer.types.includes('application/x-apex-piece')) return;
+  e.preventDefault();
+  clearDropMarker();
+  let index = dropIndex(e);
+  let before = document.querySelector('.piece[data-index="' + index + '"]');
+  let after = document.querySelector('.piece[data-index="' + (index - 1) + '"]');
+  if (before) before.classList.add('drop-before');
+  else after?.classList.add('drop-after');
+}
+
+function onDrop(e) {
+  let raw = e.dataTransfer.getData('application/x-apex-piece');
+  if (!raw) return;
+  e.preventDefault();
+  clearDropMarker();
+
+  let { piece, from } = JSON.parse(raw);
+  let index = dropIndex(e);
+  if (piece) {
+    let next = [...pieces];
+    next.splice(index, 0, piece);
+    commitPieces(next);
+    if (piece.kind === 'text' && !piece.value) focusPiece(index);
+  } else {
+    commitPieces(movePiece(pieces, from, index));
+  }
+}
+
+// -- Preview and test bench --
+
+// A sample of the type being edited, or the first sample retyped
+function renderPreview() {
+  let type = targetType()?.label || SAMPLES[0].data.type;
+  let data = SAMPLES.find(sample => sample.data.type === type)?.data || { ...SAMPLES[0].data, type };
+  document.getElementById('builder-preview').textContent = filenameFor(settings, data) + '.pdf';
+}
+
+function renderBench() {
+  document.getElementById('bench-rows').replaceChildren(...SAMPLES.map(({ label, data }) => {
+    let row = document.createElement('tr');
+
+    let name = document.createElement('td');
+    name.textContent = t(label);
+
+    let input = document.createElement('td');
+    input.className = 'bench-data';
+    input.textContent = [data.type, data.num, data.customer || data.period].filter(Boolean).join(' \u00b7 ');
+
+    let output = document.createElement('td');
+    let filename = filenameFor(settings, data) + '.pdf';
+    let code = document.createElement('code');
+    code.textContent = filename;
+    output.appendChild(code);
+
+    let notes = benchNotes(filename, filenameFor({ ...settings, maxLength: 0 }, data));
+    if (notes.length) {
+      let warn = document.createElement('div');
+      warn.className = 'bench-note';
+      warn.textContent = notes.join(' \u00b7 ');
+      output.appendChild(warn);
+      row.classList.add('warn');
+    }
+
+    row.append(name, input, output);
+    return row;
+  }));
+}
+
+// `unlimited` is the name without the max length, to tell when it was cut
+function benchNotes(filename, unlimited) {
+  let notes = [];
+  if (/(^|\/)QBO_Document_\d+\.pdf$/.test(filename)) notes.push(t('benchFallback'));
+  let length = characterCount(unlimited.slice(unlimited.lastIndexOf('/') + 1));
+  if (settings.maxLength && length > settings.maxLength) notes.push(t('benchShortened', String(length)));
+  else if (length > LONG_NAME) notes.push(t('benchLong', String(length)));
+  return notes;
+}
+
+// -- Preset library --
+
+function renderPresets() {
+  let list = document.getElementById('preset-rows');
+  list.replaceChildren(...settings.formatPresets.map((preset, index) => {
+    let li = document.createElement('li');
+    li.className = 'preset-row';
+
+    let name = document.createElement('input');
+    name.className = 'format-input';
+    name.value = preset.name;
+    name.maxLength = 60;
+    name.setAttribute('aria-label', t('presetName'));
+    name.addEventListener('change', () => {
+      if (!name.value.trim()) {
+        name.value = preset.name;
+        return;
+      }
+      updatePresets(presets => { presets[index].name = name.value.trim(); });
+    });
+
+    let format = document.createElement('code');
+    format.className = 'preset-format';
+    format.textContent = preset.format;
+    format.title = filenameFor({ ...settings, typeFormats: {}, format: preset.format }, SAMPLES[0].data) + '.pdf';
+
+    let buttons = document.createElement('div');
+    buttons.className = 'rule-buttons';
+    buttons.append(
+      presetButton(t('presetApply'), () => {
+        formatInput.value = preset.format;
+        formatInput.dispatchEvent(new Event('input'));
+      }),
+      presetButton('\u2191', () => updatePresets(presets => {
+        if (index) presets.splice(index - 1, 0, ...presets.splice(index, 1));
+      }), t('presetUp')),
+      presetButton('\u2193', () => updatePresets(presets => {
+        presets.splice(index + 1, 0, ...presets.splice(index, 1));
+      }), t('presetDown')),
+      presetButton('\u00d7', () => updatePresets(presets => { presets.splice(index, 1); }), t('presetDelete'))
+    );
+
+    li.append(name, format, buttons);
+    return li;
+  }));
+  showLocks();
+}
+
+function presetButton(text, onClick, title = '') {
+  let btn = document.createElement('button');
+  btn.className = 'chip';
+  btn.textContent = text;
+  if (title) btn.title = title;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function updatePresets(mutate) {
+  let presets = structuredClone(settings.formatPresets);
+  mutate(presets);
+  settings.formatPresets = presets;
+  save('formatPresets', presets);
+  renderPresets();
+}
+
+function savePreset() {
+  let nameInput = document.getElementById('preset-name');
+  let name = nameInput.value.trim();
+  let format = formatInput.value.trim() || currentFormat();
+  if (!name || !format || validateFormat(format)) {
+    nameInput.focus();
+    return;
+  }
+  updatePresets(presets => {
+    let existing = presets.find(preset => preset.name === name);
+    if (existing) existing.format = format;
+    else presets.push({ name, format });
+  });
+  nameInput.value = '';
+}
+
+// -- Customer names --
+
+function loadCustomerNames() {
+  document.getElementById('stripSuffixes').checked = settings.stripSuffixes;
+  aliasRows = structuredClone(settings.customerAliases);
+  renderAliases();
+}
+
+function renderAliases() {
+  document.getElementById('alias-rows').replaceChildren(...aliasRows.map((alias, index) => {
+    let li = document.createElement('li');
+    li.className = 'alias-row';
+
+    let from = aliasInput(alias, 'from', t('aliasFrom'));
+    let arrow = document.createElement('span');
+    arrow.className = 'alias-arrow';
+    arrow.textContent = '\u2192';
+    let to = aliasInput(alias, 'to', t('aliasTo'));
+
+    let buttons = document.createElement('div');
+    buttons.className = 'rule-buttons';
+    buttons.append(presetButton('\u00d7', () => {
+      aliasRows.splice(index, 1);
+      renderAliases();
+      storeAliases();
+    }, t('aliasDelete')));
+
+    li.append(from, arrow, to, buttons);
+    return li;
+  }));
+  showLocks();
+}
+
+function aliasInput(alias, field, label) {
+  let input = document.createElement('input');
+  input.className = 'format-input';
+  input.value = alias[field];
+  input.placeholder = label;
+  input.spellcheck = false;
+  input.setAttribute('aria-label', label);
+  input.addEventListener('input', () => {
+    alias[field] = input.value;
+    clearTimeout(saveTimers.customerAliases);
+    saveTimers.customerAliases = setTimeout(storeAliases, 300);
+  });
+  return input;
+}
+
+// storage.sync caps one setting at 8 KB — a big import can hit it
+async function storeAliases() {
+  let aliases = aliasRows
+    .filter(alias => alias.from.trim() && alias.to.trim())
+    .map(alias => ({ from: alias.from.trim(), to: alias.to.trim() }));
+  settings.customerAliases = aliases;
+  renderPreview();
+  renderBench();
+  try {
+    await chrome.storage.sync.set({ customerAliases: aliases });
+    return true;
+  } catch (e) {
+    showAliasStatus(t('aliasSaveFailed', e.message), 'error');
+    return false;
+  }
+}
+
+async function importAliases(e) {
+  let file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  let { aliases, errors } = parseAliasCsv(await file.text());
+  aliasRows = mergeAliases(aliasRows.filter(alias => alias.from.trim()), aliases);
+  renderAliases();
+  if (!await storeAliases()) return;
+  showAliasStatus([t('aliasImported', String(aliases.length)), ...errors].join('\n'), errors.length ? 'error' : 'ok');
+}
+
+function showAliasStatus(message, kind) {
+  let status = document.getElementById('alias-status');
+  status.textContent = message;
+  status.className = 'rules-status ' + kind;
+}
+
+// -- Filename safety --
+
+function loadSafety() {
+  document.getElementById('maxLength').value = settings.maxLength;
+  document.getElementById('targetOs').replaceChildren(...TARGET_OS.map(os => new Option(t(OS_LABELS[os]), os)));
+  document.getElementById('targetOs').value = settings.targetOs;
+  document.getElementById('asciiNames').checked = settings.asciiNames;
+}
+
+// -- Download rules --
+// Saved as they're typed, invalid ones included: the service worker skips a
+// rule validateRule() rejects, and the rule shows why here.
+
+function loadDownloadRules() {
+  downloadRules = structuredClone(settings.downloadRules);
+  renderDownloadRules();
+}
+
+function renderDownloadRules() {
+  document.getElementById('download-rules').replaceChildren(...downloadRules.map((rule, index) => {
+    let li = document.createElement('li');
+    li.className = 'download-rule' + (rule.enabled ? '' : ' disabled');
+
+    let error = document.createElement('div');
+    error.className = 'format-error';
+    error.setAttribute('role', 'alert');
+    let showRuleError = () => { error.textContent = validateRule(rule); };
+    showRuleError();
+
+    let edit = (field, value) => {
+      rule[field] = value;
+      showRuleError();
+      clearTimeout(saveTimers.downloadRules);
+      saveTimers.downloadRules = setTimeout(storeDownloadRules, 300);
+    };
+
+    let enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = rule.enabled;
+    enabled.title = t('ruleEnabled');
+    enabled.addEventListener('change', () => {
+      edit('enabled', enabled.checked);
+      li.classList.toggle('disabled', !enabled.checked);
+    });
+
+    let name = ruleInput(rule.name, t('ruleName'), value => edit('name', value));
+    name.maxLength = 60;
+
+    let buttons = document.createElement('div');
+    buttons.className = 'rule-buttons';
+    buttons.append(
+      presetButton('\u2191', () => updateDownloadRules(list => {
+        if (index) list.splice(index - 1, 0, ...list.splice(index, 1));
+      }), t('presetUp')),
+      presetButton('\u2193', () => updateDownloadRules(list => {
+        list.splice(index + 1, 0, ...list.splice(index, 1));
+      }), t('presetDown')),
+      presetButton('\u00d7', () => updateDownloadRules(list => { list.splice(index, 1); }), t('presetDelete'))
+    );
+
+    let head = document.createElement('div');
+    head.className = 'download-rule-head';
+    head.append(enabled, name, buttons);
+
+    let types = document.createElement('select');
+    types.className = 'date-select';
+    types.multiple = true;
+    types.size = 4;
+    types.title = t('ruleTypesHelp');
+    types.append(...DOC_TYPES.map(({ slug, label }) => {
+      let option = new Option(label, slug);
+      option.selected = rule.types.includes(slug);
+      return option;
+    }));
+    types.addEventListener('change', () => edit('types', [...types.selectedOptions].map(option => option.value)));
+
+    let amounts = document.createElement('div');
+    amounts.className = 'download-rule-amounts';
+    amounts.append(
+      ruleInput(rule.minTotal, t('ruleMin'), value => edit('minTotal', value.trim())),
+      '\u2013',
+      ruleInput(rule.maxTotal, t('ruleMax'), value => edit('maxTotal', value.trim()))
+    );
+
+    let fields = document.createElement('div');
+    fields.className = 'download-rule-fields';
+    fields.append(
+      ruleLabel(t('ruleTypes')), types,
+      ruleLabel(t('ruleCustomer')), ruleInput(rule.customer, t('ruleCustomer'), value => edit('customer', value)),
+      ruleLabel(t('ruleAmount')), amounts,
+      ruleLabel(t('ruleFolder')), ruleInput(rule.folder, 'Clients/{customer}/{year}', value => edit('folder', value), t('ruleFolder')),
+      ruleLabel(t('ruleCopy')), ruleInput(rule.copyName, 'Archive/{type} {num}', value => edit('copyName', value), t('ruleCopy'))
+    );
+
+    let actions = document.createElement('div');
+    actions.className = 'field-options';
+    actions.append(
+      ruleCheckbox(rule.open, t('ruleOpen'), checked => edit('open', checked)),
+      ruleCheckbox(rule.reveal, t('ruleReveal'), checked => edit('reveal', checked))
+    );
+
+    li.append(head, fields, actions, error);
+    return li;
+  }));
+  showLocks();
+}
+
+function ruleLabel(text) {
+  let span = document.createElement('span');
+  span.textContent = text;
+  return span;
+}
+
+// `label` names the input for screen readers when the placeholder is an example
+function ruleInput(value, placeholder, onInput, label = placeholder) {
+  let input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'format-input';
+  input.value = value;
+  input.placeholder = placeholder;
+  input.spellcheck = false;
+  input.setAttribute('aria-label', label);
+  input.addEventListener('input', () => onInput(input.value));
+  return input;
+}
+
+function ruleCheckbox(checked, text, onChange) {
+  let label = document.createElement('label');
+  let input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = checked;
+  input.addEventListener('change', () => onChange(input.checked));
+  label.append(input, ' ', text);
+  return label;
+}
+
+function updateDownloadRules(mutate) {
+  mutate(downloadRules);
+  renderDownloadRules();
+  storeDownloadRules();
+}
+
+async function storeDownloadRules() {
+  let status = document.getElementById('download-rule-status');
+  try {
+    await chrome.storage.sync.set({ downloadRules });
+    status.textContent = '';
+  } catch (e) {
+    status.textContent = t('ruleSaveFailed', e.message);
+    status.className = 'rules-status error';
+  }
+}
+
+// -- Page toolbar --
+
+function loadPageToolbar() {
+  document.getElementById('pageToolbar').checked = settings.pageToolbar;
+}
+
+// -- PDF properties --
+
+function loadPdfMetadata() {
+  document.getElementById('pdfMetadata').checked = settings.pdfMetadata;
+}
+
+// -- Companion files --
+
+function loadCompanionFiles() {
+  let select = document.getElementById('sidecar');
+  select.replaceChildren(...SIDECAR_FORMATS.map(format => new Option(t(SIDECAR_LABELS[format]), format)));
+  select.value = settings.sidecar;
+  document.getElementById('sidecarName').value = settings.sidecarName;
+  document.getElementById('dailyManifest').checked = settings.dailyManifest;
+}
+
+// -- Backup --
+
+function exportBackup() {
+  let url = URL.createObjectURL(new Blob([exportSettings(settings)], { type: 'application/json' }));
+  let a = document.createElement('a');
+  a.href = url;
+  a.download = 'apex-settings-' + new Date().toISOString().slice(0, 10) + '.json';
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function readBackup(e) {
+  let file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  showBackupPreview(null);
+  let incoming;
+  try {
+    incoming = importSettings(await file.text());
+  } catch (err) {
+    showBackupStatus(t('backupFailed', err.message), 'error');
+    return;
+  }
+  showBackupPreview(incoming);
+}
+
+// The changes the file would make, or nothing for null
+function showBackupPreview(incoming) {
+  let changes = incoming ? diffSettings(settings, incoming, settings.locked) : [];
+  pendingImport = changes.length ? incoming : null;
+  document.getElementById('backup-preview').classList.toggle('hidden', !pendingImport);
+  showBackupStatus(incoming && !changes.length ? t('backupNoChanges') : '', 'ok');
+
+  document.getElementById('backup-changes').replaceChildren(...changes.map(({ key, from, to, locked }) => {
+    let row = document.createElement('tr');
+    let name = document.createElement('td');
+    name.textContent = key;
+    if (locked) {
+      let note = document.createElement('div');
+      note.className = 'bench-note';
+      note.textContent = t('backupLocked');
+      name.appendChild(note);
+      row.classList.add('locked');
+    }
+    row.append(name, backupCell(from), backupCell(to));
+    return row;
+  }));
+}
+
+function backupCell(value) {
+  let cell = document.createElement('td');
+  let code = document.createElement('code');
+  let text = value === undefined ? '\u2014' : typeof value === 'string' ? value || '""' : JSON.stringify(value);
+  code.textContent = text.length > 120 ? text.slice(0, 119) + '\u2026' : text;
+  code.title = text;
+  cell.appendChild(code);
+  return cell;
+}
+
+async function applyBackup() {
+  let values = Object.fromEntries(Object.entries(pendingImport).filter(([key]) => !settings.locked.includes(key)));
+  try {
+    await chrome.storage.sync.set(values);
+  } catch (e) {
+    // storage.sync caps one setting at 8 KB and the whole area at 100 KB
+    showBackupStatus(t('backupFailed', e.message), 'error');
+    return;
+  }
+  showBackupPreview(null);
+  showBackupStatus(t('backupImported', String(Object.keys(values).length)), 'ok');
+
+  settings = await getSettings();
+  loadTarget();
+  renderPresets();
+  loadCustomerNames();
+  loadSafety();
+  loadDownloadRules();
+  loadPageToolbar();
+  loadPdfMetadata();
+  loadCompanionFiles();
+}
+
+function showBackupStatus(message, kind) {
+  let status = document.getElementById('backup-status');
+  status.textContent = message;
+  status.className = 'rules-status ' + kind;
+}
+
+// -- Managed settings --
+
+// The controls for each setting a policy can lock, besides the builder's
+// format (loadTarget). A preset can still be applied to the builder.
+const LOCK_CONTROLS = {
+  formatPresets: '#preset-rows input, #preset-rows .rule-buttons button:not(:first-child), #preset-name, #preset-save',
+  stripSuffixes: '#stripSuffixes',
+  customerAliases: '#alias-rows :is(input, button), #alias-add, #alias-import',
+  maxLength: '#maxLength',
+  targetOs: '#targetOs',
+  asciiNames: '#asciiNames',
+  downloadRules: '#download-rules :is(input, select, button), #download-rule-add',
+  pageToolbar: '#pageToolbar',
+  pdfMetadata: '#pdfMetadata',
+  sidecar: '#sidecar',
+  sidecarName: '#sidecarName',
+  dailyManifest: '#dailyManifest'
+};
+
+function showLocks() {
+  for (let [key, selector] of Object.entries(LOCK_CONTROLS)) {
+    if (!settings.locked.includes(key)) continue;
+    for (let control of document.querySelectorAll(selector)) {
+      control.disabled = true;
+      control.classList.add('locked');
+      control.title = t('lockedByAdmin');
+    }
+  }
+  let note = document.getElementById('managed-note');
+  note.textContent = settings.locked.length ? t('managedNote') : '';
+  note.classList.toggle('hidden', !settings.locked.length);
+}
@@ -1,48 +1,88 @@
-'use strict';
+import { FORMAT_TOKENS, DATE_TOKENS, validateFormat, formatUsesToken } from './lib/format.js';
+import { DOC_TYPES, typeLabelIn } from './lib/doc-types.js';
+import { CONFLICT_POLICIES } from './lib/conflicts.js';
+import { QBO_LOCALES } from './lib/locales.js';
+import { t, localizePage } from './lib/i18n.js';
+import { filenameFor } from './lib/filename.js';
+import { csvCell } from './lib/sidecar.js';
+import { DEFAULTS, getSettings } from './lib/settings.js';
+import {
+  PROFILE_KEYS, DEFAULT_PROFILE, activeProfileId, profileForCompany, settingsFor, profileId, newProfile,
+  pickProfileSettings, saveProfile, updateProfileSettings, deleteProfile
+} from './lib/profiles.js';
 
-const DEFAULTS = {
-  enabled: true,
-  format: '{num} - {customer}',
-  dateFormat: 'YYYY-MM-DD',
-  notifyMode: 'toast'
+// Shown in the preview when no QBO transaction is open
+const SAMPLE_DATA = {
+  num: '87072',
+  customer: 'Bison Pumps',
+  type: 'Estimate',
+  txndate: '2026-02-20',
+  due: '2026-03-22',
+  total: '12450.00',
+  balance: '12450.00',
+  ponum: 'PO-5521',
+  company: 'Apex Industrial',
+  sample: true
 };
 
 let formatInput, enabledToggle, dateFormatRow, dateFormatSelect;
-let previewEl, sourceEl, notifyBtns;
-let saveTimer;
+let previewEl, sourceEl, notifyBtns, formatErrorEl;
+let saveTimers = {};
+let savedFormat = DEFAULTS.format;
+let typeFormats = {};
+let conflictPolicySelect, typeLanguageSelect;
+let typeConflictPolicies = {};
+let historySearch, historyLimitSelect, diagnosticsToggle;
+let renameHistory = [];
+// The active tab's company, and the profile the naming settings shown
+// belong to ('' for the global ones)
+let tabCompany = {};
+let profiles = {};
+let profileOverride = '';
+let editingProfile = '';
+// Stored settings under the inputs' values in the preview, so it names
+// exactly as the rename will (aliases, length limit… from the options page)
+let storedSettings = { ...DEFAULTS };
+// Settings an admin policy sets (chrome.storage.managed): shown, never saved
+let locked = [];
 
 document.addEventListener('DOMContentLoaded', async () => {
+  localizePage();
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+
   formatInput = document.getElementById('format');
   enabledToggle = document.getElementById('enabled');
   dateFormatRow = document.getElementById('date-format-row');
   dateFormatSelect = document.getElementById('dateFormat');
   previewEl = document.getElementById('preview');
   sourceEl = document.getElementById('source-info');
+  formatErrorEl = document.getElementById('format-error');
   notifyBtns = document.querySelectorAll('#notifyMode .seg-btn');
+  historySearch = document.getElementById('history-search');
+  historyLimitSelect = document.getElementById('historyLimit');
+  diagnosticsToggle = document.getElementById('diagnostics');
+  conflictPolicySelect = document.getElementById('conflictPolicy');
+  typeLanguageSelect = document.getElementById('typeLanguage');
 
   // Version from manifest
   document.getElementById('version').textContent = 'v' + chrome.runtime.getManifest().version;
 
-  // Load saved settings (with migration from old showNotification boolean)
-  let settings = await chrome.storage.sync.get(DEFAULTS);
-
-  // Migrate old boolean showNotification → notifyMode
-  if (typeof settings.showNotification === 'boolean') {
-    settings.notifyMode = settings.showNotification ? 'toast' : 'off';
-    chrome.storage.sync.remove('showNotification');
-    chrome.storage.sync.set({ notifyMode: settings.notifyMode });
-  }
+  let [settings, tabData] = await Promise.all([getSettings(), getActiveTabData()]);
+  tabCompany = { realmId: tabData?.realmId || '', company: tabData?.company || '' };
 
-  formatInput.value = settings.format;
   enabledToggle.checked = settings.enabled;
-  dateFormatSelect.value = settings.dateFormat;
+  renderTypeLanguages();
+  showNamingSettings(settings);
   setActiveNotifyBtn(settings.notifyMode);
-  updateDateFormatVisibility();
+  historyLimitSelect.value = String(settings.historyLimit);
+  loadHistory();
+  diagnosticsToggle.checked = settings.diagnostics;
+  loadDiagnostics();
 
   // -- Event listeners --
 
   formatInput.addEventListener('input', () => {
-    debouncedSave('format', formatInput.value);
+    saveFormat(true);
     updateDateFormatVisibility();
     updatePreview();
   });
@@ -56,6 +96,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     updatePreview();
   });
 
+  typeLanguageSelect.addEventListener('change', () => {
+    save('typeLanguage', typeLanguageSelect.value);
+    updatePreview();
+  });
+
+  conflictPolicySelect.addEventListener('change', () => {
+    save('conflictPolicy', conflictPolicySelect.value);
+    renderTypeFormats();
+    updatePreview();
+  });
+
   // Notification mode segmented control
   for (let btn of notifyBtns) {
     btn.addEventListener('click', () => {
@@ -65,7 +116,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   // Token chip insertion
-  for (let chip of document.querySelectorAll('.chip')) {
+  for (let chip of document.querySelectorAll('.token-chips .chip')) {
     chip.addEventListener('click', () => {
       let token = chip.dataset.token;
       let pos = formatInput.selectionStart ?? formatInput.value.length;
@@ -73,51 +124,556 @@ document.addEventListener('DOMContentLoaded', async () => {
       formatInput.value = val.slice(0, pos) + token + val.slice(pos);
       formatInput.focus();
       formatInput.selectionStart = formatInput.selectionEnd = pos + token.length;
-      debouncedSave('format', formatInput.value);
+      saveFormat(true);
       updateDateFormatVisibility();
       updatePreview();
     });
   }
 
-  // Preset buttons
-  for (let btn of document.querySelectorAll('.preset')) {
-    btn.addEventListener('click', () => {
-      formatInput.value = btn.dataset.format;
-      save('format', formatInput.value);
-      updateDateFormatVisibility();
-      updatePreview();
-    });
-  }
+  // Presets are managed on the options page
+  renderPresets(settings.formatPresets);
+  showLocks();
+  document.getElementById('manage-presets').addEventListener('click', () => chrome.runtime.openOptionsPage());
+  document.getElementById('open-options').addEventListener('click', () => chrome.runtime.openOptionsPage());
 
-  // Reset to defaults
+  // Company profiles
+  document.getElementById('profile').addEventListener('change', async (e) => {
+    await chrome.storage.sync.set({ profileOverride: e.target.value });
+    showNamingSettings(await getSettings());
+    updatePreview();
+  });
+  document.getElementById('profile-create').addEventListener('click', createProfile);
+  document.getElementById('profile-delete').addEventListener('click', removeProfile);
+
+  // Reset to defaults. Profiles are kept; the one being edited is reset
+  // instead of the global naming settings.
   document.getElementById('reset').addEventListener('click', async () => {
-    await chrome.storage.sync.set(DEFAULTS);
-    formatInput.value = DEFAULTS.format;
-    enabledToggle.checked = DEFAULTS.enabled;
-    dateFormatSelect.value = DEFAULTS.dateFormat;
-    setActiveNotifyBtn(DEFAULTS.notifyMode);
-    updateDateFormatVisibility();
+    let defaults = Object.fromEntries(Object.entries(DEFAULTS).filter(([key]) =>
+      key !== 'profiles' && key !== 'profileOverride' && !locked.includes(key) &&
+      !(editingProfile && PROFILE_KEYS.includes(key))));
+    if (editingProfile) await updateProfileSettings(editingProfile, pickProfileSettings(DEFAULTS));
+    await chrome.storage.sync.set(defaults);
+
+    // The defaults, except what a policy sets
+    let settings = await getSettings();
+    enabledToggle.checked = settings.enabled;
+    setActiveNotifyBtn(settings.notifyMode);
+    renderPresets(settings.formatPresets);
+    historyLimitSelect.value = String(settings.historyLimit);
+    diagnosticsToggle.checked = settings.diagnostics;
+    showNamingSettings(settings);
+    showLocks();
     updatePreview();
   });
 
+  // Rename history
+  historySearch.addEventListener('input', renderHistory);
+  document.getElementById('history-export').addEventListener('click', exportHistoryCsv);
+
+  document.getElementById('history-clear').addEventListener('click', () => {
+    if (!confirm(t('historyClearConfirm'))) return;
+    chrome.storage.local.set({ renameHistory: [] });
+  });
+
+  historyLimitSelect.addEventListener('change', () => {
+    let limit = Number(historyLimitSelect.value);
+    save('historyLimit', limit);
+    // "Off" stops recording but keeps what's there; a smaller limit trims now
+    if (limit && renameHistory.length > limit) {
+      chrome.storage.local.set({ renameHistory: renameHistory.slice(0, limit) });
+    }
+  });
+
+  // Page diagnostics
+  diagnosticsToggle.addEventListener('change', () => {
+    save('diagnostics', diagnosticsToggle.checked);
+  });
+
+  document.getElementById('capture-snapshot').addEventListener('click', captureSnapshot);
+
+  document.getElementById('open-rules').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('rules.html') });
+  });
+
+  document.getElementById('health-warning').addEventListener('click', () => {
+    let panel = document.getElementById('diagnostics-panel');
+    panel.open = true;
+    panel.scrollIntoView({ behavior: 'smooth' });
+  });
+
+  // Background writes history as downloads land — follow along live
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.renameHistory) {
+      renameHistory = changes.renameHistory.newValue || [];
+      renderHistory();
+    }
+    if (area === 'sync') {
+      storedSettings = { ...storedSettings };
+      for (let [key, { newValue }] of Object.entries(changes)) {
+        if (key in DEFAULTS && !locked.includes(key)) storedSettings[key] = newValue ?? DEFAULTS[key];
+      }
+      updatePreview();
+    }
+  });
+
   updatePreview();
 });
 
 // -- Save to storage --
 
-function save(key, value) {
-  chrome.storage.sync.set({ [key]: value });
+// Naming settings go to the profile being edited, if any
+function save(key, value, profile = editingProfile) {
+  if (locked.includes(key)) return;
+  if (profile && PROFILE_KEYS.includes(key)) updateProfileSettings(profile, { [key]: value });
+  else chrome.storage.sync.set({ [key]: value });
 }
 
 function debouncedSave(key, value) {
-  clearTimeout(saveTimer);
-  saveTimer = setTimeout(() => save(key, value), 200);
+  let profile = editingProfile;
+  clearTimeout(saveTimers[key]);
+  saveTimers[key] = setTimeout(() => save(key, value, profile), 200);
+}
+
+// Only a format that parses is saved — a bad one stays in the input, flagged
+function saveFormat(debounce) {
+  let error = validateFormat(formatInput.value);
+  showFormatError(error);
+  if (error) {
+    clearTimeout(saveTimers.format);
+    return;
+  }
+
+  savedFormat = formatInput.value || DEFAULTS.format;
+  if (debounce) debouncedSave('format', formatInput.value);
+  else save('format', formatInput.value);
+}
+
+function showFormatError(message) {
+  formatErrorEl.textContent = message;
+  formatErrorEl.classList.toggle('hidden', !message);
+  formatInput.classList.toggle('invalid', !!message);
+  formatInput.setAttribute('aria-invalid', !!message);
+}
+
+// -- Company profiles --
+
+// Fill in the settings a profile can hold, from the profile that applies
+// to the active tab, or the global ones
+function showNamingSettings(settings) {
+  storedSettings = settings;
+  locked = settings.locked;
+  profiles = settings.profiles;
+  profileOverride = settings.profileOverride;
+  editingProfile = activeProfileId(settings, tabCompany);
+  let naming = settingsFor(settings, tabCompany);
+
+  formatInput.value = naming.format;
+  savedFormat = validateFormat(naming.format) ? DEFAULTS.format : naming.format;
+  showFormatError(validateFormat(naming.format));
+  dateFormatSelect.value = naming.dateFormat;
+  typeLanguageSelect.value = naming.typeLanguage;
+  typeFormats = { ...naming.typeFormats };
+  conflictPolicySelect.value = naming.conflictPolicy;
+  typeConflictPolicies = { ...naming.typeConflictPolicies };
+  renderTypeFormats();
+  updateDateFormatVisibility();
+  renderProfiles();
+}
+
+function renderProfiles() {
+  let detected = profileForCompany(profiles, tabCompany);
+  let select = document.getElementById('profile');
+  select.replaceChildren(
+    new Option(t('profileAuto', detected ? profiles[detected].name : t('profileDefault')), ''),
+    new Option(t('profileDefault'), DEFAULT_PROFILE),
+    ...Object.entries(profiles)
+      .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+      .map(([id, profile]) => new Option(profile.name, id))
+  );
+  select.value = profileOverride === DEFAULT_PROFILE || profiles[profileOverride] ? profileOverride : '';
+
+  let company = tabCompany.company || tabCompany.realmId;
+  let create = document.getElementById('profile-create');
+  create.textContent = t('profileCreate', company);
+  create.classList.toggle('hidden', !company || !!detected);
+  document.getElementById('profile-delete').classList.toggle('hidden', !editingProfile);
+  document.getElementById('profile-note').textContent = editingProfile
+    ? t('profileEditing', profiles[editingProfile].name)
+    : t('profileUsingDefault');
+  document.getElementById('profile-bar').classList.toggle('hidden', !editingProfile && !company);
+}
+
+// A profile for the active tab's company, starting from the settings
+// shown now; it applies straight away
+async function createProfile() {
+  let settings = await getSettings();
+  await saveProfile(profileId(tabCompany), newProfile(settingsFor(settings, tabCompany), tabCompany));
+  await chrome.storage.sync.set({ profileOverride: '' });
+  showNamingSettings(await getSettings());
+  updatePreview();
+}
+
+async function removeProfile() {
+  if (!confirm(t('profileDeleteConfirm', profiles[editingProfile].name))) return;
+  await deleteProfile(editingProfile);
+  showNamingSettings(await getSettings());
+  updatePreview();
+}
+
+// -- Managed settings --
+
+// The controls for each setting a policy can lock
+const LOCK_CONTROLS = {
+  enabled: () => [enabledToggle],
+  format: () => [formatInput, ...document.querySelectorAll('.token-chips .chip, #preset-list .preset')],
+  dateFormat: () => [dateFormatSelect],
+  typeLanguage: () => [typeLanguageSelect],
+  notifyMode: () => [...notifyBtns],
+  conflictPolicy: () => [conflictPolicySelect],
+  typeFormats: () => [...document.querySelectorAll('#type-formats .format-input')],
+  typeConflictPolicies: () => [...document.querySelectorAll('#type-formats select')],
+  historyLimit: () => [historyLimitSelect],
+  diagnostics: () => [diagnosticsToggle]
+};
+
+// Locked controls are read-only, with a note saying why
+function showLocks() {
+  for (let [key, controls] of Object.entries(LOCK_CONTROLS)) {
+    if (!locked.includes(key)) continue;
+    for (let control of controls()) {
+      control.disabled = true;
+      control.classList.add('locked');
+      control.title = t('lockedByAdmin');
+    }
+  }
+  let note = document.getElementById('managed-note');
+  note.textContent = locked.length ? t('managedNote') : '';
+  note.classList.toggle('hidden', !locked.length);
+}
+
+// -- Presets --
+
+function renderPresets(presets) {
+  document.getElementById('preset-list').replaceChildren(...presets.map(({ name, format }) => {
+    let btn = document.createElement('button');
+    btn.className = 'preset';
+    btn.textContent = name;
+    btn.title = format;
+    btn.addEventListener('click', () => {
+      formatInput.value = format;
+      saveFormat(false);
+      updateDateFormatVisibility();
+      updatePreview();
+    });
+    return btn;
+  }));
+}
+
+// -- Per-type format overrides --
+
+function renderTypeFormats() {
+  let list = document.getElementById('type-formats');
+  list.replaceChildren();
+
+  for (let { slug, label, format } of DOC_TYPES) {
+    let row = document.createElement('div');
+    row.className = 'type-format-row';
+
+    let name = document.createElement('label');
+    name.className = 'type-format-label';
+    name.htmlFor = 'format-' + slug;
+    name.textContent = label;
+
+    let input = document.createElement('input');
+    input.type = 'text';
+    input.id = 'format-' + slug;
+    input.className = 'format-input';
+    input.placeholder = format || t('defaultFormat');
+    input.spellcheck = false;
+    input.value = typeFormats[slug] || '';
+
+    let errorEl = document.createElement('div');
+    errorEl.className = 'format-error hidden';
+    errorEl.setAttribute('role', 'alert');
+
+    input.addEventListener('input', () => {
+      let value = input.value.trim();
+      let error = value ? validateFormat(value) : '';
+      errorEl.textContent = error;
+      errorEl.classList.toggle('hidden', !error);
+      input.classList.toggle('invalid', !!error);
+      if (error) return;
+
+      if (value) typeFormats[slug] = value;
+      else delete typeFormats[slug];
+      debouncedSave('typeFormats', { ...typeFormats });
+      updateTypeFormatCount();
+      updateDateFormatVisibility();
+      updatePreview();
+    });
+
+    let fields = document.createElement('div');
+    fields.className = 'type-format-fields';
+    fields.append(input, conflictSelect(slug, label));
+
+    row.append(name, fields, errorEl);
+    list.appendChild(row);
+  }
+
+  updateTypeFormatCount();
+  showLocks();
+}
+
+const CONFLICT_LABELS = {
+  uniquify: 'conflictShortUniquify',
+  overwrite: 'conflictShortOverwrite',
+  revision: 'conflictShortRevision',
+  prompt: 'conflictShortPrompt'
+};
+
+// The type's own conflict policy; the first option follows the global one
+function conflictSelect(slug, label) {
+  let select = document.createElement('select');
+  select.className = 'date-select';
+  select.setAttribute('aria-label', t('conflictTypeLabel', label));
+
+  let inherited = document.createElement('option');
+  inherited.value = '';
+  inherited.textContent = t('conflictDefault', t(CONFLICT_LABELS[conflictPolicySelect.value]));
+  select.appendChild(inherited);
+  for (let policy of CONFLICT_POLICIES) {
+    let option = document.createElement('option');
+    option.value = policy;
+    option.textContent = t(CONFLICT_LABELS[policy]);
+    select.appendChild(option);
+  }
+  select.value = typeConflictPolicies[slug] || '';
+
+  select.addEventListener('change', () => {
+    if (select.value) typeConflictPolicies[slug] = select.value;
+    else delete typeConflictPolicies[slug];
+    save('typeConflictPolicies', { ...typeConflictPolicies });
+    updateTypeFormatCount();
+    updatePreview();
+  });
+  return select;
+}
+
+function updateTypeFormatCount() {
+  let count = new Set([...Object.keys(typeFormats), ...Object.keys(typeConflictPolicies)]).size;
+  document.getElementById('type-format-count').textContent = count ? t('typeFormatCount', String(count)) : '';
+}
+
+// -- Rename history --
+
+const HISTORY_SHOWN = 50;
+
+const SOURCE_LABELS = {
+  pendingRename: 'sourceClick',
+  blobRenameData: 'sourcePreview',
+  currentTransaction: 'sourcePage',
+  filename: 'sourceFilename'
+};
+
+async function loadHistory() {
+  let stored = await chrome.storage.local.get({ renameHistory: [] });
+  renameHistory = stored.renameHistory;
+  renderHistory();
+}
+
+function filteredHistory() {
+  let query = historySearch.value.trim().toLowerCase();
+  if (!query) return renameHistory;
+
+  return renameHistory.filter(entry =>
+    [entry.filename, entry.originalName, entry.data?.num, entry.data?.customer, entry.data?.type]
+      .some(v => v?.toLowerCase().includes(query)));
+}
+
+function renderHistory() {
+  let entries = filteredHistory();
+  let list = document.getElementById('history-list');
+  list.replaceChildren(...entries.slice(0, HISTORY_SHOWN).map(historyItem));
+
+  document.getElementById('history-count').textContent = renameHistory.length ? '(' + renameHistory.length + ')' : '';
+
+  let more = document.getElementById('history-more');
+  let hidden = entries.length - HISTORY_SHOWN;
+  more.textContent = hidden > 0 ? t('historyMore', String(hidden)) : (entries.length ? '' : t('historyEmpty'));
+  more.classList.toggle('hidden', !more.textContent);
+}
+
+function historyItem(entry) {
+  let li = document.createElement('li');
+  li.className = 'history-item';
+
+  let name = document.createElement('div');
+  name.className = 'history-name';
+  name.textContent = entry.filename;
+  name.title = entry.path || entry.filename;
+
+  let meta = document.createElement('div');
+  meta.className = 'history-meta';
+  meta.textContent = new Date(entry.timestamp).toLocaleString() + ' \u00b7 '
+    + (SOURCE_LABELS[entry.source] ? t(SOURCE_LABELS[entry.source]) : entry.source) + ' \u00b7 ' + t('historyWas', entry.originalName);
+
+  if (entry.state === 'interrupted') {
+    let tag = document.createElement('span');
+    tag.className = 'history-tag';
+    tag.textContent = ' \u00b7 ' + t('historyCancelled');
+    meta.appendChild(tag);
+  }
+
+  // Download rules that couldn't run — the reasons are in the tooltip
+  if (entry.ruleErrors?.length) {
+    let tag = document.createElement('span');
+    tag.className = 'history-tag';
+    tag.textContent = ' \u00b7 ' + t('historyRuleFailed');
+    tag.title = entry.ruleErrors.join('\n');
+    meta.appendChild(tag);
+  }
+
+  // Saved without its PDF properties — the reason is in the tooltip
+  if (entry.metadataError) {
+    let tag = document.createElement('span');
+    tag.className = 'history-tag';
+    tag.textContent = ' \u00b7 ' + t('historyNoMetadata');
+    tag.title = entry.metadataError;
+    meta.appendChild(tag);
+  }
+
+  let buttons = document.createElement('div');
+  buttons.className = 'history-buttons';
+  buttons.append(
+    historyButton(t('historyShow'), () => openDownload(entry, 'show', meta)),
+    historyButton(t('historyOpen'), () => openDownload(entry, 'open', meta))
+  );
+  if (entry.data?.url) {
+    buttons.append(historyButton(t('historyRedownload'), () => {
+      chrome.runtime.sendMessage({ action: 'redownload', url: entry.data.url });
+    }));
+  }
+
+  li.append(name, meta, buttons);
+  return li;
+}
+
+function historyButton(label, onClick) {
+  let btn = document.createElement('button');
+  btn.className = 'chip';
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// chrome.downloads.show/open fail silently on deleted files — check first
+async function openDownload(entry, how, meta) {
+  let [item] = await chrome.downloads.search({ id: entry.downloadId });
+  if (!item?.exists) {
+    meta.textContent = t('historyFileGone') + (entry.data?.url ? ' \u2014 ' + t('historyTryRedownload') : '');
+    return;
+  }
+  if (how === 'open') chrome.downloads.open(entry.downloadId);
+  else chrome.downloads.show(entry.downloadId);
+}
+
+function exportHistoryCsv() {
+  // {parent} and {job} are derived from the customer column, {year} from txndate
+  let tokens = FORMAT_TOKENS.filter(t => !['date', 'parent', 'job', 'year'].includes(t));
+  let header = ['timestamp', 'downloadId', 'originalName', 'filename', 'path', 'state', 'source', ...tokens, 'url'];
+  let rows = filteredHistory().map(entry => [
+    new Date(entry.timestamp).toISOString(),
+    entry.downloadId,
+    entry.originalName,
+    entry.filename,
+    entry.path,
+    entry.state,
+    entry.source,
+    ...tokens.map(t => entry.data?.[t]),
+    entry.data?.url
+  ]);
+
+  let csv = [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+  let url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  let a = document.createElement('a');
+  a.href = url;
+  a.download = 'apex-rename-history-' + new Date().toISOString().slice(0, 10) + '.csv';
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// -- Page diagnostics --
+
+const HEALTH_LABELS = { ok: 'healthOk', degraded: 'healthDegraded', broken: 'healthBroken' };
+const HEALTH_STATUS = { degraded: 'healthStatusDegraded', broken: 'healthStatusBroken' };
+
+const VIA_LABELS = { custom: 'viaCustom', primary: 'viaPrimary', fallback: 'viaFallback', none: 'viaNone' };
+
+async function loadDiagnostics() {
+  let result = await askActiveTab({ action: 'getDiagnostics' });
+  let summary = document.getElementById('diagnostics-summary');
+  let warning = document.getElementById('health-warning');
+  document.getElementById('capture-snapshot').disabled = !result;
+
+  if (!result) {
+    warning.classList.add('hidden');
+    return;
+  }
+
+  let { trace, health } = result;
+  summary.textContent = t(HEALTH_LABELS[health.status]);
+  document.getElementById('diagnostics-status').textContent = health.status === 'ok' ? '' : '(' + t(HEALTH_STATUS[health.status]) + ')';
+
+  warning.textContent = '\u26a0 ' + t(HEALTH_LABELS[health.status]) + ' \u2014 ' + t('healthDetails');
+  warning.classList.toggle('hidden', health.status === 'ok');
+
+  let list = document.getElementById('diagnostics-trace');
+  list.replaceChildren(...Object.entries(trace).map(([field, entry]) => {
+    let li = document.createElement('li');
+    li.className = 'trace-' + entry.via;
+
+    let name = document.createElement('span');
+    name.className = 'trace-field';
+    name.textContent = field;
+
+    let selector = document.createElement('span');
+    selector.className = 'trace-selector';
+    selector.textContent = t(VIA_LABELS[entry.via]) + (entry.selector ? ' \u00b7 ' + entry.selector : '');
+
+    li.append(name, selector);
+    return li;
+  }));
+}
+
+// Saved locally only — attach it to a bug report or drop it in test/fixtures
+async function captureSnapshot() {
+  let snapshot = await askActiveTab({ action: 'captureSnapshot' });
+  if (!snapshot) return;
+
+  let url = URL.createObjectURL(new Blob([snapshot.html], { type: 'text/html' }));
+  let a = document.createElement('a');
+  a.href = url;
+  a.download = snapshot.filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// -- Type names --
+
+function renderTypeLanguages() {
+  typeLanguageSelect.replaceChildren(...Object.entries(QBO_LOCALES).map(([language, pack]) => {
+    let option = document.createElement('option');
+    option.value = language;
+    option.textContent = pack.name;
+    return option;
+  }));
 }
 
 // -- Date format conditional visibility --
 
 function updateDateFormatVisibility() {
-  let hasDate = formatInput.value.includes('{date}');
+  let hasDate = [formatInput.value, ...Object.values(typeFormats)]
+    .some(f => DATE_TOKENS.some(token => formatUsesToken(f, token)));
   dateFormatRow.classList.toggle('hidden', !hasDate);
 }
 
@@ -135,49 +691,39 @@ function setActiveNotifyBtn(value) {
 
 async function updatePreview() {
   let data = await getActiveTabData();
-  let format = formatInput.value || DEFAULTS.format;
-  let dateFmt = dateFormatSelect.value;
+  // While the input doesn't parse, preview the format that's actually saved
+  let globalFormat = formatInput.value || DEFAULTS.format;
+  if (validateFormat(globalFormat)) globalFormat = savedFormat;
+
+  if (!data) data = SAMPLE_DATA;
+  let settings = {
+    ...storedSettings,
+    format: globalFormat,
+    typeFormats,
+    dateFormat: dateFormatSelect.value,
+    conflictPolicy: conflictPolicySelect.value,
+    typeConflictPolicies,
+    typeLanguage: typeLanguageSelect.value
+  };
+  previewEl.textContent = filenameFor(settings, data) + '.pdf';
 
-  if (data) {
-    let filename = buildPreview(format, data, dateFmt);
-    previewEl.textContent = filename + '.pdf';
-    sourceEl.textContent = (data.type ? data.type + ' ' : '') + (data.num || '') + (data.customer ? ' \u2014 ' + data.customer : '');
+  if (data.sample) {
+    sourceEl.textContent = t('samplePreview');
   } else {
-    previewEl.textContent = buildPreview(format, { num: '87072', customer: 'Bison Pumps', type: 'Estimate' }, dateFmt) + '.pdf';
-    sourceEl.textContent = 'Sample preview \u2014 open a QBO transaction for live data';
+    sourceEl.textContent = (data.type ? typeLabelIn(typeLanguageSelect.value, data.type) + ' ' : '') + (data.num || '') + (data.customer ? ' \u2014 ' + data.customer : '');
   }
 }
 
-function buildPreview(format, data, dateFmt) {
-  let date = '';
-  if (format.includes('{date}')) {
-    let d = new Date();
-    date = dateFmt
-      .replace('YYYY', d.getFullYear())
-      .replace('MM', String(d.getMonth() + 1).padStart(2, '0'))
-      .replace('DD', String(d.getDate()).padStart(2, '0'));
-  }
-
-  let name = format
-    .replaceAll('{num}', data.num || '')
-    .replaceAll('{customer}', data.customer || '')
-    .replaceAll('{type}', data.type || '')
-    .replaceAll('{date}', date);
-
-  // Mirror the same sanitization as background.js buildFilename
-  name = name.replace(/[<>:"/\\|?*\x00-\x1f]/g, '');
-  name = name.replace(/\s{2,}/g, ' ').replace(/-{3,}/g, '--');
-  name = name.replace(/^[\s.]+|[\s.]+$/g, '');
-
-  return name || 'QBO_Document';
+function getActiveTabData() {
+  return askActiveTab({ action: 'getTransactionData' });
 }
 
-async function getActiveTabData() {
+// Message the active tab's content script; null off QBO or without one
+async function askActiveTab(msg) {
   try {
     let [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (!tab?.url?.includes('qbo.intuit.com')) return null;
-    let response = await chrome.tabs.sendMessage(tab.id, { action: 'getTransactionData' });
-    return response;
+    return await chrome.tabs.sendMessage(tab.id, msg);
   } catch {
     return null;
   }
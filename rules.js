@@ -0,0 +1,317 @@
+import { DEFAULTS } from './lib/settings.js';
+import {
+  RULE_FIELDS, DEFAULT_MENU, builtinRules, validateRules, compactRules, exportRules, importRules
+} from './lib/selector-rules.js';
+import { t, localizePage } from './lib/i18n.js';
+
+// Message keys (_locales)
+const FIELD_LABELS = {
+  num: 'ruleFieldNum',
+  type: 'ruleFieldType',
+  customer: 'ruleFieldCustomer',
+  txndate: 'ruleFieldTxndate',
+  due: 'ruleFieldDue',
+  total: 'ruleFieldTotal',
+  balance: 'ruleFieldBalance',
+  ponum: 'ruleFieldPonum',
+  memo: 'ruleFieldMemo',
+  location: 'ruleFieldLocation',
+  class: 'ruleFieldClass',
+  period: 'ruleFieldPeriod',
+  company: 'ruleFieldCompany'
+};
+
+const MENU_LABELS = {
+  item: 'ruleMenuItem',
+  opener: 'ruleMenuOpener',
+  printButton: 'ruleMenuPrintButton',
+  download: 'ruleMenuDownload',
+  print: 'ruleMenuPrint'
+};
+
+// Working copy — only written to storage on Save
+let rules = structuredClone(DEFAULTS.selectorRules);
+let statusEl;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  localizePage();
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+  document.title = t('rulesPageTitle');
+  statusEl = document.getElementById('status');
+
+  let stored = await chrome.storage.sync.get({ selectorRules: DEFAULTS.selectorRules });
+  rules = { fields: {}, menu: {}, ...stored.selectorRules };
+  render();
+
+  document.getElementById('save').addEventListener('click', saveRules);
+  document.getElementById('test').addEventListener('click', testRules);
+  document.getElementById('export').addEventListener('click', downloadRules);
+
+  let fileInput = document.getElementById('import-file');
+  document.getElementById('import').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    let file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      rules = importRules(await file.text());
+      render();
+      showStatus(t('rulesImported', file.name), 'ok');
+    } catch (e) {
+      showStatus(t('rulesImportFailed', file.name, e.message), 'error');
+    }
+  });
+});
+
+function render() {
+  renderMenu();
+  document.getElementById('field-rules').replaceChildren(...RULE_FIELDS.map(fieldCard));
+}
+
+// -- Menu --
+
+function renderMenu() {
+  let grid = document.getElementById('menu-rules');
+  grid.replaceChildren();
+
+  for (let [key, label] of Object.entries(MENU_LABELS)) {
+    let name = document.createElement('label');
+    name.htmlFor = 'menu-' + key;
+    name.textContent = t(label);
+
+    let input = textInput(rules.menu[key] || '', DEFAULT_MENU[key]);
+    input.id = 'menu-' + key;
+    input.addEventListener('input', () => { rules.menu[key] = input.value; });
+
+    grid.append(name, input);
+  }
+}
+
+// -- Fields --
+
+function fieldCard(field) {
+  let config = rules.fields[field] ||= { rules: [], fallback: true };
+
+  let card = document.createElement('details');
+  card.className = 'field-card';
+  card.id = 'field-' + field;
+  card.open = config.rules.length > 0 || config.fallback === false;
+
+  let summary = document.createElement('summary');
+  summary.textContent = t(FIELD_LABELS[field]) + ' ';
+  let tag = document.createElement('code');
+  tag.textContent = '{' + field + '}';
+  let count = document.createElement('span');
+  count.className = 'summary-count';
+  if (config.rules.length) {
+    count.textContent = ' ' + (config.rules.length === 1 ? t('rulesCountOne') : t('rulesCountMany', String(config.rules.length)));
+  }
+  summary.append(tag, count);
+
+  let list = document.createElement('div');
+  config.rules.forEach((rule, i) => list.appendChild(ruleRow(field, rule, i)));
+
+  let options = document.createElement('div');
+  options.className = 'field-options';
+
+  let add = chip(t('rulesAdd'), () => {
+    config.rules.push({ selector: '', source: '', pattern: '' });
+    rerenderField(field);
+  });
+
+  let copy = chip(t('rulesCopyBuiltin'), () => {
+    config.rules.push(...builtinRules(field));
+    rerenderField(field);
+  });
+
+  let fallbackLabel = document.createElement('label');
+  let fallback = document.createElement('input');
+  fallback.type = 'checkbox';
+  fallback.checked = config.fallback !== false;
+  fallback.addEventListener('change', () => { config.fallback = fallback.checked; });
+  fallbackLabel.append(fallback, ' ' + t('rulesThenBuiltin'));
+
+  options.append(add, copy, fallbackLabel);
+
+  let builtin = document.createElement('ul');
+  builtin.className = 'builtin-list';
+  builtin.title = t('rulesBuiltinChain');
+  for (let rule of builtinRules(field)) {
+    let li = document.createElement('li');
+    li.textContent = t('rulesBuiltinItem', rule.selector + (rule.source ? ' [' + rule.source + ']' : '') + (rule.pattern ? ' /' + rule.pattern + '/' : ''));
+    builtin.appendChild(li);
+  }
+  if (!builtin.children.length) {
+    let li = document.createElement('li');
+    li.textContent = t('rulesBuiltinLabelOnly');
+    builtin.appendChild(li);
+  }
+
+  let result = document.createElement('div');
+  result.className = 'test-result';
+  result.id = 'test-' + field;
+
+  card.append(summary, list, options, builtin, result);
+  return card;
+}
+
+function ruleRow(field, rule, index) {
+  let config = rules.fields[field];
+  let row = document.createElement('div');
+  row.className = 'rule-row';
+
+  let selector = textInput(rule.selector, t('rulesSelectorPlaceholder'));
+  selector.addEventListener('input', () => { rule.selector = selector.value; });
+
+  let source = textInput(rule.source, t('rulesSourcePlaceholder'));
+  source.title = t('rulesSourceTitle');
+  source.addEventListener('input', () => { rule.source = source.value.trim(); });
+
+  let pattern = textInput(rule.pattern, t('rulesPatternPlaceholder'));
+  pattern.addEventListener('input', () => { rule.pattern = pattern.value; });
+
+  let buttons = document.createElement('div');
+  buttons.className = 'rule-buttons';
+  buttons.append(
+    chip('\u2191', () => moveRule(field, index, -1), t('rulesMoveUp')),
+    chip('\u2193', () => moveRule(field, index, 1), t('rulesMoveDown')),
+    chip('\u2715', () => {
+      config.rules.splice(index, 1);
+      rerenderField(field);
+    }, t('rulesRemove'))
+  );
+
+  row.append(selector, source, pattern, buttons);
+  return row;
+}
+
+function moveRule(field, index, delta) {
+  let list = rules.fields[field].rules;
+  let target = index + delta;
+  if (target < 0 || target >= list.length) return;
+  [list[index], list[target]] = [list[target], list[index]];
+  rerenderField(field);
+}
+
+function rerenderField(field) {
+  let card = fieldCard(field);
+  card.open = true;
+  document.getElementById('field-' + field).replaceWith(card);
+}
+
+function textInput(value, placeholder) {
+  let input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'format-input';
+  input.spellcheck = false;
+  input.value = value || '';
+  input.placeholder = placeholder;
+  return input;
+}
+
+function chip(label, onClick, title) {
+  let btn = document.createElement('button');
+  btn.className = 'chip';
+  btn.textContent = label;
+  if (title) btn.title = title;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// -- Save / import / export --
+
+async function saveRules() {
+  let compact = compactRules(rules);
+  let errors = validateRules(compact);
+  if (errors.length) {
+    showStatus(errors.join('\n'), 'error');
+    return;
+  }
+
+  try {
+    await chrome.storage.sync.set({ selectorRules: compact });
+    showStatus(t('rulesSaved'), 'ok');
+  } catch (e) {
+    // storage.sync caps a single setting at 8 KB
+    showStatus(t('rulesSaveFailed', e.message), 'error');
+  }
+}
+
+function downloadRules() {
+  let url = URL.createObjectURL(new Blob([exportRules(rules)], { type: 'application/json' }));
+  let a = document.createElement('a');
+  a.href = url;
+  a.download = 'apex-selector-rules.json';
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function showStatus(message, kind) {
+  statusEl.textContent = message;
+  statusEl.className = 'rules-status ' + kind;
+}
+
+// -- Test bench --
+
+// This page is the active tab, so test the QBO transaction tab used last
+async function testRules() {
+  let compact = compactRules(rules);
+  let errors = validateRules(compact);
+  if (errors.length) {
+    showStatus(errors.join('\n'), 'error');
+    return;
+  }
+
+  let tabs = await chrome.tabs.query({ url: 'https://qbo.intuit.com/app/*' });
+  tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+
+  for (let tab of tabs) {
+    let result;
+    try {
+      result = await chrome.tabs.sendMessage(tab.id, { action: 'testSelectorRules', rules: compact });
+    } catch {
+      continue;
+    }
+    if (!result) continue;
+    showResults(result);
+    showStatus(t('rulesTestedAgainst', tab.title || tab.url), 'ok');
+    return;
+  }
+
+  showStatus(t('rulesNoTab'), 'error');
+}
+
+function showResults({ fields, data, trace, menu }) {
+  for (let field of RULE_FIELDS) {
+    let el = document.getElementById('test-' + field);
+    el.replaceChildren();
+
+    for (let [i, { value }] of fields[field].entries()) {
+      let line = document.createElement('div');
+      line.append(t('rulesResultRule', String(i + 1)), resultValue(value));
+      el.appendChild(line);
+    }
+
+    let resolved = document.createElement('div');
+    let via = trace[field]?.via || 'none';
+    resolved.append(t('rulesResult'), resultValue(data?.[field]), ' \u00b7 ' + via + (trace[field]?.selector ? ' \u2014 ' + trace[field].selector : ''));
+    el.appendChild(resolved);
+  }
+
+  let menuResult = document.createElement('div');
+  menuResult.className = 'test-result';
+  let items = menu.items.length
+    ? menu.items.map(item => item.text + (item.action ? ' \u2192 ' + item.action : '')).join(', ')
+    : t('rulesMenuNone');
+  menuResult.textContent = t('rulesMenuResult', String(menu.opener), String(menu.printButton), items);
+  document.getElementById('menu-test')?.remove();
+  menuResult.id = 'menu-test';
+  document.getElementById('menu-rules').after(menuResult);
+}
+
+function resultValue(value) {
+  let span = document.createElement('span');
+  span.className = value ? 'value' : 'miss';
+  span.textContent = value ? JSON.stringify(value) : t('rulesNoMatch');
+  return span;
+}
@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { DEFAULTS, SETTINGS_VERSION, MANAGED_KEYS } from '../lib/settings.js';
+import { newRule } from '../lib/download-rules.js';
+import {
+  BACKUP_KEYS, SETTINGS_SCHEMA, validateSettings, exportSettings, importSettings, diffSettings
+} from '../lib/backup.js';
+
+// Selector rules are checked with querySelector
+before(() => {
+  globalThis.document = new JSDOM('').window.document;
+});
+
+after(() => {
+  delete globalThis.document;
+});
+
+function backupFile(settings, settingsVersion = SETTINGS_VERSION) {
+  return JSON.stringify({ apexSettings: 1, settingsVersion, settings });
+}
+
+test('the defaults are valid settings', () => {
+  assert.deepEqual(validateSettings(DEFAULTS), []);
+});
+
+test('each problem is reported with its path', () => {
+  assert.deepEqual(validateSettings({
+    format: '{num',
+    dateFormat: 'YYYY',
+    maxLength: 500,
+    historyLimit: '50',
+    typeFormats: { invoice: '{num}', cheque: '{num}' },
+    customerAliases: [{ from: 'Bison Pumps, LLC', to: 7 }],
+    downloadRules: [{ ...newRule('Clients'), folder: 'Clients/{client}' }, { ...newRule('Draft'), enabled: false }],
+    selectorRules: { fields: { num: { rules: [{ selector: '##' }] } }, menu: {} },
+    theme: 'dark'
+  }), [
+    'format: Unclosed "{" (at position 1)',
+    'dateFormat: should be one of YYYY-MM-DD, MM-DD-YYYY, MM/DD/YYYY, DD-MM-YYYY',
+    'maxLength: should be at most 240',
+    'historyLimit: should be a whole number',
+    'typeFormats.cheque: unknown key',
+    'customerAliases[0].to: should be text',
+    'downloadRules[0]: Folder: Unknown token {client} (at position 9)',
+    'selectorRules: num rule 1: invalid selector "##"',
+    'theme: unknown setting'
+  ]);
+});
+
+test('an export imports back to the same settings', () => {
+  let settings = {
+    ...DEFAULTS,
+    format: '{customer} {num}',
+    typeFormats: { bill: '{customer} {num}' },
+    downloadRules: [{ ...newRule('Clients'), folder: 'Clients/{customer}' }],
+    profileOverride: 'name:acme',
+    locked: ['format']
+  };
+  let json = exportSettings(settings);
+  let { settings: exported } = JSON.parse(json);
+
+  assert.deepEqual(Object.keys(exported), BACKUP_KEYS);
+  assert.deepEqual(importSettings(json), exported);
+});
+
+test('a file from an older version is migrated', () => {
+  let imported = importSettings(backupFile({ format: '{num}', showNotification: false }, 1));
+  assert.deepEqual(imported, { format: '{num}', notifyMode: 'off' });
+});
+
+test('files that are not settings exports are refused', () => {
+  assert.throws(() => importSettings('{"format": '), /^Error: Not a JSON file: /);
+  assert.throws(() => importSettings('{"format": "{num}"}'), { message: 'Not an Apex Explorer settings file' });
+  assert.throws(() => importSettings(backupFile({}, SETTINGS_VERSION + 1)), /newer version/);
+  assert.throws(() => importSettings(backupFile({ format: '', diagnostics: 'yes' })), {
+    message: 'format: is empty\ndiagnostics: should be true or false'
+  });
+});
+
+test('the diff lists changed settings, per entry for maps', () => {
+  let current = { ...DEFAULTS, typeFormats: { bill: '{customer} {num}', invoice: '{num}' } };
+  let incoming = { format: DEFAULTS.format, typeFormats: { invoice: '{num} {customer}' }, historyLimit: 50 };
+
+  assert.deepEqual(diffSettings(current, incoming, ['historyLimit']), [
+    { key: 'typeFormats.bill', from: '{customer} {num}', to: undefined, locked: false },
+    { key: 'typeFormats.invoice', from: '{num}', to: '{num} {customer}', locked: false },
+    { key: 'historyLimit', from: DEFAULTS.historyLimit, to: 50, locked: true }
+  ]);
+});
+
+test('managed_schema.json describes every managed setting like SETTINGS_SCHEMA', () => {
+  let schema = JSON.parse(readFileSync(new URL('../managed_schema.json', import.meta.url), 'utf8'));
+  assert.deepEqual(Object.keys(schema.properties).sort(), [...MANAGED_KEYS].sort());
+
+  for (let key of MANAGED_KEYS) {
+    let policy = schema.properties[key];
+    assert.equal(policy.type, SETTINGS_SCHEMA[key].type, key);
+    assert.deepEqual(policy.enum, SETTINGS_SCHEMA[key].enum, key);
+    assert.ok(policy.title && policy.description, key);
+  }
+});
@@ -0,0 +1,73 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome, suggestRecorder } from './helpers/chrome.js';
+import { DEFAULTS } from '../lib/settings.js';
+import { startBatch, resolveBatchDownload } from '../lib/batch-runner.js';
+import { renameDownload } from '../lib/rename.js';
+
+const TXN_URL = 'https://qbo.intuit.com/app/invoice?txnId=104';
+const WORKER_TAB = 1000;
+
+let chrome;
+
+beforeEach(async () => {
+  chrome = installChrome();
+  // notifyMode 'off' keeps the badge timer from holding the test run open
+  await chrome.storage.sync.set({ ...DEFAULTS, notifyMode: 'off' });
+});
+
+async function finished() {
+  for (;;) {
+    let { batchJob } = await chrome.storage.session.get('batchJob');
+    if (batchJob?.finishedAt) return batchJob;
+    await new Promise(r => setTimeout(r, 50));
+  }
+}
+
+function click(id, tabId, num) {
+  return { id, kind: 'click', action: 'download', tabId, timestamp: Date.now(), data: { num, customer: 'Bison Pumps', type: 'Invoice' } };
+}
+
+test('a download kept under its QBO name still moves the batch on', async () => {
+  chrome.tabs.responders[WORKER_TAB] = async (msg) => {
+    if (msg.action === 'getTransactionData') return { num: '1042', url: TXN_URL };
+    // A click in another tab makes the worker tab's download ambiguous
+    await chrome.storage.session.set({ renameIntents: [click('a', WORKER_TAB, '1042'), click('b', 8, '1043')] });
+    let { suggest, suggestions } = suggestRecorder();
+    await renameDownload({ id: 1, url: 'blob:https://qbo.intuit.com/3f1c', filename: 'download.pdf' }, suggest);
+    assert.deepEqual(suggestions, [{ filename: 'download.pdf' }]);
+    return { ok: true };
+  };
+
+  assert.deepEqual(await startBatch([{ url: TXN_URL, label: 'Invoice 1042' }], 0), { ok: true });
+  assert.deepEqual(await startBatch([{ url: TXN_URL, label: 'Invoice 1042' }], 0), { ok: false, error: 'A batch is already running' });
+
+  let job = await finished();
+  assert.equal(job.status, 'finished');
+  assert.deepEqual(job.items.map(i => [i.status, i.filename]), [['done', 'download.pdf']]);
+});
+
+test('an item that could not start its download does not time out the next one', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  let triggered = 0;
+  chrome.tabs.responders[WORKER_TAB] = (msg) => {
+    if (msg.action === 'getTransactionData') return { num: '1042', url: TXN_URL };
+    if (++triggered === 1) return { ok: false, error: 'No download button' };
+    // The second download is slow, and is named after the first item's
+    // wait would have run out
+    setTimeout(() => resolveBatchDownload('1043.pdf', WORKER_TAB), 28000);
+    return { ok: true };
+  };
+
+  await startBatch([{ url: TXN_URL, label: 'Invoice 1042' }, { url: TXN_URL, label: 'Invoice 1043' }], 0);
+  for (let ms = 0; ms < 40000; ms += 100) {
+    t.mock.timers.tick(100);
+    await new Promise(r => setImmediate(r));
+  }
+
+  let { batchJob } = await chrome.storage.session.get('batchJob');
+  assert.deepEqual(batchJob.items.map(i => [i.status, i.filename || i.error]), [
+    ['failed', 'No download button'],
+    ['done', '1043.pdf']
+  ]);
+});
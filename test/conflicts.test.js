@@ -0,0 +1,69 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome.js';
+import {
+  conflictPolicyFor, conflictActionFor, formatWithRevision, revisionLabel,
+  claimRevision, trackRevision, settleRevision
+} from '../lib/conflicts.js';
+import { filenameFor } from '../lib/filename.js';
+
+let chrome;
+
+beforeEach(() => {
+  chrome = installChrome();
+});
+
+test('a type policy overrides the global one', () => {
+  let settings = { conflictPolicy: 'overwrite', typeConflictPolicies: { estimate: 'revision' } };
+  assert.equal(conflictPolicyFor(settings, 'Estimate'), 'revision');
+  assert.equal(conflictPolicyFor(settings, 'Invoice'), 'overwrite');
+  assert.equal(conflictPolicyFor({ conflictPolicy: 'bogus' }, 'Invoice'), 'uniquify');
+});
+
+test('policies map to Chrome conflict actions', () => {
+  assert.equal(conflictActionFor('overwrite'), 'overwrite');
+  assert.equal(conflictActionFor('prompt'), 'prompt');
+  assert.equal(conflictActionFor('revision'), 'uniquify');
+});
+
+test('{rev} goes at the end unless the format places it', () => {
+  assert.equal(formatWithRevision('{num}'), '{num}[ {rev}]');
+  assert.equal(formatWithRevision('{num}[_{rev}] - {customer}'), '{num}[_{rev}] - {customer}');
+  assert.equal(revisionLabel(1), '');
+  assert.equal(revisionLabel(3), 'Rev3');
+});
+
+test('filenameFor renders {rev} under the revision policy', () => {
+  let settings = { format: '{num} - {customer}', conflictPolicy: 'revision' };
+  let data = { num: '87072', customer: 'Bison Pumps', type: 'Estimate' };
+  assert.equal(filenameFor(settings, data), '87072 - Bison Pumps');
+  assert.equal(filenameFor(settings, { ...data, rev: 'Rev2' }), '87072 - Bison Pumps Rev2');
+  assert.equal(filenameFor({ ...settings, conflictPolicy: 'uniquify' }, { ...data, rev: 'Rev2' }), '87072 - Bison Pumps');
+});
+
+test('revisions count per name, ignoring case', async () => {
+  assert.equal(await claimRevision('87072 - Bison Pumps.pdf'), 1);
+  assert.equal(await claimRevision('87072 - BISON PUMPS.pdf'), 2);
+  assert.equal(await claimRevision('1042.pdf'), 1);
+  assert.deepEqual(chrome.storage.local.data.fileRevisions, { '87072 - bison pumps.pdf': 2, '1042.pdf': 1 });
+});
+
+test('an interrupted download gives its revision back', async () => {
+  await claimRevision('a.pdf');
+  let revision = await claimRevision('a.pdf');
+  await trackRevision(5, 'a.pdf', revision);
+
+  settleRevision({ id: 5, state: { current: 'interrupted' } });
+  await new Promise(r => setTimeout(r, 10));
+  assert.equal(chrome.storage.local.data.fileRevisions['a.pdf'], 1);
+  assert.deepEqual(chrome.storage.session.data.revisionDownloads, {});
+});
+
+test('a completed download keeps its revision', async () => {
+  let revision = await claimRevision('b.pdf');
+  await trackRevision(6, 'b.pdf', revision);
+
+  settleRevision({ id: 6, state: { current: 'complete' } });
+  await new Promise(r => setTimeout(r, 10));
+  assert.equal(chrome.storage.local.data.fileRevisions['b.pdf'], 1);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  splitCustomer, stripLegalSuffix, normalizeCustomer, parseAliasCsv, mergeAliases
+} from '../lib/customers.js';
+
+test('sub-customer paths split on colons', () => {
+  assert.deepEqual(splitCustomer('Bison Pumps, LLC (Houston Yard) :: Job 14'), ['Bison Pumps, LLC (Houston Yard)', 'Job 14']);
+  assert.deepEqual(splitCustomer('A:B:C'), ['A', 'B', 'C']);
+  assert.deepEqual(splitCustomer(''), []);
+});
+
+test('legal suffixes are stripped at the end or before a location', () => {
+  assert.equal(stripLegalSuffix('Bison Pumps, LLC'), 'Bison Pumps');
+  assert.equal(stripLegalSuffix('Bison Pumps, LLC (Houston Yard)'), 'Bison Pumps (Houston Yard)');
+  assert.equal(stripLegalSuffix('Kangaroo Freight Pty. Ltd.'), 'Kangaroo Freight');
+  assert.equal(stripLegalSuffix('Café Étoile S.à r.l.'), 'Café Étoile');
+  assert.equal(stripLegalSuffix('Northwind Holdings Ltd, Inc.'), 'Northwind Holdings');
+  assert.equal(stripLegalSuffix('Incline Partners'), 'Incline Partners');
+  assert.equal(stripLegalSuffix('LLC'), 'LLC');
+});
+
+test('normalizeCustomer fills customer, parent and job', () => {
+  assert.deepEqual(normalizeCustomer('Bison Pumps, LLC (Houston Yard) :: Job 14'), {
+    customer: 'Bison Pumps, LLC (Houston Yard) - Job 14', parent: 'Bison Pumps, LLC (Houston Yard)', job: 'Job 14'
+  });
+  assert.deepEqual(normalizeCustomer('Acme'), { customer: 'Acme', parent: 'Acme', job: '' });
+  assert.deepEqual(normalizeCustomer(''), { customer: '', parent: '', job: '' });
+});
+
+test('aliases match whole names or parts, before or after stripping', () => {
+  let customerAliases = [
+    { from: 'bison  pumps, llc (houston yard)', to: 'Bison HOU' },
+    { from: 'Northwind', to: 'NW' },
+    { from: 'Acme:Warehouse', to: 'Acme WH' },
+    { from: 'Blank', to: ' ' }
+  ];
+  let settings = { customerAliases, stripSuffixes: true };
+
+  assert.equal(normalizeCustomer('Bison Pumps, LLC (Houston Yard):Job 14', settings).customer, 'Bison HOU - Job 14');
+  assert.equal(normalizeCustomer('Northwind, Inc.', settings).parent, 'NW');
+  assert.equal(normalizeCustomer('Northwind, Inc.', { customerAliases }).parent, 'Northwind, Inc.');
+  assert.deepEqual(normalizeCustomer('Acme:Warehouse', settings), { customer: 'Acme WH', parent: 'Acme WH', job: '' });
+  assert.equal(normalizeCustomer('Blank', settings).customer, 'Blank');
+});
+
+test('alias CSV import handles headers, quotes and bad rows', () => {
+  let csv = '\uFEFFCustomer,Alias\r\n"Bison Pumps, LLC",Bison\r\n"Say ""Hi"" Ltd",Hi\n\nOrphan\n,NoName\n';
+  assert.deepEqual(parseAliasCsv(csv), {
+    aliases: [{ from: 'Bison Pumps, LLC', to: 'Bison' }, { from: 'Say "Hi" Ltd', to: 'Hi' }],
+    errors: ['Line 5: needs a QBO name and an alias', 'Line 6: needs a QBO name and an alias']
+  });
+  assert.deepEqual(parseAliasCsv('Acme,A').aliases, [{ from: 'Acme', to: 'A' }]);
+});
+
+test('imported aliases replace the same name and keep the rest', () => {
+  let merged = mergeAliases(
+    [{ from: 'Acme', to: 'A' }, { from: 'Bison', to: 'B' }],
+    [{ from: 'ACME', to: 'Acme Co' }, { from: 'Zed', to: 'Z' }]
+  );
+  assert.deepEqual(merged, [{ from: 'ACME', to: 'Acme Co' }, { from: 'Bison', to: 'B' }, { from: 'Zed', to: 'Z' }]);
+});
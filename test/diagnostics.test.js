@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { loadFixture } from './helpers/dom.js';
+import { readTransactionData } from '../lib/extract.js';
+import { diagnose, selectorHealth, captureSnapshot, isDocumentPage, maskText } from '../lib/diagnostics.js';
+
+const BASE = 'https://qbo.intuit.com/app/';
+
+test('the trace records which selector each field came from', () => {
+  let { trace } = diagnose(loadFixture('invoice.html', BASE + 'invoice?txnId=104'));
+  assert.equal(trace.num.via, 'primary');
+  assert.equal(trace.customer.selector, '[data-automation-id="customer_name"]');
+  assert.equal(trace.txndate.via, 'fallback');
+  assert.match(trace.balance.selector, /^label \/\^\(\?:balance due\|/);
+  assert.equal(trace.location.via, 'none');
+});
+
+test('pages with their automation ids are healthy', () => {
+  let { health } = diagnose(loadFixture('estimate.html', BASE + 'estimate?txnId=87'));
+  assert.deepEqual(health, { status: 'ok', problems: [] });
+});
+
+test('fields read through fallbacks degrade health', () => {
+  let { health } = diagnose(loadFixture('salesreceipt.html', BASE + 'salesreceipt?txnId=55'));
+  assert.equal(health.status, 'degraded');
+  assert.deepEqual(health.problems, [
+    'num: primary selector missing, read via [class*="txp-capability-formTitle"]',
+    'customer: primary selector missing, read via input[aria-label="Customer"]'
+  ]);
+});
+
+test('an empty primary field is not a problem', () => {
+  let health = selectorHealth({
+    num: { via: 'none', selector: '', primaryFound: true },
+    customer: { via: 'primary', selector: '', primaryFound: true }
+  });
+  assert.equal(health.status, 'ok');
+});
+
+test('nothing readable is broken', () => {
+  let { data, health } = diagnose(loadFixture('blank.html', BASE + 'invoice?txnId=1'));
+  assert.equal(data, null);
+  assert.equal(health.status, 'broken');
+});
+
+test('isDocumentPage', () => {
+  assert.equal(isDocumentPage(loadFixture('blank.html', BASE + 'invoice?txnId=1')), true);
+  assert.equal(isDocumentPage(loadFixture('blank.html', BASE + 'homepage')), false);
+});
+
+test('maskText keeps shape and type names', () => {
+  assert.equal(maskText('Invoice 1042'), 'Invoice 9999');
+  assert.equal(maskText('Bison Pumps $1,200.50'), 'Xxxxx Xxxxx $9,999.99');
+});
+
+test('a snapshot masks customer data but still works as a fixture', () => {
+  let url = BASE + 'invoice?txnId=104';
+  let { html, filename, health } = captureSnapshot(loadFixture('invoice.html', url), { version: '1.2.3' });
+
+  assert.match(filename, /^apex-snapshot-invoice-\d{4}-\d{2}-\d{2}\.html$/);
+  assert.equal(health.status, 'ok');
+  for (let secret of ['Bison', '1042', '3,200.50', 'PO-5521', 'Thank you', 'Apex Industrial']) {
+    assert.ok(!html.includes(secret), 'leaked ' + secret);
+  }
+  assert.match(html, /"version": "1.2.3"/);
+
+  let dom = new JSDOM(html, { url });
+  Object.defineProperty(dom.window.HTMLElement.prototype, 'innerText', {
+    get() { return this.textContent.replace(/\s+/g, ' ').trim(); }
+  });
+  let data = readTransactionData(dom.window.document);
+  assert.equal(data.num, '9999');
+  assert.equal(data.type, 'Invoice');
+  assert.equal(data.customer, 'Xxxxx Xxxxx, XXX (Xxxxxxx Xxxx)');
+  assert.equal(data.txndate, '9999-09-09');
+  assert.equal(data.balance, '9999.99');
+  assert.equal(data.company, 'Xxxx Xxxxxxxxxx XXX');
+});
+
+test('values and button text are masked wherever they are', () => {
+  let dom = new JSDOM(`<form>
+    <input data-automation-id="reference_number" aria-label="Invoice number" value="1042">
+    <label for="c">Customer</label>
+    <select id="c"><option value="Bison Pumps">Bison Pumps</option></select>
+    <button value="cust-5521">Email Bison Pumps</button>
+    <div role="menuitem">Copy to Acme Corp</div>
+  </form>`, { url: BASE + 'invoice?txnId=104' });
+
+  let { html } = captureSnapshot(dom.window.document);
+  for (let secret of ['Bison', '5521', 'Acme']) {
+    assert.ok(!html.includes(secret), 'leaked ' + secret);
+  }
+  assert.match(html, /<label for="c">Customer<\/label>/);
+});
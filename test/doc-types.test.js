@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DOC_TYPES, DOC_URL_PATTERNS, QBO_DOC_URL,
+  docTypeForLabel, docTypeForUrl, docTypeUrl, parseQboFilename
+} from '../lib/doc-types.js';
+import { formatForType } from '../lib/format.js';
+
+const BASE = 'https://qbo.intuit.com/app/';
+
+test('slugs are unique', () => {
+  let slugs = DOC_TYPES.map(type => type.slug);
+  assert.equal(new Set(slugs).size, slugs.length);
+});
+
+test('docTypeForLabel matches labels, QBO names and slugs', () => {
+  assert.equal(docTypeForLabel('invoice').slug, 'invoice');
+  assert.equal(docTypeForLabel(' Delivery Note ').slug, 'packingslip');
+  assert.equal(docTypeForLabel('Receive Payment').label, 'Payment');
+  assert.equal(docTypeForLabel('Timesheet'), null);
+  assert.equal(docTypeForLabel(''), null);
+});
+
+test('docTypeForUrl tells apart pages sharing a path', () => {
+  assert.equal(docTypeForUrl(BASE + 'recvpayment?txnId=5').slug, 'receivepayment');
+  assert.equal(docTypeForUrl(BASE + 'reportv2?token=PANDL&date_macro=thisyear').slug, 'profitandloss');
+  assert.equal(docTypeForUrl(BASE + 'reportv2?token=BAL_SHEET').slug, 'balancesheet');
+  assert.equal(docTypeForUrl(BASE + 'reportv2?token=AGING'), null);
+  assert.equal(docTypeForUrl(BASE + 'billpayment?txnId=1'), null);
+  assert.equal(docTypeForUrl('https://example.com/app/invoice'), null);
+  assert.equal(docTypeForUrl('not a url'), null);
+});
+
+test('docTypeUrl builds a link to the document page', () => {
+  assert.equal(docTypeUrl(docTypeForLabel('Invoice'), { txnId: '104' }), BASE + 'invoice?txnId=104');
+  assert.equal(docTypeUrl(docTypeForLabel('Balance Sheet')), BASE + 'reportv2?token=BAL_SHEET');
+  assert.equal(docTypeUrl(docTypeForLabel('Packing Slip'), { txnId: '1' }), '');
+});
+
+test('URL patterns and regex cover every path, but not lookalikes', () => {
+  assert.ok(DOC_URL_PATTERNS.includes(BASE + 'bill'));
+  assert.ok(DOC_URL_PATTERNS.includes(BASE + 'bill?*'));
+  assert.ok(!DOC_URL_PATTERNS.some(pattern => pattern.includes('billpayment')));
+
+  assert.ok(QBO_DOC_URL.test(BASE + 'journal?txnId=12'));
+  assert.ok(QBO_DOC_URL.test(BASE + 'reportv2?token=PANDL'));
+  assert.ok(QBO_DOC_URL.test(BASE + 'invoice'));
+  assert.ok(!QBO_DOC_URL.test(BASE + 'billpayment?txnId=1'));
+  assert.ok(!QBO_DOC_URL.test(BASE + 'homepage'));
+});
+
+test('parseQboFilename recognizes QBO download names', () => {
+  assert.deepEqual(parseQboFilename('Purchase Order 3301.pdf'), { type: 'Purchase Order', num: '3301', customer: '' });
+  assert.deepEqual(parseQboFilename('Journal Entry 12.pdf'), { type: 'Journal Entry', num: '12', customer: '' });
+  assert.deepEqual(parseQboFilename('Apex Industrial LLC_Invoice 1042.pdf'), { type: 'Invoice', num: '1042', customer: '' });
+  assert.deepEqual(parseQboFilename('Profit and Loss.pdf'), { type: 'Profit and Loss', num: '', customer: '' });
+  assert.deepEqual(parseQboFilename('Receive Payment 88.pdf'), { type: 'Payment', num: '88', customer: '' });
+});
+
+test('parseQboFilename ignores unnumbered transactions and other files', () => {
+  assert.equal(parseQboFilename('Invoice.pdf'), null);
+  assert.equal(parseQboFilename('Checklist.pdf'), null);
+  assert.equal(parseQboFilename('report.pdf'), null);
+  assert.equal(parseQboFilename(''), null);
+});
+
+test('formatForType falls back to the registry format, then the global one', () => {
+  let settings = { format: '{num}', typeFormats: { invoice: 'INV {num}' } };
+  assert.equal(formatForType(settings, 'Invoice'), 'INV {num}');
+  assert.equal(formatForType(settings, 'Profit and Loss'), '{type}[ - {period}]');
+  assert.equal(formatForType(settings, 'Check'), '{num}');
+  assert.equal(formatForType(settings, ''), '{num}');
+});
@@ -0,0 +1,189 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome, suggestRecorder } from './helpers/chrome.js';
+import { DEFAULTS } from '../lib/settings.js';
+import { renameDownload } from '../lib/rename.js';
+import { newRule, validateRule, ruleMatches, planRules, runDownloadRules } from '../lib/download-rules.js';
+import { onToastButton } from '../lib/notify.js';
+
+const BLOB_URL = 'blob:https://qbo.intuit.com/3f1c';
+const INVOICE = { num: '1042', customer: 'Bison Pumps, LLC:Job 14', type: 'Invoice', txndate: '2026-01-05', total: '3200.50' };
+
+let chrome;
+
+beforeEach(async () => {
+  chrome = installChrome();
+  // notifyMode 'off' keeps the badge timer from holding the test run open
+  await chrome.storage.sync.set({ ...DEFAULTS, notifyMode: 'off' });
+});
+
+const PDF_BASE64 = btoa('%PDF-1.4 ...');
+
+// The QBO tab answers readPdf with the PDF's bytes
+function servePdf(result = { base64: PDF_BASE64 }) {
+  chrome.scripting.executeScript = async (details) => {
+    chrome.calls.executeScript.push(details);
+    return [{ result }];
+  };
+}
+
+function rule(changes) {
+  return { ...newRule('Clients'), ...changes };
+}
+
+async function setRules(...rules) {
+  await chrome.storage.sync.set({ downloadRules: rules });
+}
+
+// Name a download from the click that caused it, as background.js would
+async function download(id, data = INVOICE) {
+  await chrome.storage.session.set({
+    renameIntents: [{ id: 'a', kind: 'click', action: 'download', tabId: 7, timestamp: Date.now(), data }]
+  });
+  let { suggest, suggestions } = suggestRecorder();
+  await renameDownload({ id, url: BLOB_URL, filename: 'Invoice 1042.pdf' }, suggest);
+  await new Promise(r => setTimeout(r, 0));
+  return suggestions[0].filename;
+}
+
+test('rules need a valid format and something to do', () => {
+  assert.equal(validateRule(rule({ folder: 'Clients/{customer}' })), '');
+  assert.match(validateRule(rule({ folder: 'Clients/{client}' })), /^Folder: Unknown token \{client\}/);
+  assert.match(validateRule(rule({ copyName: '{num', open: true })), /^Copy name: /);
+  assert.equal(validateRule(rule({ reveal: true, minTotal: 'lots' })), 'Amounts must be numbers');
+  assert.equal(validateRule(rule({ reveal: true, minTotal: '500', maxTotal: '100' })), 'The minimum amount is above the maximum');
+  assert.equal(validateRule(rule({})), 'Pick at least one action');
+});
+
+test('conditions on type, customer and amount all have to hold', () => {
+  assert.equal(ruleMatches(rule({}), INVOICE), true);
+  assert.equal(ruleMatches(rule({ types: ['invoice', 'estimate'] }), INVOICE), true);
+  assert.equal(ruleMatches(rule({ types: ['bill'] }), INVOICE), false);
+
+  assert.equal(ruleMatches(rule({ customer: 'bison  PUMPS' }), INVOICE), true);
+  assert.equal(ruleMatches(rule({ customer: 'Acme' }), INVOICE), false);
+  // The normalized name counts too
+  let settings = { customerAliases: [{ from: 'Bison Pumps, LLC', to: 'Bison' }] };
+  assert.equal(ruleMatches(rule({ customer: 'Bison - Job 14' }), INVOICE, settings), true);
+
+  assert.equal(ruleMatches(rule({ minTotal: '1000' }), INVOICE), true);
+  assert.equal(ruleMatches(rule({ minTotal: '1000', maxTotal: '3200' }), INVOICE), false);
+  assert.equal(ruleMatches(rule({ maxTotal: '5000' }), { ...INVOICE, total: '' }), false);
+});
+
+test('the first matching rule with a folder files the download', () => {
+  let settings = {
+    ...DEFAULTS,
+    downloadRules: [
+      rule({ name: 'Bills', types: ['bill'], folder: 'Vendors' }),
+      rule({ name: 'Off', enabled: false, folder: 'Never' }),
+      rule({ name: 'Clients', folder: 'Clients/{customer}/{year}', reveal: true }),
+      rule({ name: 'Archive', folder: 'Ignored', copyName: 'Archive/{type} {num}' })
+    ]
+  };
+  assert.deepEqual(planRules(settings, INVOICE), {
+    folder: 'Clients/Bison Pumps, LLC - Job 14/2026',
+    actions: [
+      { rule: 'Clients', copy: '', open: false, reveal: true },
+      { rule: 'Archive', copy: 'Archive/Invoice 1042.pdf', open: false, reveal: false }
+    ]
+  });
+});
+
+test('a folder with nothing in its tokens files nowhere', () => {
+  let settings = { ...DEFAULTS, downloadRules: [rule({ folder: '[{ponum}]' })] };
+  assert.equal(planRules(settings, INVOICE).folder, '');
+});
+
+test('the folder goes in front of the suggested name', async () => {
+  await setRules(rule({ folder: 'Clients/{parent}/{year}' }));
+  assert.equal(await download(1), 'Clients/Bison Pumps, LLC/2026/1042 - Bison Pumps, LLC - Job 14.pdf');
+});
+
+test('copies, opening and reveal run once the download completes', async () => {
+  await chrome.storage.sync.set({ notifyMode: 'toast' });
+  await setRules(rule({ copyName: 'Archive/{num}', open: true, reveal: true }));
+  chrome.downloads.search = async ({ id }) => [{ id, url: BLOB_URL, finalUrl: BLOB_URL }];
+  servePdf();
+
+  let filename = await download(5);
+  await runDownloadRules({ id: 5, state: { previous: 'in_progress', current: 'complete' } });
+
+  // The blob is read in the QBO tab it came from; the worker can't fetch it
+  assert.deepEqual(chrome.calls.executeScript.map(call => [call.target.tabId, call.args]), [[7, [BLOB_URL]]]);
+  assert.deepEqual(chrome.calls.downloads, [{ url: 'data:application/pdf;base64,' + PDF_BASE64, filename: 'Archive/1042.pdf', conflictAction: 'uniquify' }]);
+  assert.deepEqual(chrome.calls.opened, [5]);
+  let toast = chrome.calls.notifications.find(n => n.id);
+  assert.equal(toast.id, 'apex-download:5:reveal');
+  assert.equal(toast.message, 'Saved as: ' + filename);
+
+  // Only once
+  await runDownloadRules({ id: 5, state: { previous: 'in_progress', current: 'complete' } });
+  assert.equal(chrome.calls.downloads.length, 1);
+
+  // The copy itself keeps the name it was asked for, folder and all
+  let { suggest, suggestions } = suggestRecorder();
+  await renameDownload({ id: 101, url: BLOB_URL, filename: '1042.pdf', byExtensionId: 'apex' }, suggest);
+  assert.deepEqual(suggestions, [undefined]);
+});
+
+test('a rule that could not run is reported and noted in the history', async () => {
+  await setRules(rule({ name: 'Open it', open: true }), rule({ name: 'Copy it', copyName: 'Archive/{num}' }));
+  chrome.downloads.search = async ({ id }) => [{ id, url: BLOB_URL }];
+  chrome.downloads.open = async () => { throw new Error('User gesture required'); };
+  servePdf();
+
+  await download(6);
+  await runDownloadRules({ id: 6, state: { previous: 'in_progress', current: 'complete' } });
+  // The copy was started but failed on its way to disk
+  await runDownloadRules({ id: 101, state: { previous: 'in_progress', current: 'interrupted' }, error: { current: 'NETWORK_FAILED' } });
+  await new Promise(r => setTimeout(r, 0));
+
+  assert.equal(chrome.calls.badge.filter(b => b.text === '!').length, 2);
+  let [entry] = chrome.storage.local.data.renameHistory;
+  assert.deepEqual(entry.ruleErrors, [
+    'Rule "Open it": could not open the file (User gesture required)',
+    'Rule "Copy it": the copy failed (NETWORK_FAILED)'
+  ]);
+});
+
+test('a copy whose PDF the QBO tab cannot read is reported', async () => {
+  await setRules(rule({ name: 'Copy it', copyName: 'Archive/{num}' }));
+  chrome.downloads.search = async ({ id }) => [{ id, url: BLOB_URL }];
+  servePdf({ error: 'Failed to fetch' });
+
+  await download(8);
+  await runDownloadRules({ id: 8, state: { previous: 'in_progress', current: 'complete' } });
+  await new Promise(r => setTimeout(r, 0));
+
+  assert.deepEqual(chrome.calls.downloads, []);
+  assert.deepEqual(chrome.storage.local.data.renameHistory[0].ruleErrors, ['Rule "Copy it": could not save a copy (Failed to fetch)']);
+});
+
+test('a PDF already replaced by a data: copy is copied as it is', async () => {
+  await setRules(rule({ copyName: 'Archive/{num}' }));
+  let dataUrl = 'data:application/pdf;base64,' + PDF_BASE64;
+  chrome.downloads.search = async ({ id }) => [{ id, url: dataUrl }];
+
+  await download(9);
+  await runDownloadRules({ id: 9, state: { previous: 'in_progress', current: 'complete' } });
+
+  assert.deepEqual(chrome.calls.executeScript, []);
+  assert.deepEqual(chrome.calls.downloads, [{ url: dataUrl, filename: 'Archive/1042.pdf', conflictAction: 'uniquify' }]);
+});
+
+test('an interrupted download runs nothing', async () => {
+  await setRules(rule({ open: true }));
+  await download(7);
+  await runDownloadRules({ id: 7, state: { previous: 'in_progress', current: 'interrupted' } });
+  assert.deepEqual(chrome.calls.opened, []);
+  assert.deepEqual(chrome.storage.session.data.ruleActions, {});
+});
+
+test('toast buttons reveal or open their download', async () => {
+  await onToastButton('apex-download:5:reveal,open', 0);
+  await onToastButton('apex-download:5:reveal,open', 1);
+  await onToastButton('other', 0);
+  assert.deepEqual(chrome.calls.shown, [5]);
+  assert.deepEqual(chrome.calls.opened, [5]);
+});
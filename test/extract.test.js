@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './helpers/dom.js';
+import { readTransactionData, readRealmId, parseDate, parseAmount } from '../lib/extract.js';
+
+const BASE = 'https://qbo.intuit.com/app/';
+
+// One saved page per transaction type. Only the fields each page has are
+// listed; every other field must come back empty.
+const CASES = [
+  {
+    fixture: 'estimate.html',
+    url: BASE + 'estimate?txnId=87',
+    expected: {
+      num: '87072', customer: 'Bison Pumps', type: 'Estimate',
+      txndate: '2026-02-20', due: '2026-03-22', total: '12450.00',
+      memo: 'Spring pump order', company: 'Apex Industrial LLC'
+    }
+  },
+  {
+    fixture: 'invoice.html',
+    url: BASE + 'invoice?txnId=104',
+    expected: {
+      num: '1042', customer: 'Bison Pumps, LLC (Houston Yard)', type: 'Invoice',
+      txndate: '2026-01-05', due: '2026-02-04', total: '3200.50', balance: '1200.50',
+      ponum: 'PO-5521', memo: 'Thank you for your business', company: 'Apex Industrial LLC'
+    }
+  },
+  {
+    fixture: 'salesreceipt.html',
+    url: BASE + 'salesreceipt?txnId=55',
+    expected: {
+      num: '5567', customer: 'Gulf Coast Valves', type: 'Sales Receipt',
+      txndate: '2025-12-31', total: '89.99', location: 'Houston'
+    }
+  },
+  {
+    fixture: 'purchaseorder.html',
+    url: BASE + 'purchaseorder?txnId=33',
+    expected: {
+      num: '3301', customer: 'Acme Supply Co.', type: 'Purchase Order',
+      txndate: '2026-03-01', total: '640.00', location: 'Dallas', class: 'Pumps'
+    }
+  },
+  {
+    fixture: 'creditmemo.html',
+    url: BASE + 'creditmemo?txnId=22',
+    expected: { num: '2210', customer: 'Bison Pumps', type: 'Credit Memo', total: '-150.00' }
+  },
+  {
+    fixture: 'bill.html',
+    url: BASE + 'bill?txnId=77',
+    expected: {
+      num: 'INV-7781', customer: 'Acme Supply Co.', type: 'Bill',
+      txndate: '2026-04-10', due: '2026-05-10'
+    }
+  },
+  {
+    fixture: 'refundreceipt.html',
+    url: BASE + 'refundreceipt',
+    expected: { num: '', customer: 'Gulf Coast Valves', type: 'Refund Receipt' }
+  },
+  {
+    fixture: 'check.html',
+    url: BASE + 'check?txnId=44',
+    expected: { num: '4410', customer: 'Lone Star Freight', type: 'Check', txndate: '2026-03-15' }
+  },
+  {
+    fixture: 'journal.html',
+    url: BASE + 'journal?txnId=12',
+    expected: { num: '12', customer: '', type: 'Journal Entry', txndate: '2026-06-30' }
+  }
+];
+
+const EMPTY = {
+  num: '', customer: '', type: '', txndate: '', due: '', total: '', balance: '',
+  ponum: '', memo: '', location: '', class: '', company: '', realmId: ''
+};
+
+for (let { fixture, url, expected } of CASES) {
+  test('readTransactionData: ' + fixture, () => {
+    let doc = loadFixture(fixture, url);
+    assert.deepEqual(readTransactionData(doc), { ...EMPTY, ...expected, url });
+  });
+}
+
+test('readTransactionData reads a report by its page and period', () => {
+  let url = BASE + 'reportv2?token=PANDL';
+  let doc = loadFixture('profitandloss.html', url);
+  assert.deepEqual(readTransactionData(doc), {
+    num: '', customer: '', type: 'Profit and Loss',
+    period: 'January 1 - June 30, 2026', company: 'Apex Industrial LLC', realmId: '', url
+  });
+
+  doc.querySelector('.dateRange').remove();
+  assert.equal(readTransactionData(doc).period, '2026-01-01 to 2026-06-30');
+});
+
+test('readTransactionData returns null before the form renders', () => {
+  let doc = loadFixture('blank.html', BASE + 'invoice?txnId=1');
+  assert.equal(readTransactionData(doc), null);
+});
+
+test('readRealmId reads the company id from the URL or the page', () => {
+  assert.equal(readRealmId(loadFixture('invoice.html', BASE + 'invoice?txnId=104&companyId=9130350196512345')), '9130350196512345');
+  assert.equal(readRealmId(loadFixture('invoice.html', BASE + 'invoice?realmId=4620816365')), '4620816365');
+
+  let doc = loadFixture('invoice.html', BASE + 'invoice?txnId=104');
+  assert.equal(readRealmId(doc), '');
+  doc.body.setAttribute('data-realm-id', '4620816365');
+  assert.equal(readRealmId(doc), '4620816365');
+  doc.body.setAttribute('data-realm-id', 'not-an-id');
+  assert.equal(readRealmId(doc), '');
+});
+
+test('parseDate normalizes US dates and passes other text through', () => {
+  assert.equal(parseDate('2/4/2026'), '2026-02-04');
+  assert.equal(parseDate('12/31/2025'), '2025-12-31');
+  assert.equal(parseDate('31.12.2025'), '31.12.2025');
+  assert.equal(parseDate(''), '');
+});
+
+test('parseDate reads the date order of the page\'s edition', () => {
+  // en-GB and fr-CA write the day first
+  assert.equal(parseDate('2/4/2026', 'DMY'), '2026-04-02');
+  assert.equal(parseDate('20/02/2026', 'DMY'), '2026-02-20');
+  assert.equal(parseDate('04/02/2026', 'DMY'), '2026-02-04');
+  // A part past 12 is the day in any order
+  assert.equal(parseDate('20/02/2026'), '2026-02-20');
+  assert.equal(parseDate('12/31/2025', 'DMY'), '2025-12-31');
+  assert.equal(parseDate('31/31/2025'), '31/31/2025');
+});
+
+test('parseAmount strips currency formatting', () => {
+  assert.equal(parseAmount('$1,234.56'), '1234.56');
+  assert.equal(parseAmount('-$20.00'), '-20.00');
+  assert.equal(parseAmount('n/a'), '');
+});
+
+test('parseAmount reads the decimal separator of the page\'s edition', () => {
+  // en-GB
+  assert.equal(parseAmount('\u00a31,234.56', '.'), '1234.56');
+  assert.equal(parseAmount('-\u00a320.00', '.'), '-20.00');
+  // fr-CA, with spaces (plain, no-break and narrow no-break) between thousands
+  assert.equal(parseAmount('1 234,56 $', ','), '1234.56');
+  assert.equal(parseAmount('1\u202f234\u202f567,80\u00a0$', ','), '1234567.80');
+  assert.equal(parseAmount('-20,00 $', ','), '-20.00');
+  // Edition unknown: a ',' with one or two digits after it is the decimal one
+  assert.equal(parseAmount('1 234,56 $'), '1234.56');
+  assert.equal(parseAmount('$1,234'), '1234');
+  assert.equal(parseAmount('$1,234.50'), '1234.50');
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFilename, filenameFor, overrideName, sanitizeSegment, baseName } from '../lib/filename.js';
+
+test('strips illegal characters and trailing dots', () => {
+  assert.equal(sanitizeSegment('A<B>:C"D|E?F*  G...'), 'ABCDEF G');
+  assert.equal(sanitizeSegment('..'), '');
+});
+
+test('slashes in values never create folders', () => {
+  let name = buildFilename('{customer}/{num}', { num: '1042', customer: 'A/B Pumps' });
+  assert.equal(name, 'AB Pumps/1042');
+});
+
+test('empty folder segments collapse', () => {
+  assert.equal(buildFilename('{ponum}/{num}', { num: '1042' }), '1042');
+});
+
+test('an unparseable saved format falls back to the default', () => {
+  assert.equal(buildFilename('{num', { num: '1042', customer: 'Bison' }), '1042 - Bison');
+});
+
+test('an empty result gets a placeholder name', () => {
+  assert.match(buildFilename('{customer}', {}), /^QBO_Document_\d+$/);
+});
+
+test('baseName drops folders', () => {
+  assert.equal(baseName('Invoices/2026/1042'), '1042');
+  assert.equal(baseName('1042'), '1042');
+});
+
+test('filenameFor applies the type format and date format', () => {
+  let settings = { format: '{num}', dateFormat: 'MM-DD-YYYY', typeFormats: { bill: 'Bills/{txndate} {num}' } };
+  assert.equal(filenameFor(settings, { type: 'Bill', num: '7', txndate: '2026-04-10' }), 'Bills/04-10-2026 7');
+  assert.equal(filenameFor(settings, { type: 'Invoice', num: '8' }), '8');
+});
+
+test('filenameFor names with the normalized customer', () => {
+  let settings = {
+    format: '{num} - {customer}',
+    typeFormats: { invoice: '{parent}/[{job} - ]{num}' },
+    stripSuffixes: true,
+    customerAliases: [{ from: 'Acme Supply Co.', to: 'Acme' }]
+  };
+  let data = { type: 'Invoice', num: '1044', customer: 'Bison Pumps, LLC (Houston Yard):Job 14' };
+  assert.equal(filenameFor(settings, data), 'Bison Pumps (Houston Yard)/Job 14 - 1044');
+  assert.equal(filenameFor(settings, { type: 'Bill', num: '7', customer: 'Acme Supply Co.' }), '7 - Acme');
+  assert.equal(filenameFor({ format: '{customer}' }, data), 'Bison Pumps, LLC (Houston Yard) - Job 14');
+});
+
+test('a long name loses its lowest-priority tokens first', () => {
+  let data = {
+    num: '1042', customer: 'Bison Pumps International Holdings', memo: 'Spring pump order for the yard',
+    txndate: '2026-02-20', maxLength: 54
+  };
+  let name = buildFilename('{num} - {customer}[ - {memo}] - {txndate}', data);
+  assert.equal(name, '1042 - Bison Pumps International Holdings - 2026-02-20');
+
+  name = buildFilename('{num} - {customer}[ - {memo}] - {txndate}', { ...data, maxLength: 40 });
+  assert.equal(name, '1042 - Bison Pumps Internat - 2026-02-20');
+  assert.ok(name.length <= 40);
+
+  // Nothing left to cut: the number stays whole
+  assert.equal(buildFilename('{num}', { num: '1234567890', maxLength: 5 }), '1234567890');
+});
+
+test('sanitizing options reach the name', () => {
+  let data = { num: '1042', customer: 'Café: Müller', asciiNames: true };
+  assert.equal(buildFilename('{num} - {customer}', data), '1042 - Cafe Muller');
+  assert.equal(buildFilename('{num} - {customer}', { ...data, asciiNames: false, targetOs: 'linux' }), '1042 - Café Müller');
+  assert.equal(buildFilename('{customer}/{num}', { num: '7', customer: 'AUX' }), 'AUX_/7');
+});
+
+test('a typed name is cleaned up like any file name', () => {
+  let settings = { targetOs: 'windows', asciiNames: false };
+  assert.equal(overrideName(settings, '  Q1: Bison/Pumps.PDF '), 'Q1 BisonPumps');
+  assert.equal(overrideName({ ...settings, asciiNames: true }, 'Café'), 'Cafe');
+  assert.equal(overrideName(settings, ' .pdf'), '');
+  assert.equal(overrideName(settings, undefined), '');
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatToPieces, piecesToFormat, toggleOptional, movePiece, escapeFormatText
+} from '../lib/format-builder.js';
+
+const roundTrip = (format) => piecesToFormat(formatToPieces(format));
+
+test('formats survive a round trip through pieces', () => {
+  for (let format of [
+    '{num}[ - {customer}]',
+    '[{customer} - ]{num}',
+    '{type|abbr} {num|pad:6}[ PO {ponum}][ - {customer|max:30}]',
+    '{customer}/{type} {num}'
+  ]) {
+    assert.equal(roundTrip(format), format);
+  }
+});
+
+test('pieces carry their optional section', () => {
+  assert.deepEqual(formatToPieces('{num}[ - {customer}]'), [
+    { kind: 'token', name: 'num', mods: [], group: null },
+    { kind: 'text', value: ' - ', group: 1 },
+    { kind: 'token', name: 'customer', mods: [], group: 1 }
+  ]);
+});
+
+test('neighbouring sections stay separate', () => {
+  assert.equal(roundTrip('{num}[ ({ponum})][ - {customer}]'), '{num}[ ({ponum})][ - {customer}]');
+});
+
+test('text is escaped', () => {
+  assert.equal(escapeFormatText('[a] {b} \\'), '\\[a\\] \\{b\\} \\\\');
+  assert.equal(roundTrip('\\[{num}\\]'), '\\[{num}\\]');
+});
+
+test('nested sections have no flat form', () => {
+  assert.equal(formatToPieces('{num}[ ({ponum}[ {customer}])]'), null);
+  assert.throws(() => formatToPieces('{num'));
+});
+
+test('toggleOptional joins the section next to it and splits it again', () => {
+  let pieces = formatToPieces('{num}[ - {customer}] {date}');
+  assert.equal(piecesToFormat(toggleOptional(pieces, 3)), '{num}[ - {customer} ]{date}');
+  assert.equal(piecesToFormat(toggleOptional(pieces, 0)), '[{num} - {customer}] {date}');
+  assert.equal(piecesToFormat(toggleOptional(pieces, 1)), '{num} - [{customer}] {date}');
+
+  let plain = formatToPieces('{num} {date}');
+  assert.equal(piecesToFormat(toggleOptional(plain, 1)), '{num}[ ]{date}');
+  assert.equal(plain[1].group, null, 'the original list is untouched');
+});
+
+test('movePiece moves before the target index', () => {
+  let pieces = formatToPieces('{num} - {customer}');
+  assert.equal(piecesToFormat(movePiece(pieces, 2, 0)), '{customer}{num} - ');
+  assert.equal(piecesToFormat(movePiece(pieces, 0, 3)), ' - {customer}{num}');
+  assert.equal(piecesToFormat(movePiece(pieces, 0, 2)), ' - {num}{customer}');
+});
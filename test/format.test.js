@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  renderFormat, validateFormat, formatUsesToken, formatDate, typeSlug, formatForType, tokenValues
+} from '../lib/format.js';
+
+const VALUES = { num: '1042', customer: 'Bison Pumps', type: 'Invoice', total: '3200.50', ponum: '' };
+
+test('renders tokens and plain text', () => {
+  assert.equal(renderFormat('{type} {num} - {customer}', VALUES), 'Invoice 1042 - Bison Pumps');
+});
+
+test('optional sections drop when a token inside is empty', () => {
+  assert.equal(renderFormat('{num}[ PO {ponum}][ - {customer}]', VALUES), '1042 - Bison Pumps');
+  assert.equal(renderFormat('{num}[ ({ponum}[ {customer}])]', VALUES), '1042');
+});
+
+test('backslash escapes brackets and braces', () => {
+  assert.equal(renderFormat('\\[{num}\\] \\{x\\}', VALUES), '[1042] {x}');
+});
+
+test('modifiers', () => {
+  assert.equal(renderFormat('{customer|upper}', VALUES), 'BISON PUMPS');
+  assert.equal(renderFormat('{customer|slug}', { customer: 'Café & Co.' }), 'cafe-co');
+  assert.equal(renderFormat('{customer|max:5}', VALUES), 'Bison');
+  assert.equal(renderFormat('{num|pad:6}', VALUES), '001042');
+  assert.equal(renderFormat('{type|abbr}', VALUES), 'INV');
+  assert.equal(renderFormat('{type|abbr}', { type: 'Journal Entry' }), 'JE');
+});
+
+test('validateFormat reports the position of syntax errors', () => {
+  assert.equal(validateFormat('{num}[ - {customer}]'), '');
+  assert.match(validateFormat('{num'), /Unclosed "\{" \(at position 1\)/);
+  assert.match(validateFormat('{num} ]'), /Unmatched "\]" \(at position 7\)/);
+  assert.match(validateFormat('{nope}'), /Unknown token \{nope\}/);
+  assert.match(validateFormat('{num|max}'), /needs a positive number/);
+  assert.match(validateFormat('{num|upper:3}'), /takes no value/);
+});
+
+test('formatUsesToken looks inside optional sections', () => {
+  assert.equal(formatUsesToken('{num}[ - {customer}]', 'customer'), true);
+  assert.equal(formatUsesToken('{num}', 'customer'), false);
+  assert.equal(formatUsesToken('{num', 'num'), false);
+});
+
+test('formatDate keeps ISO dates on the calendar day', () => {
+  assert.equal(formatDate('MM-DD-YYYY', '2026-02-20'), '02-20-2026');
+  assert.equal(formatDate('YYYYMMDD', new Date(2026, 0, 5)), '20260105');
+  assert.equal(formatDate('YYYY-MM-DD', 'Feb 20'), 'Feb 20');
+});
+
+test('{year} is the transaction date\'s year, else this year', () => {
+  assert.equal(tokenValues({ txndate: '2025-12-31' }, 'MM/DD/YYYY').year, '2025');
+  assert.equal(tokenValues({ txndate: 'Dec 31' }).year, String(new Date().getFullYear()));
+  assert.equal(tokenValues({}).year, String(new Date().getFullYear()));
+});
+
+test('per-type format falls back to the global format', () => {
+  let settings = { format: '{num}', typeFormats: { purchaseorder: 'PO/{num}', bill: '  ' } };
+  assert.equal(typeSlug('Purchase Order'), 'purchaseorder');
+  assert.equal(formatForType(settings, 'Purchase Order'), 'PO/{num}');
+  assert.equal(formatForType(settings, 'Bill'), '{num}');
+  assert.equal(formatForType(settings, 'Invoice'), '{num}');
+});
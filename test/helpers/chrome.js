@@ -0,0 +1,153 @@
+import { readFileSync } from 'node:fs';
+
+// In-memory stand-in for the chrome.* APIs the lib/ modules touch. Each test
+// installs a fresh one on globalThis and inspects what was recorded.
+
+const MESSAGES = JSON.parse(readFileSync(new URL('../../_locales/en/messages.json', import.meta.url), 'utf8'));
+
+// chrome.i18n.getMessage over the English messages, placeholders included
+function getMessage(key, substitutions = []) {
+  let entry = MESSAGES[key];
+  if (!entry) return '';
+  let subs = [].concat(substitutions);
+  let text = entry.message.replace(/\$(\w+)\$/g, (_, name) => entry.placeholders?.[name.toLowerCase()]?.content ?? '');
+  return text.replace(/\$(\d)/g, (_, n) => subs[n - 1] ?? '');
+}
+
+function createStorageArea() {
+  let data = {};
+  let listeners = [];
+
+  return {
+    data,
+    async get(keys) {
+      if (keys == null) return structuredClone(data);
+      if (typeof keys === 'string') keys = [keys];
+      let result = {};
+      if (Array.isArray(keys)) {
+        for (let key of keys) if (key in data) result[key] = structuredClone(data[key]);
+      } else {
+        for (let [key, fallback] of Object.entries(keys)) {
+          result[key] = key in data ? structuredClone(data[key]) : fallback;
+        }
+      }
+      return result;
+    },
+    async set(items) {
+      for (let [key, value] of Object.entries(items)) data[key] = structuredClone(value);
+    },
+    async remove(keys) {
+      for (let key of [].concat(keys)) delete data[key];
+    },
+    setAccessLevel() {},
+    onChanged: { addListener: (fn) => listeners.push(fn) }
+  };
+}
+
+function createEvent() {
+  let listeners = [];
+  return {
+    listeners,
+    addListener: (fn) => listeners.push(fn),
+    removeListener: (fn) => listeners.splice(listeners.indexOf(fn), 1)
+  };
+}
+
+export function installChrome() {
+  let calls = {
+    sendMessage: [],
+    executeScript: [],
+    badge: [],
+    titles: [],
+    notifications: [],
+    createdTabs: [],
+    downloads: [],
+    opened: [],
+    shown: [],
+    cancelled: [],
+    erased: []
+  };
+
+  // Tests set tabs.responders[tabId] = (msg) => response to fake a content script
+  let responders = {};
+
+  let chrome = {
+    calls,
+    storage: {
+      sync: createStorageArea(),
+      local: createStorageArea(),
+      session: createStorageArea(),
+      managed: createStorageArea(),
+      onChanged: createEvent()
+    },
+    tabs: {
+      responders,
+      async sendMessage(tabId, msg) {
+        calls.sendMessage.push({ tabId, msg });
+        let responder = responders[tabId];
+        if (!responder) throw new Error('Could not establish connection. Receiving end does not exist.');
+        return responder(msg);
+      },
+      async query() { return []; },
+      async create(props) {
+        let tab = { id: 1000 + calls.createdTabs.length, ...props };
+        calls.createdTabs.push(tab);
+        return tab;
+      },
+      async update(tabId, props) { return { id: tabId, ...props }; },
+      async remove() {},
+      onUpdated: createEvent(),
+      onRemoved: createEvent()
+    },
+    scripting: {
+      async executeScript(details) {
+        calls.executeScript.push(details);
+        return [{ result: undefined }];
+      }
+    },
+    downloads: {
+      async search() { return []; },
+      show: (id) => calls.shown.push(id),
+      async open(id) { calls.opened.push(id); },
+      async download(options) {
+        calls.downloads.push(options);
+        return 100 + calls.downloads.length;
+      },
+      async cancel(id) { calls.cancelled.push(id); },
+      async erase(query) { calls.erased.push(query); return [query.id]; },
+      onDeterminingFilename: createEvent(),
+      onChanged: createEvent()
+    },
+    action: {
+      setBadgeText: (details) => calls.badge.push(details),
+      setBadgeBackgroundColor() {},
+      setTitle: (details) => calls.titles.push(details)
+    },
+    notifications: {
+      // create(options) or create(id, options)
+      create: (id, options) => calls.notifications.push(typeof id === 'string' ? { id, ...options } : id),
+      clear() {}
+    },
+    i18n: {
+      getMessage,
+      getUILanguage: () => 'en-US'
+    },
+    runtime: {
+      id: 'apex',
+      getURL: (path) => 'chrome-extension://apex/' + path,
+      getManifest: () => ({ version: '0.0.0-test', action: { default_title: 'Apex Explorer' } }),
+      sendMessage: async () => undefined,
+      onMessage: createEvent()
+    }
+  };
+
+  globalThis.chrome = chrome;
+  return chrome;
+}
+
+// Run an onDeterminingFilename-style call and capture what was suggested
+export function suggestRecorder() {
+  let suggestions = [];
+  let suggest = (s) => suggestions.push(s);
+  return { suggest, suggestions };
+}
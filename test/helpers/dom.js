@@ -0,0 +1,19 @@
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+// Load a saved QBO page from test/fixtures into jsdom at the URL it came from
+export function loadFixture(name, url) {
+  let html = readFileSync(new URL('../fixtures/' + name, import.meta.url), 'utf8');
+  let dom = new JSDOM(html, { url });
+  polyfillInnerText(dom.window);
+  return dom.window.document;
+}
+
+// jsdom has no layout, so no innerText; the extraction code reads it for
+// headers and totals. textContent with collapsed whitespace is close enough.
+function polyfillInnerText(window) {
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    get() { return this.textContent.replace(/\s+/g, ' ').trim(); },
+    configurable: true
+  });
+}
@@ -0,0 +1,84 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { installChrome } from './helpers/chrome.js';
+import { t, localizePage } from '../lib/i18n.js';
+
+const read = (path) => readFileSync(new URL('../' + path, import.meta.url), 'utf8');
+const en = JSON.parse(read('_locales/en/messages.json'));
+const fr = JSON.parse(read('_locales/fr/messages.json'));
+
+beforeEach(() => {
+  installChrome();
+});
+
+test('every language has every message and placeholder', () => {
+  assert.deepEqual(Object.keys(fr).sort(), Object.keys(en).sort());
+  for (let [key, entry] of Object.entries(en)) {
+    assert.deepEqual(Object.keys(fr[key].placeholders || {}), Object.keys(entry.placeholders || {}), key);
+  }
+});
+
+test('every key the popup uses exists', () => {
+  let html = read('popup.html');
+  let js = read('popup.js');
+  let keys = [
+    ...html.matchAll(/data-i18n(?:-[\w-]+)?="(\w+)"/g),
+    ...js.matchAll(/\bt\('(\w+)'/g),
+    ...js.matchAll(/: '((?:source|health|via|conflictShort)\w+)'/g)
+  ].map(match => match[1]);
+
+  assert.ok(keys.length > 50);
+  for (let key of keys) assert.ok(en[key], 'missing message ' + key);
+});
+
+test('every key the options page uses exists', () => {
+  let html = read('options.html');
+  let js = read('options.js');
+  let keys = [
+    ...html.matchAll(/data-i18n(?:-[\w-]+)?="(\w+)"/g),
+    ...js.matchAll(/\bt\('(\w+)'/g),
+    ...js.matchAll(/: '((?:chip|token|sample)\w+)'/g)
+  ].map(match => match[1]);
+
+  assert.ok(keys.length > 40);
+  for (let key of keys) assert.ok(en[key], 'missing message ' + key);
+});
+
+test('every key the selector rules page uses exists', () => {
+  let html = read('rules.html');
+  let js = read('rules.js');
+  let keys = [
+    ...html.matchAll(/data-i18n(?:-[\w-]+)?="(\w+)"/g),
+    ...js.matchAll(/\bt\('(\w+)'/g),
+    ...js.matchAll(/: '(rule(?:Field|Menu)\w+)'/g)
+  ].map(match => match[1]);
+
+  assert.ok(keys.length > 40);
+  for (let key of keys) assert.ok(en[key], 'missing message ' + key);
+});
+
+test('every key the page toolbar uses exists', () => {
+  let keys = [...read('content.js').matchAll(/\bt\('(\w+)'/g)].map(match => match[1]);
+  assert.ok(keys.length > 10);
+  for (let key of keys) assert.ok(en[key], 'missing message ' + key);
+});
+
+test('t fills in placeholders and falls back to the key', () => {
+  assert.equal(t('historyMore', '12'), '12 more — refine the search or export CSV');
+  assert.equal(t('noSuchMessage'), 'noSuchMessage');
+});
+
+test('localizePage sets text and attributes', () => {
+  let { document } = new JSDOM(`
+    <div data-i18n="livePreview">x</div>
+    <input data-i18n-placeholder="historySearch">
+    <button data-i18n-title="chipNumTitle" data-i18n-aria-label="enableExtension"></button>`).window;
+  localizePage(document);
+
+  assert.equal(document.querySelector('div').textContent, 'Live Preview');
+  assert.equal(document.querySelector('input').placeholder, 'Search filename, customer, number…');
+  assert.equal(document.querySelector('button').title, 'Transaction number');
+  assert.equal(document.querySelector('button').getAttribute('aria-label'), 'Enable extension');
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome.js';
+import { matchIntent, pageDataFor, queueIntent, updateIntent, setTabTransaction, clearTabTransaction } from '../lib/intents.js';
+
+const now = Date.now();
+
+function click(tabId, num, extra = {}) {
+  return {
+    id: 'c' + tabId + num, kind: 'click', action: 'download', tabId, timestamp: now,
+    data: { num, customer: 'Customer ' + tabId, url: 'https://qbo.intuit.com/app/invoice?txnId=' + tabId },
+    ...extra
+  };
+}
+
+test('blob URL matches exactly', () => {
+  let blob = { ...click(1, '1'), id: 'b', kind: 'blob', action: 'print', blobUrl: 'blob:https://qbo.intuit.com/x' };
+  let match = matchIntent({ url: 'blob:https://qbo.intuit.com/x', filename: 'Invoice 2.pdf' }, [click(2, '2'), blob]);
+  assert.equal(match.confidence, 'exact');
+  assert.equal(match.intent.id, 'b');
+});
+
+test('the filename number rules out other transactions', () => {
+  let match = matchIntent({ filename: 'Invoice 2.pdf' }, [click(1, '1'), click(2, '2')]);
+  assert.equal(match.confidence, 'high');
+  assert.equal(match.intent.tabId, 2);
+});
+
+test('the referrer picks the tab', () => {
+  let item = { filename: 'download.pdf', referrer: 'https://qbo.intuit.com/app/invoice?txnId=1' };
+  let match = matchIntent(item, [click(1, '1'), click(2, '2')]);
+  assert.equal(match.confidence, 'high');
+  assert.equal(match.intent.tabId, 1);
+});
+
+test('a lone candidate is medium confidence', () => {
+  let match = matchIntent({ filename: 'download.pdf' }, [click(1, '1')]);
+  assert.equal(match.confidence, 'medium');
+});
+
+test('candidates from several tabs are ambiguous', () => {
+  let match = matchIntent({ filename: 'download.pdf' }, [click(1, '1'), click(2, '2')]);
+  assert.deepEqual(match, { intent: null, confidence: 'low', tabIds: [1, 2] });
+});
+
+test('download clicks win over print clicks', () => {
+  let match = matchIntent({ filename: 'download.pdf' }, [click(1, '1'), click(2, '2', { action: 'print' })]);
+  assert.equal(match.intent.tabId, 1);
+});
+
+test('expired intents are ignored', () => {
+  assert.equal(matchIntent({ filename: 'download.pdf' }, [click(1, '1', { timestamp: now - 60000 })]), null);
+});
+
+test('pageDataFor only answers when one tab fits', () => {
+  let tabs = { 1: { num: '1', url: 'u1' }, 2: { num: '2', url: 'u2' } };
+  assert.equal(pageDataFor({ filename: 'Invoice 2.pdf' }, tabs).num, '2');
+  assert.equal(pageDataFor({ filename: 'x.pdf', referrer: 'u1' }, tabs).num, '1');
+  assert.equal(pageDataFor({ filename: 'x.pdf' }, tabs), null);
+  assert.equal(pageDataFor({ filename: 'Invoice 9.pdf' }, { 1: tabs[1] }), null);
+  assert.equal(pageDataFor({ filename: 'x.pdf' }, { 1: tabs[1] }), null);
+  assert.equal(pageDataFor({ filename: 'Balance Sheet.pdf' }, { 1: tabs[1] }), null);
+});
+
+test('a repeat click in one tab replaces the one before it', async () => {
+  let chrome = installChrome();
+  let data = { num: '1' };
+  await queueIntent({ kind: 'click', action: 'download', tabId: 1, data, override: 'Typed' });
+  await queueIntent({ kind: 'click', action: 'download', tabId: 1, data, override: 'Typed' });
+  await queueIntent({ kind: 'click', action: 'print', tabId: 1, data });
+  await queueIntent({ kind: 'click', action: 'download', tabId: 2, data });
+
+  let intents = chrome.storage.session.data.renameIntents;
+  assert.deepEqual(intents.map(i => [i.tabId, i.action]), [[1, 'download'], [1, 'print'], [2, 'download']]);
+});
+
+test('a click\'s intent takes the settled data, unless it is gone', async () => {
+  let chrome = installChrome();
+  await queueIntent({ kind: 'click', action: 'download', tabId: 1, clickId: 'k1', data: { num: '1', customer: 'Old' } });
+  await updateIntent(1, 'k1', { num: '1', customer: 'New' });
+  assert.equal(chrome.storage.session.data.renameIntents[0].data.customer, 'New');
+
+  // Another tab's click, and a click replaced by a repeat one, stay as they are
+  await updateIntent(2, 'k1', { num: '1', customer: 'Wrong tab' });
+  await queueIntent({ kind: 'click', action: 'download', tabId: 1, clickId: 'k2', data: { num: '1', customer: 'Twin' } });
+  await updateIntent(1, 'k1', { num: '1', customer: 'Late' });
+  assert.deepEqual(chrome.storage.session.data.renameIntents.map(i => i.data.customer), ['Twin']);
+});
+
+test('a tab snapshot older than the one stored is dropped', async () => {
+  let chrome = installChrome();
+  await setTabTransaction(3, { num: '2' }, { page: 'a', version: 2 });
+  await setTabTransaction(3, { num: '1' }, { page: 'a', version: 1 });
+  assert.equal(chrome.storage.session.data.tabTransactions[3].num, '2');
+
+  // A reloaded page starts counting again
+  await setTabTransaction(3, { num: '3' }, { page: 'b', version: 1 });
+  assert.equal(chrome.storage.session.data.tabTransactions[3].num, '3');
+  await clearTabTransaction(3);
+});
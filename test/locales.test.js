@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { QBO_LOCALES, typeFromNumberLabel, pageLocale, numberFormat } from '../lib/locales.js';
+import { DOC_TYPES, docTypeForLabel, docTypeNames, parseQboFilename, typeLabelIn } from '../lib/doc-types.js';
+import { readTransactionData } from '../lib/extract.js';
+import { DEFAULT_MENU, menuAction, SEND_BUTTON } from '../lib/selector-rules.js';
+import { filenameFor } from '../lib/filename.js';
+
+test('locale packs only name registry types', () => {
+  let slugs = DOC_TYPES.map(type => type.slug);
+  for (let [language, pack] of Object.entries(QBO_LOCALES)) {
+    for (let slug of Object.keys(pack.types)) assert.ok(slugs.includes(slug), language + ': ' + slug);
+  }
+});
+
+test('no name means two different types', () => {
+  let seen = new Map();
+  for (let type of DOC_TYPES) {
+    for (let name of docTypeNames(type)) {
+      let key = name.toLowerCase();
+      assert.ok(!seen.has(key) || seen.get(key) === type.slug, name + ' is ' + seen.get(key) + ' and ' + type.slug);
+      seen.set(key, type.slug);
+    }
+  }
+});
+
+test('localized names resolve to the registry type', () => {
+  assert.equal(docTypeForLabel('Quote').slug, 'estimate');
+  assert.equal(docTypeForLabel('Tax Invoice').slug, 'invoice');
+  assert.equal(docTypeForLabel('facture').slug, 'invoice');
+  assert.equal(docTypeForLabel('Facture fournisseur').slug, 'bill');
+  assert.equal(docTypeForLabel('Écriture de journal').slug, 'journal');
+});
+
+test('QBO filenames parse in any locale', () => {
+  assert.deepEqual(parseQboFilename('Quote 1001.pdf'), { type: 'Estimate', num: '1001', customer: '' });
+  assert.deepEqual(parseQboFilename('Facture 1042.pdf'), { type: 'Invoice', num: '1042', customer: '' });
+  assert.deepEqual(parseQboFilename('Facture fournisseur 77.pdf'), { type: 'Bill', num: '77', customer: '' });
+  assert.deepEqual(parseQboFilename('État des résultats.pdf'), { type: 'Profit and Loss', num: '', customer: '' });
+});
+
+test('the type is read out of localized number labels', () => {
+  assert.equal(typeFromNumberLabel('Invoice number'), 'Invoice');
+  assert.equal(typeFromNumberLabel('Tax Invoice no.'), 'Tax Invoice');
+  assert.equal(typeFromNumberLabel('Numéro de facture'), 'facture');
+  assert.equal(typeFromNumberLabel('N° d’avoir'), 'avoir');
+  assert.equal(typeFromNumberLabel('Casino'), 'Casino');
+});
+
+test('a French invoice is read with its canonical type', () => {
+  let dom = new JSDOM(`
+    <div data-automation-id="RethinkLayout_header">Facture</div>
+    <label for="c">Client</label><input id="c" aria-label="Client" value="Bison Pompes">
+    <label for="d">Échéance</label><input id="d" value="04/02/2026">
+    <input data-automation-id="reference_number" aria-label="Numéro de facture" value="1042">`,
+  { url: 'https://qbo.intuit.com/app/invoice?txnId=104' });
+
+  let data = readTransactionData(dom.window.document);
+  assert.equal(data.type, 'Invoice');
+  assert.equal(data.num, '1042');
+  assert.equal(data.customer, 'Bison Pompes');
+  assert.equal(data.due, '2026-04-02');
+});
+
+test('a page in a French edition is read with its dates and amounts', () => {
+  let dom = new JSDOM(`<html lang="fr-CA"><body>
+    <input data-automation-id="reference_number" aria-label="Num\u00e9ro de facture" value="1042">
+    <label for="c">Client</label><input id="c" aria-label="Client" value="Bison Pompes">
+    <label for="d">\u00c9ch\u00e9ance</label><input id="d" value="04/02/2026">
+    <label for="t">Total</label><input id="t" value="1\u00a0234,56\u00a0$">
+    <label for="b">Solde d\u00fb</label><input id="b" value="-20,00 $">
+  </body></html>`, { url: 'https://qbo.intuit.com/app/invoice?txnId=104' });
+
+  let data = readTransactionData(dom.window.document);
+  assert.equal(data.due, '2026-02-04');
+  assert.equal(data.total, '1234.56');
+  assert.equal(data.balance, '-20.00');
+});
+
+test('the page language picks the pack, exactly or by language', () => {
+  let page = (lang) => new JSDOM(lang == null ? '' : `<html lang="${lang}"></html>`).window.document;
+  assert.equal(pageLocale(page('en-GB')), 'en-GB');
+  assert.equal(pageLocale(page('fr-ca')), 'fr-CA');
+  assert.equal(pageLocale(page('fr')), 'fr-CA');
+  assert.equal(pageLocale(page('de-DE')), '');
+  assert.equal(pageLocale(page(null)), '');
+
+  assert.deepEqual(numberFormat(page('en-US')), { dates: 'MDY', decimal: '.' });
+  assert.deepEqual(numberFormat(page('en-GB')), { dates: 'DMY', decimal: '.' });
+  assert.deepEqual(numberFormat(page('fr-FR')), { dates: 'DMY', decimal: ',' });
+  assert.deepEqual(numberFormat(page(null)), { dates: 'MDY', decimal: '' });
+});
+
+test('menu entries match in any locale', () => {
+  assert.equal(menuAction(DEFAULT_MENU, 'Télécharger'), 'download');
+  assert.equal(menuAction(DEFAULT_MENU, 'Imprimer'), 'print');
+  assert.equal(menuAction(DEFAULT_MENU, 'Download'), 'download');
+  assert.equal(menuAction(DEFAULT_MENU, 'Print packing slip'), '');
+  assert.ok(SEND_BUTTON.test('Enregistrer et envoyer'));
+  assert.ok(SEND_BUTTON.test('Save and send'));
+});
+
+test('{type} renders in the chosen language', () => {
+  assert.equal(typeLabelIn('en-GB', 'Estimate'), 'Quote');
+  assert.equal(typeLabelIn('fr-CA', 'Quote'), 'Devis');
+  assert.equal(typeLabelIn('en-GB', 'Invoice'), 'Invoice');
+  assert.equal(typeLabelIn('xx', 'Estimate'), 'Estimate');
+  assert.equal(typeLabelIn('fr-FR', 'Timesheet'), 'Timesheet');
+
+  let settings = { format: '{type} {num} {type|abbr}', typeLanguage: 'fr-FR' };
+  assert.equal(filenameFor(settings, { type: 'Credit Memo', num: '5' }), 'Avoir 5 CM');
+});
@@ -0,0 +1,201 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome, suggestRecorder } from './helpers/chrome.js';
+import { DEFAULTS } from '../lib/settings.js';
+import { renameDownload } from '../lib/rename.js';
+import { pdfInfoFor, setPdfInfo, bytesToBinary, binaryToBytes } from '../lib/pdf-metadata.js';
+
+const NOW = new Date('2026-02-03T04:05:06Z');
+const BLOB_URL = 'blob:https://qbo.intuit.com/3f1c';
+const INVOICE = { num: '1042', customer: 'Bison Pumps, LLC', type: 'Invoice', total: '3200.50' };
+
+// A small PDF with a classic cross-reference table and correct offsets
+function classicPdf(info = '<< /Producer (QuickBooks \\(PDF\\)) /Title (Invoice_1042) >>', extra = '') {
+  let objects = ['<< /Type /Catalog /Pages 2 0 R >>', '<< /Type /Pages /Kids [] /Count 0 >>', info];
+  let text = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  let offsets = objects.map((body, i) => {
+    let offset = text.length;
+    text += (i + 1) + ' 0 obj\n' + body + '\nendobj\n';
+    return offset;
+  });
+  let xref = text.length;
+  text += 'xref\n0 4\n0000000000 65535 f \n' + offsets.map(o => String(o).padStart(10, '0') + ' 00000 n \n').join('')
+    + 'trailer\n<< /Size 4 /Root 1 0 R /Info 3 0 R /ID [<0A1B> <0A1B>]' + extra + ' >>\nstartxref\n' + xref + '\n%%EOF\n';
+  return binaryToBytes(text);
+}
+
+// The object a cross-reference entry points at
+function objectAt(text, offset) {
+  return text.slice(offset, text.indexOf('endobj', offset));
+}
+
+test('properties come from the name and the transaction', () => {
+  assert.deepEqual(pdfInfoFor('Clients/1042 - Bison Pumps, LLC.pdf', INVOICE), {
+    Title: '1042 - Bison Pumps, LLC',
+    Author: 'Bison Pumps, LLC',
+    Subject: 'Invoice 1042',
+    Keywords: '1042, Bison Pumps, LLC, Invoice, 3200.50'
+  });
+  assert.equal(pdfInfoFor('JE 7.pdf', { num: '7', type: 'Journal Entry' }).Keywords, '7, Journal Entry');
+});
+
+test('an incremental update adds the new Info after the original file', () => {
+  let original = classicPdf();
+  let updated = setPdfInfo(original, pdfInfoFor('1042 - Bison (Pumps).pdf', INVOICE), NOW);
+  let text = bytesToBinary(updated);
+
+  assert.deepEqual(updated.subarray(0, original.length), original);
+  let update = text.slice(original.length);
+  let [, infoOffset] = /xref\n4 1\n(\d{10}) 00000 n \n/.exec(update);
+  assert.equal(objectAt(text, Number(infoOffset)),
+    '4 0 obj\n<< /Producer (QuickBooks \\(PDF\\)) /Title (1042 - Bison \\(Pumps\\)) /Author (Bison Pumps, LLC)'
+    + ' /Subject (Invoice 1042) /Keywords (1042, Bison Pumps, LLC, Invoice, 3200.50) /ModDate (D:20260203040506Z) >>\n');
+
+  let prev = /startxref\n(\d+)/.exec(bytesToBinary(original))[1];
+  assert.match(update, new RegExp('trailer\\n<< /Size 5 /Root 1 0 R /Info 4 0 R /ID \\[<0A1B> <0A1B>\\] /Prev ' + prev + ' >>\\n'));
+  let startxref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(update)[1]);
+  assert.ok(text.startsWith('xref\n4 1\n', startxref));
+  // Every entry is exactly 20 bytes
+  assert.equal(update.slice(update.indexOf('xref\n4 1\n') + 9).indexOf('trailer'), 20);
+});
+
+test('an updated file can be updated again, keeping what it does not set', () => {
+  let once = setPdfInfo(classicPdf(), pdfInfoFor('1042.pdf', INVOICE), NOW);
+  let twice = bytesToBinary(setPdfInfo(once, { Title: 'Renamed' }, NOW));
+  let [, infoOffset] = /xref\n5 1\n(\d{10})/.exec(twice);
+  let info = objectAt(twice, Number(infoOffset));
+
+  assert.match(info, /^5 0 obj\n<< \/Producer \(QuickBooks \\\(PDF\\\)\) \/Author \(Bison Pumps, LLC\) /);
+  assert.match(info, /\/Title \(Renamed\) \/ModDate/);
+  assert.match(twice, /\/Size 6 \/Root 1 0 R \/Info 5 0 R/);
+});
+
+test('text outside ASCII is written as UTF-16', () => {
+  let text = bytesToBinary(setPdfInfo(classicPdf(), { Title: 'Café 🔧', Author: '' }, NOW));
+  assert.match(text, /\/Title <FEFF00430061006600E90020D83DDD27> \/ModDate/);
+  assert.doesNotMatch(text.slice(-400), /\/Author/);
+});
+
+test('files with a cross-reference stream get one too', () => {
+  let text = '%PDF-1.5\n1 0 obj\n<< /Type /Catalog >>\nendobj\n';
+  let xref = text.length;
+  text += '2 0 obj\n<< /Type /XRef /Size 3 /Root 1 0 R /W [1 2 1] /Filter /FlateDecode /Length 4 >>\nstream\n\x01\x02\x03\x04\nendstream\nendobj\n'
+    + 'startxref\n' + xref + '\n%%EOF\n';
+
+  let updated = bytesToBinary(setPdfInfo(binaryToBytes(text), { Title: '1042' }, NOW));
+  let update = updated.slice(text.length);
+  let startxref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(update)[1]);
+  assert.ok(updated.startsWith('4 0 obj\n<< /Type /XRef /Size 5 /Root 1 0 R /Info 3 0 R /Prev ' + xref
+    + ' /Index [3 2] /W [1 4 2] /Length 14 >>\nstream\n', startxref));
+
+  let rows = binaryToBytes(updated.slice(updated.indexOf('stream\n', startxref) + 7)).subarray(0, 14);
+  let offsets = [0, 7].map(at => new DataView(rows.buffer, rows.byteOffset + at + 1, 4).getUint32(0));
+  assert.deepEqual([rows[0], rows[7]], [1, 1]);
+  assert.ok(updated.startsWith('3 0 obj\n<< /Title (1042)', offsets[0]));
+  assert.equal(offsets[1], startxref);
+});
+
+test('encrypted and broken files are refused', () => {
+  assert.throws(() => setPdfInfo(binaryToBytes('<html>'), {}), { message: 'Not a PDF' });
+  assert.throws(() => setPdfInfo(classicPdf(undefined, ' /Encrypt 9 0 R'), {}), { message: 'The PDF is encrypted' });
+  assert.throws(() => setPdfInfo(binaryToBytes('%PDF-1.4\n1 0 obj\n<< >>\nendobj\n'), {}), /no cross-reference/);
+  let truncated = bytesToBinary(classicPdf()).replace(/startxref\n\d+/, 'startxref\n3');
+  assert.throws(() => setPdfInfo(binaryToBytes(truncated), {}), /offset is wrong/);
+});
+
+// -- Saving with properties --
+
+let chrome;
+
+beforeEach(async () => {
+  chrome = installChrome();
+  // notifyMode 'off' keeps the badge timer from holding the test run open
+  await chrome.storage.sync.set({ ...DEFAULTS, notifyMode: 'off', pdfMetadata: true });
+  await chrome.storage.session.set({
+    renameIntents: [{ id: 'a', kind: 'click', action: 'download', tabId: 7, timestamp: Date.now(), data: INVOICE }]
+  });
+});
+
+async function download(id) {
+  let { suggest, suggestions } = suggestRecorder();
+  await renameDownload({ id, url: BLOB_URL, filename: 'Invoice_1042.pdf' }, suggest);
+  await new Promise(r => setTimeout(r, 0));
+  return suggestions;
+}
+
+function servePdf(result) {
+  chrome.scripting.executeScript = async (details) => {
+    chrome.calls.executeScript.push(details);
+    return [{ result }];
+  };
+}
+
+test('the download is replaced by a copy with its properties', async () => {
+  servePdf({ base64: btoa(bytesToBinary(classicPdf())) });
+  let suggestions = await download(5);
+
+  assert.deepEqual(chrome.calls.executeScript.map(call => [call.target.tabId, call.args]), [[7, [BLOB_URL]]]);
+  assert.deepEqual(chrome.calls.cancelled, [5]);
+  assert.deepEqual(chrome.calls.erased, [{ id: 5 }]);
+  assert.deepEqual(suggestions, [{ filename: 'Invoice_1042.pdf' }]);
+
+  let [copy] = chrome.calls.downloads;
+  assert.equal(copy.filename, '1042 - Bison Pumps, LLC.pdf');
+  assert.equal(copy.conflictAction, 'uniquify');
+  let pdf = atob(copy.url.replace('data:application/pdf;base64,', ''));
+  assert.match(pdf, /\/Title \(1042 - Bison Pumps, LLC\) \/Author \(Bison Pumps, LLC\)/);
+
+  // History follows the copy
+  let [entry] = chrome.storage.local.data.renameHistory;
+  assert.equal(entry.downloadId, 101);
+  assert.equal('metadataError' in entry, false);
+});
+
+test('a PDF that cannot be read or rewritten is just renamed', async () => {
+  servePdf({ error: 'Failed to fetch' });
+  let suggestions = await download(5);
+  assert.deepEqual(suggestions, [{ filename: '1042 - Bison Pumps, LLC.pdf', conflictAction: 'uniquify' }]);
+  assert.deepEqual(chrome.calls.cancelled, []);
+  assert.equal(chrome.storage.local.data.renameHistory[0].metadataError, 'Failed to fetch');
+
+  servePdf({ base64: btoa('<html>') });
+  await chrome.storage.session.set({
+    renameIntents: [{ id: 'b', kind: 'click', action: 'download', tabId: 7, timestamp: Date.now(), data: INVOICE }]
+  });
+  suggestions = await download(6);
+  assert.equal(suggestions[0].filename, '1042 - Bison Pumps, LLC.pdf');
+  assert.equal(chrome.storage.local.data.renameHistory[0].metadataError, 'Not a PDF');
+  assert.deepEqual(chrome.calls.downloads, []);
+});
+
+test('when the copy cannot start, the original is kept and renamed', async () => {
+  servePdf({ base64: btoa(bytesToBinary(classicPdf())) });
+  chrome.downloads.download = async () => { throw new Error('Invalid URL'); };
+
+  let suggestions = await download(5);
+
+  assert.deepEqual(chrome.calls.cancelled, []);
+  assert.deepEqual(chrome.calls.erased, []);
+  assert.deepEqual(suggestions, [{ filename: '1042 - Bison Pumps, LLC.pdf', conflictAction: 'uniquify' }]);
+  let [entry] = chrome.storage.local.data.renameHistory;
+  assert.equal(entry.downloadId, 5);
+  assert.equal(entry.metadataError, 'Invalid URL');
+});
+
+test('when the original cannot be cancelled, the copy is dropped instead', async () => {
+  servePdf({ base64: btoa(bytesToBinary(classicPdf())) });
+  let cancel = chrome.downloads.cancel;
+  chrome.downloads.cancel = async (id) => {
+    if (id === 5) throw new Error('Download must be in progress');
+    return cancel(id);
+  };
+
+  let suggestions = await download(5);
+
+  assert.deepEqual(chrome.calls.cancelled, [101]);
+  assert.deepEqual(chrome.calls.erased, [{ id: 101 }]);
+  assert.deepEqual(suggestions, [{ filename: '1042 - Bison Pumps, LLC.pdf', conflictAction: 'uniquify' }]);
+  let [entry] = chrome.storage.local.data.renameHistory;
+  assert.equal(entry.downloadId, 5);
+  assert.equal(entry.metadataError, 'Download must be in progress');
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { isPrintTabUrl, findPrintPreview, previewSource, retitleFrame } from '../lib/print-preview.js';
+
+const PAGE = 'https://qbo.intuit.com/app/invoice?txnId=104';
+
+function page(body) {
+  return new JSDOM('<!DOCTYPE html><title>Invoice 1042</title><body>' + body, { url: PAGE }).window.document;
+}
+
+test('print tabs are blob previews and QBO print URLs', () => {
+  for (let url of [
+    'blob:https://qbo.intuit.com/3f1c',
+    'https://qbo.intuit.com/app/print?txnId=104',
+    'https://qbo.intuit.com/app/printpreview?txnId=104&type=invoice',
+    'https://qbo.intuit.com/qbo34/v4/company/9130/invoice/104/print',
+    'https://qbo.intuit.com/api/invoice/104.pdf?locale=en_US'
+  ]) {
+    assert.equal(isPrintTabUrl(url), true, url);
+  }
+
+  for (let url of [
+    PAGE,
+    'https://qbo.intuit.com/app/printchecks',
+    'https://qbo.intuit.com/app/print-checks',
+    'https://qbo.intuit.com/app/print-checks?accountId=35',
+    'https://qbo.intuit.com/app/print/checks',
+    'https://qbo.intuit.com/app/invoice?txnId=104&print=true',
+    'https://example.com/print',
+    'blob:https://example.com/3f1c',
+    undefined
+  ]) {
+    assert.equal(isPrintTabUrl(url), false, url);
+  }
+});
+
+test('a preview modal is found by its PDF frame', () => {
+  let doc = page('<div role="dialog"><h2>Print preview</h2><iframe src="blob:https://qbo.intuit.com/77aa"></iframe></div>');
+  let frame = findPrintPreview(doc);
+  assert.equal(frame.tagName, 'IFRAME');
+  assert.equal(previewSource(frame), 'blob:https://qbo.intuit.com/77aa');
+
+  doc = page('<div data-automation-id="Print-Preview-Modal"><iframe src="/api/invoice/104/print"></iframe></div>');
+  assert.equal(previewSource(findPrintPreview(doc)), 'https://qbo.intuit.com/api/invoice/104/print');
+
+  doc = page('<div role="dialog"><embed type="application/pdf" src="blob:https://qbo.intuit.com/88bb"></div>');
+  assert.equal(findPrintPreview(doc).tagName, 'EMBED');
+});
+
+test('frames outside a preview are not one', () => {
+  assert.equal(findPrintPreview(page('<iframe src="blob:https://qbo.intuit.com/77aa"></iframe>')), null);
+  assert.equal(findPrintPreview(page('<div role="dialog"><iframe src="https://help.intuit.com/chat"></iframe></div>')), null);
+});
+
+test('retitleFrame sets the title and puts the original back', () => {
+  let { window } = new JSDOM('<!DOCTYPE html><title>Invoice 1042</title>', { url: PAGE });
+  globalThis.document = window.document;
+  try {
+    retitleFrame('1042 - Bison Pumps');
+    assert.equal(document.title, '1042 - Bison Pumps');
+
+    // A second title keeps the page's own to restore
+    retitleFrame('1042 - Bison Pumps Rev2');
+    retitleFrame(null);
+    assert.equal(document.title, 'Invoice 1042');
+    assert.equal('apexTitle' in document.documentElement.dataset, false);
+
+    // Nothing to restore leaves the title alone
+    document.title = 'Invoices';
+    retitleFrame(null);
+    assert.equal(document.title, 'Invoices');
+  } finally {
+    delete globalThis.document;
+  }
+});
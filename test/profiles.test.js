@@ -0,0 +1,88 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome.js';
+import { DEFAULTS } from '../lib/settings.js';
+import {
+  DEFAULT_PROFILE, profileId, profileForCompany, activeProfileId, settingsFor, newProfile,
+  saveProfile, updateProfileSettings, deleteProfile
+} from '../lib/profiles.js';
+
+const PROFILES = {
+  'realm:4620816365': { name: 'Acme Ltd', realmId: '4620816365', company: 'Acme Ltd', settings: { format: '{customer} {num}' } },
+  'name:bison pumps': { name: 'Bison Pumps', realmId: '', company: 'Bison Pumps', settings: { format: '{type} {num}', dateFormat: 'DD-MM-YYYY' } }
+};
+
+let chrome;
+
+beforeEach(() => {
+  chrome = installChrome();
+});
+
+test('profileId prefers the realm id', () => {
+  assert.equal(profileId({ realmId: '4620816365', company: 'Acme Ltd' }), 'realm:4620816365');
+  assert.equal(profileId({ company: '  Bison   Pumps ' }), 'name:bison pumps');
+  assert.equal(profileId({}), '');
+});
+
+test('profiles match by realm id, then company name', () => {
+  assert.equal(profileForCompany(PROFILES, { realmId: '4620816365', company: 'Acme (renamed)' }), 'realm:4620816365');
+  assert.equal(profileForCompany(PROFILES, { company: 'acme ltd' }), 'realm:4620816365');
+  assert.equal(profileForCompany(PROFILES, { realmId: '999', company: 'BISON PUMPS' }), 'name:bison pumps');
+  // Same name, different company file
+  assert.equal(profileForCompany(PROFILES, { realmId: '999', company: 'Acme Ltd' }), '');
+  assert.equal(profileForCompany(PROFILES, {}), '');
+});
+
+test('the manual override wins over the company', () => {
+  let settings = { ...DEFAULTS, profiles: PROFILES };
+  let acme = { realmId: '4620816365', company: 'Acme Ltd' };
+
+  assert.equal(activeProfileId(settings, acme), 'realm:4620816365');
+  assert.equal(activeProfileId({ ...settings, profileOverride: DEFAULT_PROFILE }, acme), '');
+  assert.equal(activeProfileId({ ...settings, profileOverride: 'name:bison pumps' }, acme), 'name:bison pumps');
+  assert.equal(activeProfileId({ ...settings, profileOverride: 'name:deleted' }, acme), 'realm:4620816365');
+});
+
+test('settingsFor lays only naming settings over the global ones', () => {
+  let settings = { ...DEFAULTS, profiles: { x: { ...PROFILES['name:bison pumps'], settings: { format: '{num}', notifyMode: 'off' } } } };
+  let merged = settingsFor(settings, { company: 'Bison Pumps' });
+
+  assert.equal(merged.format, '{num}');
+  assert.equal(merged.notifyMode, DEFAULTS.notifyMode);
+  assert.equal(settingsFor(settings, { company: 'Other' }), settings);
+  assert.equal(settingsFor(settings, null), settings);
+});
+
+test('a profile cannot change a setting the policy locked', () => {
+  let settings = { ...DEFAULTS, format: '{num} {customer}', locked: ['format'], profiles: PROFILES };
+  let merged = settingsFor(settings, { company: 'Bison Pumps' });
+
+  assert.equal(merged.format, '{num} {customer}');
+  assert.equal(merged.dateFormat, 'DD-MM-YYYY');
+});
+
+test('a new profile copies the naming settings in use', () => {
+  let profile = newProfile({ ...DEFAULTS, format: '{num}', historyLimit: 10 }, { realmId: '4620816365', company: ' Acme Ltd ' });
+  assert.equal(profile.name, 'Acme Ltd');
+  assert.equal(profile.settings.format, '{num}');
+  assert.equal(profile.settings.dateFormat, DEFAULTS.dateFormat);
+  assert.equal('historyLimit' in profile.settings, false);
+
+  assert.equal(newProfile(DEFAULTS, { realmId: '4620816365' }).name, '4620816365');
+});
+
+test('profiles are saved, edited and deleted in storage.sync', async () => {
+  await saveProfile('name:bison pumps', PROFILES['name:bison pumps']);
+  await updateProfileSettings('name:bison pumps', { format: '{num}' });
+  await updateProfileSettings('name:missing', { format: '{num}' });
+
+  let { profiles } = chrome.storage.sync.data;
+  assert.deepEqual(Object.keys(profiles), ['name:bison pumps']);
+  assert.equal(profiles['name:bison pumps'].settings.format, '{num}');
+  assert.equal(profiles['name:bison pumps'].settings.dateFormat, 'DD-MM-YYYY');
+
+  await chrome.storage.sync.set({ profileOverride: 'name:bison pumps' });
+  await deleteProfile('name:bison pumps');
+  assert.deepEqual(chrome.storage.sync.data.profiles, {});
+  assert.equal(chrome.storage.sync.data.profileOverride, '');
+});
@@ -0,0 +1,220 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome, suggestRecorder } from './helpers/chrome.js';
+import { DEFAULTS } from '../lib/settings.js';
+import { renameDownload, handlePrintTab, handlePrintPreview, restorePrintPreview } from '../lib/rename.js';
+import { retitleFrame } from '../lib/print-preview.js';
+
+const TXN_URL = 'https://qbo.intuit.com/app/invoice?txnId=104';
+const BLOB_URL = 'blob:https://qbo.intuit.com/3f1c';
+
+let chrome;
+
+beforeEach(async () => {
+  chrome = installChrome();
+  // notifyMode 'off' keeps the badge timer from holding the test run open
+  await chrome.storage.sync.set({ ...DEFAULTS, notifyMode: 'off' });
+});
+
+function invoice(num, customer, tabId = 7) {
+  return { num, customer, type: 'Invoice', url: TXN_URL + '&tab=' + tabId };
+}
+
+async function rename(item) {
+  let { suggest, suggestions } = suggestRecorder();
+  await renameDownload({ id: 1, url: BLOB_URL, ...item }, suggest);
+  assert.equal(suggestions.length, 1);
+  return suggestions[0];
+}
+
+test('a click intent names the download and is spent', async () => {
+  await chrome.storage.session.set({
+    renameIntents: [{ id: 'a', kind: 'click', action: 'download', tabId: 7, timestamp: Date.now(), data: invoice('1042', 'Bison Pumps') }]
+  });
+
+  let suggestion = await rename({ filename: 'Invoice 1042.pdf' });
+  assert.deepEqual(suggestion, { filename: '1042 - Bison Pumps.pdf', conflictAction: 'uniquify' });
+
+  await new Promise(r => setTimeout(r, 0));
+  assert.deepEqual(chrome.storage.session.data.renameIntents, []);
+  assert.equal(chrome.storage.local.data.renameHistory[0].source, 'pendingRename');
+});
+
+test('without an intent the tab transaction is used', async () => {
+  await chrome.storage.session.set({ tabTransactions: { 7: invoice('1042', 'Bison Pumps') } });
+  let suggestion = await rename({ filename: 'Invoice 1042.pdf' });
+  assert.equal(suggestion.filename, '1042 - Bison Pumps.pdf');
+});
+
+test('the QBO filename is the last resort', async () => {
+  let suggestion = await rename({ filename: 'Invoice 1042.pdf' });
+  assert.equal(suggestion.filename, '1042.pdf');
+});
+
+test('ambiguous clicks from two tabs keep the QBO name', async () => {
+  await chrome.storage.session.set({
+    renameIntents: [
+      { id: 'a', kind: 'click', action: 'download', tabId: 7, timestamp: Date.now(), data: invoice('1042', 'Bison Pumps', 7) },
+      { id: 'b', kind: 'click', action: 'download', tabId: 8, timestamp: Date.now(), data: invoice('1043', 'Acme', 8) }
+    ]
+  });
+  let suggestion = await rename({ filename: 'download.pdf' });
+  assert.deepEqual(suggestion, { filename: 'download.pdf' });
+});
+
+test('non-QBO downloads pass through', async () => {
+  let suggestion = await rename({ url: 'https://example.com/a.pdf', filename: 'a.pdf' });
+  assert.deepEqual(suggestion, { filename: 'a.pdf' });
+});
+
+test('a file named like a QBO document from another site passes through', async () => {
+  await chrome.storage.session.set({ tabTransactions: { 7: invoice('1042', 'Bison Pumps') } });
+  for (let filename of ['Balance Sheet.pdf', 'Statement 2026.pdf', 'Invoice 1042.pdf']) {
+    let suggestion = await rename({ url: 'https://bank.example.com/docs/1.pdf', referrer: 'https://bank.example.com/', filename });
+    assert.deepEqual(suggestion, { filename });
+  }
+});
+
+test('a QBO file without a number is not given the only open tab\'s name', async () => {
+  await chrome.storage.session.set({ tabTransactions: { 7: invoice('1042', 'Bison Pumps') } });
+  let suggestion = await rename({ filename: 'Statement.pdf' });
+  assert.equal(suggestion.filename, 'Statement.pdf');
+});
+
+test('disabled leaves every download alone', async () => {
+  await chrome.storage.sync.set({ enabled: false });
+  let suggestion = await rename({ filename: 'Invoice 1042.pdf' });
+  assert.deepEqual(suggestion, { filename: 'Invoice 1042.pdf' });
+});
+
+test('per-type formats apply', async () => {
+  await chrome.storage.sync.set({ typeFormats: { invoice: 'Invoices/{num}' } });
+  let suggestion = await rename({ filename: 'Invoice 1042.pdf' });
+  assert.equal(suggestion.filename, 'Invoices/1042.pdf');
+});
+
+test('the company\'s profile names its downloads', async () => {
+  await chrome.storage.sync.set({
+    profiles: { 'realm:4620816365': { name: 'Acme Ltd', realmId: '4620816365', company: 'Acme Ltd', settings: { format: '{type} {num}' } } }
+  });
+  await chrome.storage.session.set({ tabTransactions: { 7: { ...invoice('1042', 'Bison Pumps'), realmId: '4620816365' } } });
+  assert.equal((await rename({ filename: 'Invoice 1042.pdf' })).filename, 'Invoice 1042.pdf');
+
+  await chrome.storage.sync.set({ profileOverride: 'default' });
+  assert.equal((await rename({ filename: 'Invoice 1042.pdf' })).filename, '1042 - Bison Pumps.pdf');
+});
+
+test('handlePrintTab titles the preview from the opener and queues a blob intent', async () => {
+  chrome.tabs.responders[7] = (msg) => msg.action === 'getTransactionData' ? invoice('1042', 'Bison Pumps') : null;
+
+  await handlePrintTab(9, { id: 9, openerTabId: 7, url: BLOB_URL });
+
+  let [call] = chrome.calls.executeScript;
+  assert.deepEqual(call.target, { tabId: 9, allFrames: true });
+  assert.equal(call.func, retitleFrame);
+  assert.deepEqual(call.args, ['1042 - Bison Pumps']);
+
+  await new Promise(r => setTimeout(r, 0));
+  let [intent] = chrome.storage.session.data.renameIntents;
+  assert.equal(intent.kind, 'blob');
+  assert.equal(intent.blobUrl, BLOB_URL);
+
+  // A later download from the PDF viewer matches it exactly
+  let suggestion = await rename({ filename: 'download.pdf' });
+  assert.equal(suggestion.filename, '1042 - Bison Pumps.pdf');
+});
+
+test('handlePrintTab without an opener ignores clicks from several tabs', async () => {
+  await chrome.storage.session.set({
+    renameIntents: [
+      { id: 'a', kind: 'click', action: 'print', tabId: 7, timestamp: Date.now(), data: invoice('1042', 'Bison Pumps', 7) },
+      { id: 'b', kind: 'click', action: 'print', tabId: 8, timestamp: Date.now(), data: invoice('1043', 'Acme', 8) }
+    ]
+  });
+  await handlePrintTab(9, { id: 9, url: BLOB_URL });
+  assert.equal(chrome.calls.executeScript.length, 0);
+});
+
+test('a QBO print URL is named like a blob preview', async () => {
+  let printUrl = 'https://qbo.intuit.com/app/print?txnId=104';
+  await chrome.storage.session.set({
+    renameIntents: [{ id: 'a', kind: 'click', action: 'print', tabId: 7, timestamp: Date.now(), data: invoice('1042', 'Bison Pumps') }]
+  });
+  await handlePrintTab(9, { id: 9, openerTabId: 7, url: printUrl });
+  assert.deepEqual(chrome.calls.executeScript[0].args, ['1042 - Bison Pumps']);
+
+  await new Promise(r => setTimeout(r, 0));
+  let suggestion = await rename({ url: printUrl, filename: 'print.pdf' });
+  assert.equal(suggestion.filename, '1042 - Bison Pumps.pdf');
+});
+
+test('a preview modal titles every frame of its own tab and confirms it', async () => {
+  await chrome.storage.sync.set({ notifyMode: 'toast' });
+  let src = 'blob:https://qbo.intuit.com/77aa';
+  await handlePrintPreview(7, { data: invoice('1042', 'Bison Pumps'), src, again: false });
+
+  let [call] = chrome.calls.executeScript;
+  assert.deepEqual(call.target, { tabId: 7, allFrames: true });
+  assert.deepEqual(call.args, ['1042 - Bison Pumps']);
+  assert.equal(chrome.calls.notifications[0].message, 'Print title: 1042 - Bison Pumps');
+  assert.equal(chrome.calls.badge[0].text, '\u2713');
+
+  // The reload once the PDF frame has loaded retitles it without telling again
+  await handlePrintPreview(7, { data: invoice('1042', 'Bison Pumps'), src, again: true });
+  assert.equal(chrome.calls.executeScript.length, 2);
+  assert.equal(chrome.calls.notifications.length, 1);
+
+  await new Promise(r => setTimeout(r, 0));
+  let suggestion = await rename({ url: src, filename: 'download.pdf' });
+  assert.equal(suggestion.filename, '1042 - Bison Pumps.pdf');
+});
+
+test('a preview modal without page data falls back to the tab\'s transaction', async () => {
+  await chrome.storage.session.set({ tabTransactions: { 7: invoice('1043', 'Acme') } });
+  await handlePrintPreview(7, { data: null, src: '' });
+  assert.deepEqual(chrome.calls.executeScript[0].args, ['1043 - Acme']);
+});
+
+test('closing the preview restores every frame', async () => {
+  await restorePrintPreview(7);
+  let [call] = chrome.calls.executeScript;
+  assert.deepEqual(call.target, { tabId: 7, allFrames: true });
+  assert.deepEqual(call.args, [null]);
+});
+
+test('the conflict policy picks Chrome\'s conflictAction', async () => {
+  await chrome.storage.sync.set({ conflictPolicy: 'uniquify', typeConflictPolicies: { invoice: 'overwrite' } });
+  let suggestion = await rename({ filename: 'Invoice 1042.pdf' });
+  assert.deepEqual(suggestion, { filename: '1042.pdf', conflictAction: 'overwrite' });
+});
+
+test('a name typed on the page toolbar names just that download', async () => {
+  await chrome.storage.sync.set({ conflictPolicy: 'revision' });
+  await chrome.storage.session.set({
+    renameIntents: [{ id: 'a', kind: 'click', action: 'download', tabId: 7, timestamp: Date.now(), data: invoice('1042', 'Bison Pumps'), override: 'Bison: March refit.pdf' }]
+  });
+  assert.deepEqual(await rename({ filename: 'Invoice 1042.pdf' }), { filename: 'Bison March refit.pdf', conflictAction: 'uniquify' });
+  assert.equal(chrome.storage.local.data.renameHistory[0].filename, 'Bison March refit.pdf');
+
+  // The intent is spent; the next download gets the format's name
+  await new Promise(r => setTimeout(r, 0));
+  assert.equal((await rename({ filename: 'Invoice 1042.pdf' })).filename, '1042.pdf');
+});
+
+test('a typed name titles the print preview and its downloads', async () => {
+  await chrome.storage.session.set({
+    renameIntents: [{ id: 'a', kind: 'click', action: 'print', tabId: 7, timestamp: Date.now(), data: invoice('1042', 'Bison Pumps'), override: 'March refit' }]
+  });
+  await handlePrintTab(9, { id: 9, openerTabId: 7, url: BLOB_URL });
+  assert.deepEqual(chrome.calls.executeScript[0].args, ['March refit']);
+
+  await new Promise(r => setTimeout(r, 0));
+  assert.equal((await rename({ filename: 'download.pdf' })).filename, 'March refit.pdf');
+});
+
+test('the revision policy numbers repeat downloads of a name', async () => {
+  await chrome.storage.sync.set({ conflictPolicy: 'revision' });
+  assert.equal((await rename({ filename: 'Invoice 1042.pdf' })).filename, '1042.pdf');
+  assert.equal((await rename({ filename: 'Invoice 1042.pdf' })).filename, '1042 Rev2.pdf');
+  assert.equal((await rename({ filename: 'Invoice 1043.pdf' })).filename, '1043.pdf');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  sanitizeSegment, transliterate, characterCount, truncateText, fitsSegment, clampSegment
+} from '../lib/sanitize.js';
+
+test('what Chrome refuses is stripped whatever the target system', () => {
+  let name = 'A<B>:C"D|E?F*G';
+  for (let targetOs of ['windows', 'macos', 'linux']) {
+    assert.equal(sanitizeSegment(name, { targetOs }), 'ABCDEFG');
+  }
+  assert.equal(sanitizeSegment('a\u0000b\u001fc/d', { targetOs: 'linux' }), 'abcd');
+});
+
+test('reserved device names get an underscore on every system', () => {
+  assert.equal(sanitizeSegment('CON'), 'CON_');
+  assert.equal(sanitizeSegment('com1.backup'), 'com1_.backup');
+  assert.equal(sanitizeSegment('Console'), 'Console');
+  assert.equal(sanitizeSegment('CON', { targetOs: 'linux' }), 'CON_');
+  assert.equal(sanitizeSegment('lpt1', { targetOs: 'macos' }), 'lpt1_');
+});
+
+test('names are NFC with no invisible direction marks', () => {
+  assert.equal(sanitizeSegment('Cafe\u0301'), 'Caf\u00e9');
+  assert.equal(sanitizeSegment('\u202bMüller\u202c \u200bPumps\ufeff'), 'Müller Pumps');
+  assert.equal(sanitizeSegment('Pumps \ud83d'), 'Pumps');
+  assert.equal(sanitizeSegment('Team 👨‍🔧'), 'Team 👨‍🔧');
+});
+
+test('transliteration keeps names readable in ASCII', () => {
+  assert.equal(transliterate('Café Müller'), 'Cafe Muller');
+  assert.equal(transliterate('Straße Ægir Łódź ﬁne'), 'Strasse AEgir Lodz fine');
+  assert.equal(transliterate('“Best” – €5 🔧東京'), '"Best" - EUR5 ');
+  assert.equal(sanitizeSegment('“Best” 🔧', { ascii: true }), 'Best');
+});
+
+test('lengths count characters, and cuts never split one', () => {
+  assert.equal(characterCount('Café 👨‍🔧'), 6);
+  assert.equal(truncateText('Bison 👨‍🔧 Pumps', 7), 'Bison 👨‍🔧');
+  assert.equal(truncateText('Bison Pumps, LLC', 12), 'Bison Pumps');
+});
+
+test('segments fit the file system and the max length', () => {
+  assert.equal(fitsSegment('x'.repeat(245), { isName: true }), true);
+  assert.equal(fitsSegment('x'.repeat(246), { isName: true }), false);
+  assert.equal(fitsSegment('x'.repeat(246)), true);
+  // 2 bytes each in UTF-8
+  assert.equal(fitsSegment('é'.repeat(200), { targetOs: 'linux' }), false);
+  assert.equal(fitsSegment('é'.repeat(200), { targetOs: 'windows' }), true);
+  assert.equal(fitsSegment('x'.repeat(21), { isName: true, maxLength: 20 }), false);
+  assert.equal(clampSegment('é'.repeat(200), { targetOs: 'linux' }).length, 127);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './helpers/dom.js';
+import { readTransactionData } from '../lib/extract.js';
+import {
+  menuConfig, menuAction, builtinRules, validateRules, exportRules, importRules, testRules
+} from '../lib/selector-rules.js';
+
+const URL = 'https://qbo.intuit.com/app/invoice?txnId=104';
+
+function invoice() {
+  return loadFixture('invoice.html', URL);
+}
+
+test('user rules run before the built-in chain', () => {
+  let rules = {
+    fields: {
+      customer: { rules: [{ selector: '#cust-2', source: '', pattern: '^([^,]+)' }], fallback: true },
+      memo: { rules: [{ selector: '.missing', source: '', pattern: '' }], fallback: true }
+    }
+  };
+  let trace = {};
+  let data = readTransactionData(invoice(), { trace, rules });
+
+  assert.equal(data.customer, 'Bison Pumps');
+  assert.deepEqual(trace.customer, { via: 'custom', selector: '#cust-2 /^([^,]+)/', primaryFound: true });
+  // No match, so the built-in chain still finds the memo
+  assert.equal(data.memo, 'Thank you for your business');
+});
+
+test('rules can read attributes and replace the built-in chain', () => {
+  let rules = {
+    fields: {
+      type: { rules: [{ selector: '#ref-2', source: 'aria-label', pattern: '^(\\w+)' }] },
+      ponum: { rules: [{ selector: '.missing' }], fallback: false }
+    }
+  };
+  let data = readTransactionData(invoice(), { rules });
+  assert.equal(data.type, 'Invoice');
+  assert.equal(data.ponum, '');
+});
+
+test('a bad selector or pattern never throws', () => {
+  let rules = { fields: { num: { rules: [{ selector: '[[' }, { selector: '#ref-2', pattern: '(' }] } } };
+  assert.equal(readTransactionData(invoice(), { rules }).num, '1042');
+});
+
+test('built-in chains copied as rules read the same values', () => {
+  let doc = invoice();
+  for (let field of ['num', 'type', 'customer']) {
+    let rules = { fields: { [field]: { rules: builtinRules(field), fallback: false } } };
+    assert.deepEqual(readTransactionData(doc, { rules })[field], readTransactionData(doc)[field], field);
+  }
+});
+
+test('menu text patterns handle a localized QBO', () => {
+  let menu = menuConfig({ menu: { download: '^(download|télécharger)$', print: '  ' } });
+  assert.equal(menuAction(menu, ' Télécharger '), 'download');
+  assert.equal(menuAction(menu, 'Print'), 'print');
+  assert.equal(menuAction(menu, 'Send'), '');
+});
+
+test('validateRules reports every problem', () => {
+  let errors = validateRules({
+    fields: {
+      nope: { rules: [] },
+      num: { rules: [{ selector: '' }, { selector: 'div[', pattern: '(' }] }
+    },
+    menu: { item: 'li[', download: '(' , extra: 'x' }
+  }, invoice());
+  assert.deepEqual(errors, [
+    'Unknown field "nope"',
+    'num rule 1: selector is empty',
+    'num rule 2: invalid selector "div["',
+    'num rule 2: invalid pattern /(/',
+    'menu.item: invalid selector "li["',
+    'menu.download: invalid pattern /(/',
+    'Unknown menu setting "extra"'
+  ]);
+});
+
+test('export and import round-trip, dropping blanks', () => {
+  let rules = {
+    fields: {
+      customer: { rules: [{ selector: ' #cust-2 ', source: '', pattern: '' }, { selector: '' }], fallback: true },
+      memo: { rules: [], fallback: true }
+    },
+    menu: { download: '^télécharger$', print: '' }
+  };
+  let json = exportRules(rules);
+  assert.deepEqual(importRules(json, invoice()), {
+    fields: { customer: { rules: [{ selector: '#cust-2', source: '', pattern: '' }], fallback: true } },
+    menu: { download: '^télécharger$' }
+  });
+});
+
+test('import rejects other files', () => {
+  assert.throws(() => importRules('{"format": "{num}"}', invoice()), /Not an Apex Explorer selector rules file/);
+  assert.throws(() => importRules('nope', invoice()), /Not a JSON file/);
+  assert.throws(() => importRules('{"apexSelectorRules": 1, "fields": {"num": {"rules": [{"selector": "a["}]}}}', invoice()),
+    /invalid selector/);
+});
+
+test('testRules reports each rule and the resolved page', () => {
+  let rules = { fields: { customer: { rules: [{ selector: '.missing' }, { selector: '#cust-2', pattern: '\\((.+)\\)' }] } } };
+  let result = testRules(invoice(), rules);
+  assert.deepEqual(result.fields.customer.map(r => r.value), ['', 'Houston Yard']);
+  assert.equal(result.data.customer, 'Houston Yard');
+  assert.equal(result.menu.opener, 1);
+  assert.deepEqual(result.menu.items, []);
+});
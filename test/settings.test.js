@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome.js';
+import { DEFAULTS, SETTINGS_VERSION, migrate, getSettings } from '../lib/settings.js';
+
+test('pre-versioning showNotification becomes notifyMode', () => {
+  assert.deepEqual(migrate({ format: '{num}', showNotification: false }), {
+    set: { notifyMode: 'off', settingsVersion: SETTINGS_VERSION },
+    remove: ['showNotification']
+  });
+});
+
+test('a fresh install only records the version', () => {
+  assert.deepEqual(migrate({}), { set: { settingsVersion: SETTINGS_VERSION }, remove: [] });
+});
+
+test('current settings are left alone', () => {
+  assert.deepEqual(migrate({ notifyMode: 'badge', settingsVersion: SETTINGS_VERSION }), { set: {}, remove: [] });
+});
+
+test('settings from a newer version are not downgraded', () => {
+  let stored = { notifyMode: 'badge', settingsVersion: SETTINGS_VERSION + 1 };
+  assert.deepEqual(migrate(stored), { set: {}, remove: [] });
+});
+
+test('getSettings migrates storage before reading it', async () => {
+  let chrome = installChrome();
+  await chrome.storage.sync.set({ format: '{num}', showNotification: true });
+
+  let settings = await getSettings();
+  assert.deepEqual(settings, { ...DEFAULTS, format: '{num}', notifyMode: 'toast', locked: [] });
+  assert.deepEqual(chrome.storage.sync.data, { format: '{num}', notifyMode: 'toast', settingsVersion: SETTINGS_VERSION });
+});
+
+test('a managed policy overrides storage and locks what it sets', async () => {
+  let chrome = installChrome();
+  await chrome.storage.sync.set({ format: '{num}', dateFormat: 'DD-MM-YYYY' });
+  // Profiles are per person, so a policy can't set them
+  await chrome.storage.managed.set({ format: '{type} {num}', historyLimit: 50, profiles: { x: {} } });
+
+  let settings = await getSettings();
+  assert.equal(settings.format, '{type} {num}');
+  assert.equal(settings.historyLimit, 50);
+  assert.equal(settings.dateFormat, 'DD-MM-YYYY');
+  assert.deepEqual(settings.profiles, {});
+  assert.deepEqual(settings.locked, ['format', 'historyLimit']);
+});
+
+test('no managed storage means nothing is locked', async () => {
+  let chrome = installChrome();
+  chrome.storage.managed.get = async () => { throw new Error('Managed storage is not available'); };
+  assert.deepEqual((await getSettings()).locked, []);
+});
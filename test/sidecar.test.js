@@ -0,0 +1,101 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome, suggestRecorder } from './helpers/chrome.js';
+import { DEFAULTS } from '../lib/settings.js';
+import { renameDownload } from '../lib/rename.js';
+import { SIDECAR_COLUMNS, sidecarContent, sidecarPath, writeCompanionFiles, addToManifest } from '../lib/sidecar.js';
+
+const INVOICE = {
+  num: '87072', customer: 'Bison Pumps, LLC:Job 14', type: 'Invoice', txndate: '2026-01-05', total: '3200.50',
+  memo: 'Pump "B" refit', company: 'Apex Plumbing', realmId: '4620816365', url: 'https://qbo.intuit.com/app/invoice?txnId=104'
+};
+const RECORD = { filename: 'Clients/87072 - Bison Pumps.pdf', timestamp: Date.UTC(2026, 0, 5, 14, 30), source: 'pendingRename', data: INVOICE };
+
+let chrome;
+
+beforeEach(async () => {
+  chrome = installChrome();
+  // notifyMode 'off' keeps the badge timer from holding the test run open
+  await chrome.storage.sync.set({ ...DEFAULTS, notifyMode: 'off' });
+});
+
+function fileText(download) {
+  return decodeURIComponent(download.url.slice(download.url.indexOf(',') + 1));
+}
+
+test('a JSON sidecar holds the record as captured', () => {
+  assert.deepEqual(JSON.parse(sidecarContent('json', RECORD)), {
+    filename: 'Clients/87072 - Bison Pumps.pdf',
+    timestamp: '2026-01-05T14:30:00.000Z',
+    source: 'pendingRename',
+    data: INVOICE
+  });
+});
+
+test('a CSV sidecar is a header and one row', () => {
+  let [header, row, end] = sidecarContent('csv', RECORD).split('\r\n');
+  assert.equal(header, SIDECAR_COLUMNS.join(','));
+  assert.equal(header, 'timestamp,filename,source,num,customer,type,txndate,due,total,balance,ponum,memo,location,class,company,period,rev,realmId,url');
+  assert.equal(row, '2026-01-05T14:30:00.000Z,Clients/87072 - Bison Pumps.pdf,pendingRename,87072,"Bison Pumps, LLC:Job 14",Invoice,2026-01-05,,3200.50,,,"Pump ""B"" refit",,,Apex Plumbing,,,4620816365,https://qbo.intuit.com/app/invoice?txnId=104');
+  assert.equal(end, '');
+});
+
+test('the sidecar sits next to the PDF unless it has a format of its own', () => {
+  let settings = { ...DEFAULTS, sidecar: 'json' };
+  assert.equal(sidecarPath(settings, INVOICE, 'Clients/87072 - Bison Pumps.pdf'), 'Clients/87072 - Bison Pumps.json');
+  assert.equal(sidecarPath({ ...settings, sidecar: 'csv', sidecarName: 'Data/{parent}/{num}' }, INVOICE, 'x.pdf'), 'Data/Bison Pumps, LLC/87072.csv');
+  // A format that doesn't parse is ignored
+  assert.equal(sidecarPath({ ...settings, sidecarName: '{num' }, INVOICE, 'x.pdf'), 'x.json');
+});
+
+test('sidecars are downloaded as data: URLs, never with a second dialog', async () => {
+  await writeCompanionFiles({ ...DEFAULTS, sidecar: 'json' }, RECORD, 'prompt');
+  let [sidecar] = chrome.calls.downloads;
+  assert.match(sidecar.url, /^data:application\/json;charset=utf-8,/);
+  assert.equal(sidecar.filename, 'Clients/87072 - Bison Pumps.json');
+  assert.equal(sidecar.conflictAction, 'uniquify');
+  assert.equal(JSON.parse(fileText(sidecar)).data.num, '87072');
+
+  await writeCompanionFiles({ ...DEFAULTS, sidecar: 'off' }, RECORD, 'overwrite');
+  assert.equal(chrome.calls.downloads.length, 1);
+});
+
+test('the daily manifest is rewritten with every row of the day', async () => {
+  let morning = new Date(2026, 0, 5, 9);
+  await addToManifest(RECORD, morning);
+  await addToManifest({ ...RECORD, filename: '87073 - Acme.pdf', data: { num: '87073', customer: 'Acme' } }, new Date(2026, 0, 5, 17));
+
+  let [first, second] = chrome.calls.downloads;
+  assert.equal(first.filename, 'Apex manifest 2026-01-05.csv');
+  assert.equal(second.conflictAction, 'overwrite');
+  let lines = fileText(second).trim().split('\r\n');
+  assert.equal(lines.length, 3);
+  assert.match(lines[2], /,87073 - Acme\.pdf,pendingRename,87073,Acme,/);
+  // Only the newest copy stays in the downloads list
+  assert.deepEqual(chrome.calls.erased, [{ id: 101 }]);
+
+  // A new day starts a new file
+  await addToManifest(RECORD, new Date(2026, 0, 6, 8));
+  let third = chrome.calls.downloads[2];
+  assert.equal(third.filename, 'Apex manifest 2026-01-06.csv');
+  assert.equal(fileText(third).trim().split('\r\n').length, 2);
+  assert.deepEqual(chrome.storage.local.data.dailyManifest.downloadId, 103);
+});
+
+test('a renamed PDF gets its sidecar and a manifest row', async () => {
+  await chrome.storage.sync.set({ sidecar: 'csv', dailyManifest: true });
+  await chrome.storage.session.set({
+    renameIntents: [{ id: 'a', kind: 'click', action: 'download', tabId: 7, timestamp: Date.now(), data: INVOICE }]
+  });
+  let { suggest, suggestions } = suggestRecorder();
+  await renameDownload({ id: 5, url: 'blob:https://qbo.intuit.com/3f1c', filename: 'Invoice_87072.pdf' }, suggest);
+  await new Promise(r => setTimeout(r, 0));
+
+  let filename = suggestions[0].filename;
+  let [sidecar, manifest] = chrome.calls.downloads;
+  assert.equal(sidecar.filename, filename.replace(/\.pdf$/, '.csv'));
+  assert.match(manifest.filename, /^Apex manifest \d{4}-\d\d-\d\d\.csv$/);
+  assert.equal(fileText(sidecar).split('\r\n')[1], fileText(manifest).split('\r\n')[1]);
+  // "87072 - Bison Pumps, LLC - Job 14.pdf" is quoted for its comma
+  assert.ok(fileText(sidecar).split('\r\n')[1].includes(',"' + filename + '",pendingRename,87072,'));
+});
@@ -0,0 +1,22 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome.js';
+import { ensureContentScript } from '../lib/tabs.js';
+
+let chrome;
+
+beforeEach(() => {
+  chrome = installChrome();
+});
+
+test('a document reached in-app gets content.js when nothing answers', async () => {
+  await ensureContentScript(7);
+  assert.deepEqual(chrome.calls.sendMessage, [{ tabId: 7, msg: { action: 'contentPing' } }]);
+  assert.deepEqual(chrome.calls.executeScript, [{ target: { tabId: 7 }, files: ['content.js'] }]);
+});
+
+test('a tab whose content.js answers is left alone', async () => {
+  chrome.tabs.responders[7] = (msg) => msg.action === 'contentPing';
+  await ensureContentScript(7);
+  assert.deepEqual(chrome.calls.executeScript, []);
+});
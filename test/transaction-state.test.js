@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { loadFixture } from './helpers/dom.js';
+import { readTransactionData, fieldSelectors } from '../lib/extract.js';
+import { createTransactionTracker } from '../lib/transaction-state.js';
+
+const DELAY = 20;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+function invoicePage() {
+  let { window } = new JSDOM(`
+    <input data-automation-id="reference_number" aria-label="Invoice number" value="1042">
+    <input data-automation-id="customer_name" value="Bison Pumps">
+    <div id="sidebar"></div>
+  `, { url: 'https://qbo.intuit.com/app/invoice?txnId=104' });
+  return window.document;
+}
+
+function track(doc, options = {}) {
+  let snapshots = [];
+  let tracker = createTransactionTracker({
+    doc,
+    read: () => readTransactionData(doc),
+    publish: snapshot => snapshots.push(snapshot),
+    delay: DELAY,
+    ...options
+  });
+  return { tracker, snapshots, customers: () => snapshots.map(s => s.version + ':' + s.data?.customer) };
+}
+
+// React sets a controlled input's value attribute along with its value
+function reactSet(input, value) {
+  input.value = value;
+  input.setAttribute('value', value);
+}
+
+test('the page is read once its fields have rendered, and published once', async () => {
+  let doc = invoicePage();
+  let { tracker, customers } = track(doc);
+
+  assert.equal(tracker.watch(), true);
+  assert.equal(tracker.watch(), false);
+  await wait(DELAY * 3);
+  assert.deepEqual(customers(), ['1:Bison Pumps']);
+  assert.equal(tracker.snapshot.data.num, '1042');
+});
+
+test('a burst of changes is one read, and unchanged data is not published again', async () => {
+  let doc = invoicePage();
+  let { tracker, customers } = track(doc);
+  tracker.watch();
+  await wait(DELAY * 3);
+
+  let input = doc.querySelector('[data-automation-id="customer_name"]');
+  for (let name of ['A', 'Ac', 'Acme']) {
+    input.value = name;
+    input.dispatchEvent(new doc.defaultView.Event('input'));
+  }
+  reactSet(input, 'Acme');
+  await wait(DELAY * 3);
+  assert.deepEqual(customers(), ['1:Bison Pumps', '2:Acme']);
+
+  // Focus leaving the field is a change to look at, but nothing changed
+  input.dispatchEvent(new doc.defaultView.Event('blur'));
+  await wait(DELAY * 3);
+  assert.deepEqual(customers(), ['1:Bison Pumps', '2:Acme']);
+});
+
+test('settled waits for a pending read instead of returning stale data', async () => {
+  let doc = invoicePage();
+  let { tracker } = track(doc);
+  tracker.watch();
+  assert.equal((await tracker.settled()).customer, 'Bison Pumps');
+
+  // A customer picked from the list: React writes the value, no input event
+  reactSet(doc.querySelector('[data-automation-id="customer_name"]'), 'Acme');
+  await wait(0);
+  assert.equal(tracker.snapshot.data.customer, 'Bison Pumps');
+  assert.equal((await tracker.settled()).customer, 'Acme');
+
+  // Nothing pending: answers right away
+  let settled = tracker.settled();
+  assert.equal((await Promise.race([settled, wait(DELAY / 2)]))?.customer, 'Acme');
+});
+
+test('settled can wait for a condition, up to a timeout', async () => {
+  let doc = invoicePage();
+  let customer = doc.querySelector('[data-automation-id="customer_name"]');
+  customer.remove();
+  let { tracker } = track(doc);
+  tracker.watch();
+
+  let withCustomer = tracker.settled({ until: data => !!data?.customer });
+  await wait(DELAY * 3);
+  // A field that renders late is picked up by the next watch()
+  customer.setAttribute('value', 'Late Render');
+  doc.getElementById('sidebar').after(customer);
+  assert.equal(tracker.watch(), true);
+  assert.equal((await withCustomer).customer, 'Late Render');
+
+  let never = await tracker.settled({ until: () => false, timeout: DELAY * 2 });
+  assert.equal(never.customer, 'Late Render');
+});
+
+test('a new page starts over and publishes even the same data again', async () => {
+  let doc = invoicePage();
+  let { tracker, customers } = track(doc);
+  tracker.watch();
+  await tracker.settled();
+
+  tracker.reset();
+  assert.equal(tracker.snapshot.data, null);
+  assert.equal((await tracker.settled()).customer, 'Bison Pumps');
+  assert.deepEqual(customers(), ['1:Bison Pumps', '2:Bison Pumps']);
+});
+
+test('user rules are watched too, and a bad selector is skipped', async () => {
+  let doc = invoicePage();
+  doc.getElementById('sidebar').dataset.job = 'Job 14';
+  let rules = { fields: { memo: { rules: [{ selector: '#sidebar', source: 'data-job' }, { selector: '##' }] } } };
+  assert.ok(fieldSelectors(rules).includes('#sidebar'));
+  assert.ok(fieldSelectors().includes('[data-automation-id="customer_name"]'));
+
+  let { tracker, snapshots } = track(doc, { read: () => readTransactionData(doc, { rules }), rules: () => rules });
+  tracker.watch();
+  await tracker.settled();
+
+  doc.getElementById('sidebar').dataset.job = 'Job 15';
+  await wait(DELAY * 3);
+  assert.deepEqual(snapshots.map(s => s.data.memo), ['Job 14', 'Job 15']);
+});
+
+test('an action gets amounts found by their label fresh, though they are not watched', async () => {
+  let doc = loadFixture('invoice.html', 'https://qbo.intuit.com/app/invoice?txnId=104');
+  let { tracker, snapshots } = track(doc);
+  tracker.watch();
+  assert.equal((await tracker.settled()).balance, '1200.50');
+
+  let balance = [...doc.querySelectorAll('dt')].find(dt => dt.textContent === 'Balance due').nextElementSibling;
+  balance.textContent = '$99.00';
+  assert.equal((await tracker.settled()).balance, '99.00');
+  assert.deepEqual(snapshots.map(s => s.version + ':' + s.data.balance), ['1:1200.50', '2:99.00']);
+});